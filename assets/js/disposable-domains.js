@@ -0,0 +1,122 @@
+/*
+  Disposable Email Domains
+
+  Services that hand out throwaway inboxes. Signups from these never reach
+  anyone and count against our sender reputation when the inbox expires,
+  so email-validation.js refuses them - along with any subdomain of them.
+
+  Not exhaustive: these are the ones seen most often. Add a domain (lowercase,
+  no "@") when one turns up in the sheet.
+*/
+
+export const DISPOSABLE_DOMAINS = new Set([
+    '0-mail.com',
+    '10mail.org',
+    '10minutemail.com',
+    '10minutemail.net',
+    '1secmail.com',
+    '1secmail.net',
+    '1secmail.org',
+    '20minutemail.com',
+    '33mail.com',
+    'anonbox.net',
+    'anonymbox.com',
+    'burnermail.io',
+    'byom.de',
+    'crazymailing.com',
+    'deadaddress.com',
+    'discard.email',
+    'disposablemail.com',
+    'dispostable.com',
+    'dropmail.me',
+    'easytrashmail.com',
+    'einrot.com',
+    'emailfake.com',
+    'emailondeck.com',
+    'emltmp.com',
+    'fakeinbox.com',
+    'fakemail.net',
+    'fakemailgenerator.com',
+    'getairmail.com',
+    'getnada.com',
+    'grr.la',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'inboxbear.com',
+    'inboxkitten.com',
+    'incognitomail.org',
+    'jetable.org',
+    'kurzepost.de',
+    'linshiyouxiang.net',
+    'mail7.io',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailexpire.com',
+    'mailforspam.com',
+    'mailinator.com',
+    'mailinator.net',
+    'mailinator2.com',
+    'mailnesia.com',
+    'mailnull.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mailtemp.info',
+    'meltmail.com',
+    'minuteinbox.com',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'objectmail.com',
+    'pokemail.net',
+    'proxymail.eu',
+    'rcpt.at',
+    'sharklasers.com',
+    'sogetthis.com',
+    'spam4.me',
+    'spambox.us',
+    'spamdecoy.net',
+    'spamex.com',
+    'spamfree24.org',
+    'spamgourmet.com',
+    'spamherelots.com',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempail.com',
+    'tempemail.net',
+    'tempinbox.com',
+    'tempmail.com',
+    'tempmail.dev',
+    'tempmail.net',
+    'tempmailaddress.com',
+    'tempmailo.com',
+    'temporary-mail.net',
+    'tempr.email',
+    'thisisnotmyrealemail.com',
+    'throwawaymail.com',
+    'tmpbox.net',
+    'tmpeml.com',
+    'tmpmail.net',
+    'tmpmail.org',
+    'trash-mail.com',
+    'trash-me.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.io',
+    'trashmail.net',
+    'trbvm.com',
+    'wegwerfmail.de',
+    'wegwerfmail.net',
+    'wh4f.org',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net'
+]);
@@ -0,0 +1,207 @@
+/*
+  Email Validation
+
+  The rules every newsletter email address goes through, shared by the
+  signup forms (bundled by newsletter-script.html and kiosk-script.html as
+  js/newsletter-email.js) and the newsletter worker (imported by
+  workers/newsletter-signup/src/email.js), so the form never accepts an
+  address the worker turns away.
+
+  - normalizeEmail: trims, lowercases and turns international domains into
+    their punycode form (jane@bücher.de → jane@xn--bcher-kva.de), the way
+    addresses are stored
+  - isValidEmail: the address is well formed
+  - validateEmail: well formed, not at a throwaway inbox (DISPOSABLE_DOMAINS)
+    and, when asked, not a shared role address like info@ - plus a
+    "did you mean …?" suggestion for likely typos
+  - suggestEmail: just the suggestion - jane@gmial.com → jane@gmail.com
+
+  Suggestions are only ever offered; a typo'd domain can still be a real one.
+*/
+
+import { DISPOSABLE_DOMAINS } from './disposable-domains.js';
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const TOP_LEVEL_DOMAIN = /^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Mail providers people sign up with most; typo suggestions point at these
+const COMMON_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'rocketmail.com',
+    'hotmail.com', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+    'mac.com', 'aol.com', 'comcast.net', 'att.net', 'sbcglobal.net', 'verizon.net',
+    'cox.net', 'charter.net', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com',
+    'yahoo.co.uk', 'hotmail.co.uk'
+];
+
+// Mistyped endings, fixed when the rest of the domain isn't a known provider
+const TOP_LEVEL_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', comm: 'com', coom: 'com', vom: 'com', xom: 'com',
+    nte: 'net', nett: 'net', ogr: 'org', orgg: 'org'
+};
+
+// Shared inboxes rather than a person - refused only with blockRoleAddresses
+const ROLE_LOCAL_PARTS = [
+    'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact',
+    'donotreply', 'do-not-reply', 'enquiries', 'help', 'hostmaster', 'info', 'inquiries',
+    'jobs', 'marketing', 'newsletter', 'no-reply', 'noreply', 'office', 'orders',
+    'postmaster', 'privacy', 'root', 'sales', 'security', 'support', 'team', 'webmaster'
+];
+
+const ERRORS = {
+    invalid: 'Please enter a valid email address.',
+    disposable: "Please use a permanent email address - we can't send to temporary inboxes.",
+    role: 'Please use your own email address rather than a shared one like info@.'
+};
+
+/**
+ * Trim, lowercase and punycode the domain - how addresses are compared and stored
+ * @param {string} email
+ * @returns {string} - "" for anything that isn't a string
+ */
+export function normalizeEmail(email) {
+    if (typeof email !== 'string') return '';
+    const trimmed = email.trim();
+    const at = trimmed.lastIndexOf('@');
+    if (at < 1) return trimmed.toLowerCase();
+    return trimmed.slice(0, at).toLowerCase() + '@' + domainToAscii(trimmed.slice(at + 1));
+}
+
+/**
+ * Whether an address is well formed (after normalizeEmail)
+ */
+export function isValidEmail(email) {
+    const normalized = normalizeEmail(email);
+    const at = normalized.lastIndexOf('@');
+    if (at < 1 || normalized.length > MAX_EMAIL_LENGTH) return false;
+
+    const local = normalized.slice(0, at);
+    if (local.length > MAX_LOCAL_LENGTH || !/^[^\s@]+$/.test(local) || /^\.|\.\.|\.$/.test(local)) {
+        return false;
+    }
+
+    const labels = normalized.slice(at + 1).split('.');
+    return labels.length >= 2 &&
+        labels.every(function(label) { return DOMAIN_LABEL.test(label); }) &&
+        TOP_LEVEL_DOMAIN.test(labels[labels.length - 1]);
+}
+
+/**
+ * Check an address against every rule
+ * @param {string} email
+ * @param {object} [options]
+ * @param {boolean} [options.blockRoleAddresses] - Also refuse info@, support@ ...
+ * @returns {{valid: boolean, email: string, reason?: string, error?: string,
+ *   suggestion?: string}} - email is normalized; reason is "invalid",
+ *   "disposable" or "role" with a message for the visitor in error; valid
+ *   addresses may come with a suggestion
+ */
+export function validateEmail(email, options) {
+    const normalized = normalizeEmail(email);
+    let reason = '';
+
+    if (!isValidEmail(normalized)) {
+        reason = 'invalid';
+    } else if (isDisposableDomain(normalized.slice(normalized.lastIndexOf('@') + 1))) {
+        reason = 'disposable';
+    } else if (options && options.blockRoleAddresses && isRoleAddress(normalized)) {
+        reason = 'role';
+    }
+
+    if (reason) {
+        return { valid: false, email: normalized, reason: reason, error: ERRORS[reason] };
+    }
+
+    const suggestion = suggestEmail(normalized);
+    return suggestion
+        ? { valid: true, email: normalized, suggestion: suggestion }
+        : { valid: true, email: normalized };
+}
+
+/**
+ * The address with a likely domain typo fixed, or "" when it looks right
+ */
+export function suggestEmail(email) {
+    const normalized = normalizeEmail(email);
+    const at = normalized.lastIndexOf('@');
+    if (at < 1) return '';
+
+    const domain = normalized.slice(at + 1);
+    if (COMMON_DOMAINS.indexOf(domain) !== -1) return '';
+
+    // Short domains get less leeway - two edits would turn almost any of them into "me.com"
+    const maxDistance = domain.length >= 8 ? 2 : 1;
+    let closest = '';
+    let closestDistance = maxDistance + 1;
+    COMMON_DOMAINS.forEach(function(candidate) {
+        const distance = editDistance(domain, candidate);
+        if (distance < closestDistance) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    });
+
+    if (!closest) {
+        const dot = domain.lastIndexOf('.');
+        const fixed = TOP_LEVEL_TYPOS[domain.slice(dot + 1)];
+        if (dot > 0 && fixed) closest = domain.slice(0, dot + 1) + fixed;
+    }
+
+    return closest ? normalized.slice(0, at + 1) + closest : '';
+}
+
+/**
+ * Whether a domain (or a domain it's under) hands out throwaway inboxes
+ */
+export function isDisposableDomain(domain) {
+    const labels = normalizeEmail('x@' + domain).slice(2).split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        if (DISPOSABLE_DOMAINS.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether an address is a shared inbox like info@ or noreply@ (+tags ignored)
+ */
+export function isRoleAddress(email) {
+    const normalized = normalizeEmail(email);
+    const local = normalized.slice(0, normalized.lastIndexOf('@')).split('+')[0];
+    return ROLE_LOCAL_PARTS.indexOf(local) !== -1;
+}
+
+// URL applies IDNA - punycode, lowercasing, full-width characters - the same
+// in browsers and Workers. Anything URL would read as more than a host name
+// (a port, a path) is left for isValidEmail to refuse.
+function domainToAscii(domain) {
+    if (!/^[^\s@/\\?#:%[\]]+$/.test(domain)) return domain.toLowerCase();
+    try {
+        return new URL('http://' + domain).hostname;
+    } catch (error) {
+        return domain.toLowerCase();
+    }
+}
+
+// Optimal string alignment distance: edits plus swaps of neighbouring letters,
+// so "gmial" is one step from "gmail"
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
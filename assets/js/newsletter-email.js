@@ -0,0 +1,16 @@
+/*
+  Newsletter Email (browser bundle)
+
+  Puts email-validation.js on the page as window.NewsletterEmail for the
+  signup form scripts, which are plain inline scripts rather than modules.
+  Built by js.Build in newsletter-script.html and kiosk-script.html.
+*/
+
+import { isValidEmail, normalizeEmail, suggestEmail, validateEmail } from './email-validation.js';
+
+window.NewsletterEmail = {
+    isValidEmail: isValidEmail,
+    normalizeEmail: normalizeEmail,
+    suggestEmail: suggestEmail,
+    validateEmail: validateEmail
+};
@@ -0,0 +1,204 @@
+/*
+  Newsletter Service Worker
+
+  Keeps newsletter signups from getting lost on a flaky connection. It only
+  looks at POSTs to the newsletter worker; other requests go straight to
+  the network as usual, falling back to OFFLINE_CACHE when there is none.
+  Only the kiosk page (kiosk-script.html) puts itself in that cache -
+  everything else works just as it would without a service worker.
+
+  When a signup can't reach the worker at all, it's saved in IndexedDB and
+  the form is told it's been kept for later (a 202 with queued_offline).
+  Saved signups are sent again:
+  - by Background Sync once the connection is back, where supported
+  - when a page asks for it (newsletter-script.html does on every visit
+    and when the browser comes back online)
+
+  Each signup carries the Idempotency-Key the form gave it, so sending one
+  twice never subscribes anyone twice. The key also lets the newsletter
+  worker accept the signup's Turnstile token once it has expired, which it
+  will have by the time it's sent again - as long as no other signup has
+  used that token. Signups still unsent after
+  MAX_AGE_MS are dropped. Pages are told when a saved signup goes through
+  with a { type: 'newsletter-sent' } message.
+
+  Kiosk signups (with an Authorization header) are left alone: the kiosk
+  keeps its own queue, and a replay from here would lose its kiosk key.
+
+  Registered by newsletter-script.html and kiosk-script.html as
+  /sw.js?signup=<worker URL>.
+*/
+
+const SIGNUP_URL = new URL(self.location).searchParams.get('signup');
+const SIGNUP_HREF = SIGNUP_URL ? new URL(SIGNUP_URL).href : '';
+
+const DB_NAME = 'newsletter';
+const STORE_NAME = 'signups';
+const SYNC_TAG = 'newsletter-signups';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Filled by kiosk-script.html with the kiosk page and its stylesheet
+const OFFLINE_CACHE = 'newsletter-kiosk';
+
+const QUEUED_MESSAGE = "You're offline, so we've saved your signup on this device. " +
+    "We'll send it as soon as you're back online.";
+
+self.addEventListener('install', function() {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(self.clients.claim().then(function() {
+        return replaySignups().catch(function() {});
+    }));
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method === 'GET' && new URL(request.url).origin === self.location.origin) {
+        event.respondWith(fetchOrOffline(request));
+        return;
+    }
+    if (request.method !== 'POST' || !SIGNUP_HREF || request.url !== SIGNUP_HREF) return;
+    if (request.headers.has('Authorization')) return;
+    event.respondWith(sendSignup(request));
+});
+
+self.addEventListener('sync', function(event) {
+    // A rejected promise tells the browser to try again later
+    if (event.tag === SYNC_TAG) event.waitUntil(replaySignups());
+});
+
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'newsletter-replay') {
+        event.waitUntil(replaySignups().catch(function() {}));
+    }
+});
+
+// Network first; the offline copy only when the network isn't there
+async function fetchOrOffline(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(OFFLINE_CACHE);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function sendSignup(request) {
+    const saved = request.clone();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Without a key a resend could subscribe twice - let the form report the error
+        const key = saved.headers.get('Idempotency-Key');
+        if (!key) throw error;
+
+        await putSignup({
+            key: key,
+            url: saved.url,
+            body: await saved.text(),
+            queuedAt: Date.now()
+        });
+        if (self.registration.sync) {
+            await self.registration.sync.register(SYNC_TAG).catch(function() {});
+        }
+
+        return new Response(JSON.stringify({
+            success: true,
+            queued_offline: true,
+            message: QUEUED_MESSAGE
+        }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Sends every saved signup, oldest first. Rejects while any are left to retry.
+async function replaySignups() {
+    const signups = await getSignups();
+    let remaining = 0;
+
+    for (const signup of signups) {
+        if (Date.now() - signup.queuedAt > MAX_AGE_MS) {
+            await deleteSignup(signup.key);
+            continue;
+        }
+
+        // A network error means we're still offline - no point trying the rest
+        const response = await fetch(signup.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': signup.key
+            },
+            body: signup.body
+        });
+
+        // Rate limits and server errors are worth another go; anything else is final
+        if (response.status === 429 || response.status >= 500) {
+            remaining += 1;
+            continue;
+        }
+
+        await deleteSignup(signup.key);
+        const data = await response.json().catch(function() { return {}; });
+        await notifyPages({
+            type: 'newsletter-sent',
+            key: signup.key,
+            ok: response.ok,
+            message: response.ok ? data.message : data.error
+        });
+    }
+
+    if (remaining) throw new Error(remaining + ' newsletter signup(s) still waiting');
+}
+
+async function notifyPages(message) {
+    const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    pages.forEach(function(page) { page.postMessage(message); });
+}
+
+// ----------------- IndexedDB -----------------
+
+function openDatabase() {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() { reject(request.error); };
+    });
+}
+
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    try {
+        return await new Promise(function(resolve, reject) {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = function() { resolve(request.result); };
+            transaction.onerror = function() { reject(transaction.error); };
+            transaction.onabort = function() { reject(transaction.error); };
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function putSignup(signup) {
+    return withStore('readwrite', function(store) { return store.put(signup); });
+}
+
+async function getSignups() {
+    const signups = await withStore('readonly', function(store) { return store.getAll(); });
+    return signups.sort(function(a, b) { return a.queuedAt - b.queuedAt; });
+}
+
+function deleteSignup(key) {
+    return withStore('readwrite', function(store) { return store.delete(key); });
+}
@@ -1,25 +1,132 @@
 /**
  * Google Apps Script for Newsletter Signups
- * With email notifications to owner, welcome email to subscriber, and unsubscribe support
+ * With double opt-in confirmation, email notifications to owner, welcome email to subscriber,
+ * and unsubscribe support
  *
  * SETUP INSTRUCTIONS:
- * 1. Create a Google Sheet with headers in Row 1: email | firstname | timestamp | source | subscribed | unsubscribeurl
+ * 1. Create a Google Sheet with headers in Row 1: email | firstname | timestamp | source | subscribed | unsubscribeurl | pendingsince | topics | frequency | pauseduntil
+ *    | utmsource | utmmedium | utmcampaign | utmterm | utmcontent | referrer | bouncecount | lastbounce | lastbounceat | suppressed
+ *    (or run setupColumnHeaders())
  * 2. Go to Extensions → Apps Script
  * 3. Replace the default code with this entire file
  * 4. UPDATE THE CONFIGURATION SECTION BELOW with your details
- * 5. Click Deploy → Manage deployments → Edit → New version → Deploy
+ * 5. Add a Script Property (Project Settings → Script Properties) named APPS_SCRIPT_SECRET
+ *    holding a long random string, and give the Worker the same value:
+ *    wrangler secret put APPS_SCRIPT_SECRET
+ *    Then click Deploy → Manage deployments → Edit → New version → Deploy
  * 6. IMPORTANT: Run testSendEmail() once to authorize Gmail access
+ * 7. Run installPendingCleanupTrigger() once to expire unconfirmed signups automatically
+ * 8. Run installEventReminderTrigger() once to email subscribers before each event
+ * 9. Run installBounceTrigger() once to suppress addresses that bounce or complain
+ *
+ * WORKER SECRET:
+ * The web app is deployed for "Anyone", so everyone who learns its URL can POST to it.
+ * Only signup, confirm and unsubscribe are accepted from them; every other action
+ * (lookups, lists, stats, imports, exports, erasures, orders) needs the request's
+ * "secret" to match the APPS_SCRIPT_SECRET Script Property, which the Worker sends.
+ * With the property unset, those actions are all refused.
+ *
+ * DOUBLE OPT-IN:
+ * New signups are stored with subscribed = PENDING and receive a confirmation email
+ * containing a signed link generated by the Worker. The Worker's /confirm route calls
+ * back with action "confirm", which flips the row to TRUE and sends the welcome email.
+ * Column G (pendingsince) records when the confirmation email was sent; pending rows
+ * older than CONFIG.pendingExpiryHours are removed by purgeExpiredPendingSignups().
  *
  * NOTE: This script uses GmailApp (not MailApp) for proper alias/send-as support.
  * Make sure your senderEmail is configured in Gmail Settings → Accounts → "Send mail as"
  * with "Treat as an alias" turned ON.
  *
+ * ONE-CLICK UNSUBSCRIBE (Gmail/Yahoo bulk sender rules):
+ * Subscriber emails carry List-Unsubscribe and List-Unsubscribe-Post headers. GmailApp
+ * can't set custom headers, so enable the Gmail advanced service: Apps Script editor →
+ * Services (+) → Gmail API → Add. Without it emails still send, just without the headers.
+ *
+ * PREFERENCE CENTER:
+ * Unsubscribe links have a sibling /preferences page on the Worker where subscribers can
+ * update their first name, pick topics (column H, comma-separated; empty = everything),
+ * choose a frequency (column I) and pause emails until a date (column J). The Worker calls
+ * back with actions "lookup" and "update" to read and save these. Filter on them when building
+ * Mail Merge lists, e.g. skip rows whose pauseduntil is in the future.
+ *
+ * PRIVACY REQUESTS (GDPR/CCPA):
+ * The Worker's /privacy/export and /privacy/erase pages (linked from the preference center)
+ * call back with actions "export" and "erase". Erasing deletes the row and adds a SHA-256
+ * hash of the address to a "Tombstones" sheet (created automatically), so it can be
+ * skipped by future imports - check with isErasedEmail(email) or action "is_erased".
+ * Other sheets that keep the address are covered too: exports include their rows, and
+ * erasing blanks the address in them but keeps the rows (Campaign Log, Event Reminders,
+ * Bounce Log; Orders also lose the name, phone and notes, and the Import sheet the name).
+ * Bounce messages themselves stay in the sender mailbox - delete those by hand.
+ *
+ * PICKUP ORDERS:
+ * The Worker's POST /orders validates and prices pre-orders, then calls back with action
+ * "order_create". Orders are kept in an "Orders" sheet (created automatically); per-slot
+ * capacity is checked under a lock, and the owner and customer are emailed. Status changes
+ * (pending → confirmed → ready → picked_up, or cancelled) come from the Worker's admin API
+ * and email the customer. See the ORDERS section below.
+ *
+ * CAMPAIGNS:
+ * Write a Gmail draft with CONFIG.campaignDraftMarker in the subject, run previewCampaign()
+ * to render it for every recipient without sending, then startCampaign(). It sends in
+ * throttled batches from a time-driven trigger and logs each recipient to a "Campaign Log"
+ * sheet so nobody gets the same campaign twice. Subscribers who chose "weekly" or "monthly"
+ * (column I) are skipped while their last campaign is less than 7 or 30 days old. See the
+ * CAMPAIGNS section below.
+ *
+ * EVENT REMINDERS:
+ * An hourly trigger reads the site's events feed (/events/index.json) and emails subscribers
+ * who picked the "popup-events" topic (or all topics) a day before each event. Sends are
+ * logged per event to an "Event Reminders" sheet, so re-runs never double-send. See the
+ * EVENT REMINDERS section below.
+ *
+ * SIGNUP SOURCES:
+ * Column D (source) names the form a signup came from - each page the form is embedded on
+ * sets its own, e.g. "market-table" - and columns K-O hold the utm_* parameters of the link
+ * that brought them, with the referring page in column P. The Worker cleans these up before
+ * they get here. Both are kept from the first signup, even if someone resubscribes later.
+ * viewStats() and the Worker's GET /admin/stats break signups down by source and utm_source.
+ * After upgrading, run setupColumnHeaders() once to add the new headers.
+ *
+ * IMPORTS:
+ * Bulk-add an existing list with the Worker's POST /admin/subscribers/import (a CSV, action
+ * "import") or by pasting it into an "Import" sheet and running importSubscribersFromSheet().
+ * Both validate addresses (the sheet only checks syntax), skip anyone already in column
+ * A - including people who unsubscribed - or erased, generate unsubscribe URLs and send no
+ * emails, and report what happened to every row. See the IMPORTS section below.
+ *
+ * BOUNCES AND COMPLAINTS:
+ * An hourly trigger reads delivery failures and spam complaints that land in the sender
+ * mailbox, counts them against the subscriber in columns Q-S, and suppresses the address
+ * (column T = TRUE) after a hard bounce, a complaint or repeated soft bounces. Suppressed
+ * addresses get no confirmation, welcome, campaign or event reminder emails and don't
+ * count as active. Clear column T to lift it. See the BOUNCES section below.
+ *
+ * REPEATED SIGNUPS:
+ * Signups carry an idempotency_key - one per form submission - so when the Worker retries
+ * one or a visitor's browser resends one it saved while offline, it's only handled once:
+ * no second row, no second confirmation email. Responses are kept by key for
+ * IDEMPOTENCY_KEEP_DAYS in an "Idempotency Keys" sheet (created automatically) - longer
+ * than browsers hold on to offline signups.
+ *
+ * LOGS:
+ * Requests from the Worker carry a request_id (the X-Request-Id its visitors see). Each one
+ * is logged as a JSON line with the action, outcome and latency, and so are the lines
+ * written while handling it - search the Executions log for the ID to follow a request.
+ * The scheduled jobs (campaign batches, event reminders, bounces and the pending signup
+ * cleanup) log JSON lines too. Functions you run by hand from the editor still log plain,
+ * readable lines.
+ * Addresses are never logged - lines carry an email_hash instead (emailHash(), the same
+ * hash the "Tombstones" sheet uses), so hash an address to find its lines.
+ *
  * MAIL MERGE USAGE:
  * The "unsubscribeurl" column is auto-generated for each subscriber at signup time.
  * Use {{unsubscribeurl}} in your Mail Merge templates to insert the personalized unsubscribe link.
  *
  * COLUMN ORDER:
- * A: email | B: firstname | C: timestamp | D: source | E: subscribed | F: unsubscribeurl
+ * A: email | B: firstname | C: timestamp | D: source | E: subscribed | F: unsubscribeurl | G: pendingsince
+ * H: topics | I: frequency | J: pauseduntil | K: utmsource | L: utmmedium | M: utmcampaign | N: utmterm
+ * O: utmcontent | P: referrer | Q: bouncecount | R: lastbounce | S: lastbounceat | T: suppressed
  */
 
 // ============================================================================
@@ -54,6 +161,15 @@ const CONFIG = {
   // Email settings
   sendOwnerNotification: true, // Set to false to disable owner notifications
   sendWelcomeEmail: true, // Set to false to disable welcome emails
+  listUnsubscribeHeaders: true, // Add RFC 8058 one-click unsubscribe headers (needs Gmail API service)
+
+  // Double opt-in settings
+  // When true, new signups must click the link in a confirmation email before they
+  // count as subscribers (and before the owner notification / welcome email go out)
+  requireConfirmation: true,
+  // Unconfirmed signups older than this are purged by purgeExpiredPendingSignups()
+  // Keep this in line with CONFIRM_TTL_HOURS in wrangler.toml
+  pendingExpiryHours: 48,
 
   // Template mode: "html" or "draft"
   // - "html": Uses the built-in HTML template below
@@ -72,10 +188,65 @@ const CONFIG = {
   unsubscribeBaseUrl: "https://newsletter.thecookieisle.com/unsubscribe",
 
   // IMPORTANT: This secret MUST match the UNSUBSCRIBE_SECRET in your Cloudflare Worker
+  // (or the entry for unsubscribeKeyId in UNSUBSCRIBE_SECRETS if you've rotated keys)
   // Use a long random string (32+ characters recommended)
   // Generate one at: https://generate-random.org/api-key-generator
   unsubscribeSecret: "bIsVQVLb8uyyCChmjhaijMhlCkQNSAgd",
 
+  // Key ID stamped into every unsubscribe token so the Worker knows which secret to check
+  // "1" is the Worker's default ID for UNSUBSCRIBE_SECRET. To rotate:
+  // 1. Add the new key to UNSUBSCRIBE_SECRETS in the Worker, e.g. "2:newsecret,1:oldsecret"
+  // 2. Update unsubscribeKeyId / unsubscribeSecret here and run regenerateAllUnsubscribeUrls()
+  // 3. Once old emails have aged out, remove the old key from the Worker
+  unsubscribeKeyId: "1",
+
+  // Campaign settings (see startCampaign() below)
+  // The campaign template is a Gmail draft whose subject contains this marker; the marker
+  // is stripped from the subject that subscribers see
+  campaignDraftMarker: "[CAMPAIGN]",
+  // Only send to subscribers who chose this topic (or all topics). "" = everyone
+  campaignTopic: "",
+  // Emails per batch, and minutes between batches (1, 5, 10, 15 or 30)
+  campaignBatchSize: 50,
+  campaignBatchEveryMinutes: 10,
+  // Daily send quota left untouched for confirmation/welcome/owner emails
+  campaignQuotaReserve: 20,
+  // Addresses whose sends fail this many times are given up on, so the campaign can finish
+  campaignMaxAttempts: 3,
+
+  // Event reminders (see installEventReminderTrigger() below)
+  // The site's events feed, built from content/events/ (layouts/events/list.json)
+  eventsFeedUrl: "https://thecookieisle.com/events/index.json",
+  // Only remind subscribers who chose this topic (or all topics). "" = everyone
+  eventReminderTopic: "popup-events",
+  // How many hours before an event starts the reminder goes out
+  eventReminderHoursBefore: 24,
+
+  // Pickup orders (see the ORDERS section below)
+  // Shown in order emails so customers know where to collect
+  orderPickupLocation: "",
+
+  // Bounce processing (see installBounceTrigger() below)
+  // Gmail search for the delivery failures and complaint reports to read - anything it
+  // finds that isn't one is logged and ignored
+  bounceSearchQuery:
+    '(from:mailer-daemon OR from:postmaster OR subject:complaint OR subject:"abuse report") newer_than:7d',
+  // Soft bounces (mailbox full, server busy...) before an address is suppressed
+  softBounceLimit: 3,
+  // A soft bounce more than this many days after the last one starts the count again
+  softBounceWindowDays: 30,
+
+  // Subscriber imports (see importSubscribersFromSheet() below)
+  // Paste the list into a sheet with this name, with a header row naming the email column
+  importSheetName: "Import",
+  // Column D (source) for everyone imported from that sheet
+  importSource: "import",
+
+  // Preference center options (keep in sync with PREFERENCE_TOPICS / PREFERENCE_FREQUENCIES
+  // in the Worker's src/preferences.js)
+  preferenceTopics: ["popup-events", "new-flavors", "pre-orders"],
+  preferenceFrequencies: ["all", "weekly", "monthly"],
+
   // Site colors (matching your Hugo site's SoCal coastal theme)
   colors: {
     primary: "#2A9D8F", // Ocean teal - buttons, links
@@ -94,38 +265,355 @@ const CONFIG = {
 // ============================================================================
 
 function doPost(e) {
+  const startedAt = Date.now();
+  let data = {};
+  let response;
+  currentRequestId = "";
+
+  try {
+    data = JSON.parse(e.postData.contents);
+    currentRequestId = data.request_id || "";
+    response = routePost(data);
+  } catch (error) {
+    if (error.name === LOCK_BUSY) {
+      // Another request held the lock too long - nothing was changed, so try again later
+      logEvent("warn", "lock_busy", { action: data.action });
+      response = createJsonResponse({
+        success: false,
+        error: error.message,
+        retryable: true,
+      });
+    } else {
+      logEvent("error", "unhandled_error", {
+        action: data.action,
+        error: error.message,
+        stack: error.stack,
+      });
+      response = createJsonResponse({ success: false, error: error.message });
+    }
+  }
+
+  logRequest(data.action || "signup", response, startedAt);
+  return response;
+}
+
+// Actions accepted without the Worker secret - the public forms' own requests
+const PUBLIC_ACTIONS = ["signup", "confirm", "unsubscribe"];
+// Script Property holding the secret the Worker sends as APPS_SCRIPT_SECRET
+const WORKER_SECRET_PROPERTY = "APPS_SCRIPT_SECRET";
+
+/**
+ * Send a Worker request to its handler
+ */
+function routePost(data) {
+  const action = data.action || "signup";
+
+  if (PUBLIC_ACTIONS.indexOf(action) === -1 && !isWorkerRequest(data)) {
+    logEvent("warn", "unauthorized_action", { action: action });
+    return createJsonResponse({ success: false, error: "Unauthorized" });
+  }
+
+  // Pickup orders from the Worker's /orders routes
+  if (action.indexOf("order_") === 0) {
+    return handleOrderAction(action, data);
+  }
+
+  // Listing, stats and imports are the only actions that aren't about a single subscriber
+  if (action === "list") {
+    return handleList(data);
+  }
+
+  if (action === "stats") {
+    return handleStats();
+  }
+
+  if (action === "import") {
+    return handleImport(data);
+  }
+
+  if (!data.email) {
+    return createJsonResponse({ success: false, error: "Email is required" });
+  }
+
+  const email = data.email.toLowerCase().trim();
+
+  // Handle unsubscribe action
+  if (action === "unsubscribe") {
+    return handleUnsubscribe(email);
+  }
+
+  // Handle double opt-in confirmation action
+  if (action === "confirm") {
+    return handleConfirm(email);
+  }
+
+  // Handle subscriber lookup and preference center updates
+  if (action === "lookup") {
+    return handleLookup(email);
+  }
+
+  if (action === "update") {
+    return handleUpdate(email, data);
+  }
+
+  // Handle admin hard delete (the Worker's DELETE /admin/subscribers/:email)
+  if (action === "delete") {
+    return handleDelete(email);
+  }
+
+  // Handle privacy requests (the Worker's /privacy/export and /privacy/erase)
+  if (action === "export") {
+    return handleExport(email);
+  }
+
+  if (action === "erase") {
+    return handleErase(email);
+  }
+
+  if (action === "is_erased") {
+    return createJsonResponse({
+      success: true,
+      erased: isErasedEmail(email),
+    });
+  }
+
+  // Handle signup action (default)
+  return handleSignupOnce(email, data);
+}
+
+/**
+ * Whether a request carries the Worker secret (compared in constant time)
+ */
+function isWorkerRequest(data) {
+  const expected =
+    PropertiesService.getScriptProperties().getProperty(
+      WORKER_SECRET_PROPERTY,
+    ) || "";
+  const given = typeof data.secret === "string" ? data.secret : "";
+  if (!expected || given.length !== expected.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ given.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// The Worker's request_id for the request being handled (one per execution)
+let currentRequestId = "";
+
+/**
+ * Write one JSON log line, tagged with the Worker's request_id
+ * @param {string} level - "info", "warn" or "error"
+ * @param {string} event - What happened, e.g. "welcome_email_failed"
+ * @param {Object} fields - Anything else worth searching for; addresses go in as
+ *   email_hash: emailHash(email)
+ */
+function logEvent(level, event, fields) {
+  const line = JSON.stringify(
+    Object.assign(
+      { level: level, event: event, request_id: currentRequestId || undefined },
+      fields,
+    ),
+  );
+
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Log how a Worker request turned out, from the JSON response it gets back
+ * The outcome is the error, or the first flag set (duplicate, resubscribed, ...), or "ok".
+ */
+function logRequest(action, response, startedAt) {
+  let result = {};
   try {
-    const data = JSON.parse(e.postData.contents);
+    result = JSON.parse(response.getContent());
+  } catch (error) {
+    // Not JSON - nothing more to say about it
+  }
+
+  const flag = [
+    "duplicate",
+    "resubscribed",
+    "pending",
+    "already_confirmed",
+  ].find((name) => result[name]);
+
+  logEvent(result.success === false ? "warn" : "info", "request", {
+    action: action,
+    outcome: result.success === false ? result.error : flag || "ok",
+    latency_ms: Date.now() - startedAt,
+  });
+}
+
+// How long a signup's response is kept by idempotency key - longer than the site's
+// service worker (static/sw.js) keeps offline signups (7 days)
+const IDEMPOTENCY_KEEP_DAYS = 8;
+// How long a signup's response is also cached, for quick repeats (CacheService's maximum)
+const IDEMPOTENCY_CACHE_SECONDS = 6 * 60 * 60;
+// How long a key stays claimed by a signup that's still being handled
+const IDEMPOTENCY_CLAIM_SECONDS = 5 * 60;
+// Cached in place of a response while the first copy of a signup is handled
+const IDEMPOTENCY_IN_PROGRESS = "in_progress";
+const IDEMPOTENCY_SHEET_NAME = "Idempotency Keys";
+
+/**
+ * Handle a signup once per idempotency key
+ * The Worker retries signups it couldn't deliver, and visitors' browsers resend ones
+ * saved while offline, so the same signup can arrive twice - possibly at the same time.
+ * The first copy claims the key under the lock; a repeat gets its response back instead
+ * of a second row or a second confirmation email. The signup itself - and its emails -
+ * runs after the lock is released, so it never holds up anyone else.
+ */
+function handleSignupOnce(email, data) {
+  if (!data.idempotency_key) {
+    return handleSignup(email, data);
+  }
 
-    if (!data.email) {
-      return createJsonResponse({ success: false, error: "Email is required" });
+  const cache = CacheService.getScriptCache();
+  const cacheKey = "signup:" + data.idempotency_key;
+  const lock = LockService.getScriptLock();
+  waitForLock(lock);
+  let cached;
+  try {
+    cached =
+      cache.get(cacheKey) || findIdempotentResponse(data.idempotency_key);
+    if (!cached) {
+      cache.put(cacheKey, IDEMPOTENCY_IN_PROGRESS, IDEMPOTENCY_CLAIM_SECONDS);
     }
+  } finally {
+    lock.releaseLock();
+  }
 
-    const email = data.email.toLowerCase().trim();
-    const action = data.action || "signup";
+  if (cached === IDEMPOTENCY_IN_PROGRESS) {
+    // The Worker queues it and tries again once the first copy has its response
+    logEvent("info", "idempotent_in_progress", {
+      email_hash: emailHash(email),
+    });
+    return createJsonResponse({
+      success: false,
+      error: "This signup is already being handled",
+      retryable: true,
+    });
+  }
+  if (cached) {
+    logEvent("info", "idempotent_replay", { email_hash: emailHash(email) });
+    return ContentService.createTextOutput(cached).setMimeType(
+      ContentService.MimeType.JSON,
+    );
+  }
 
-    // Handle unsubscribe action
-    if (action === "unsubscribe") {
-      return handleUnsubscribe(email);
+  let response;
+  try {
+    response = handleSignup(email, data);
+  } finally {
+    // Failures aren't kept - trying again should get a fresh attempt
+    if (response && JSON.parse(response.getContent()).success) {
+      cache.put(cacheKey, response.getContent(), IDEMPOTENCY_CACHE_SECONDS);
+      storeIdempotentResponse(data.idempotency_key, response.getContent());
+    } else {
+      cache.remove(cacheKey);
     }
+  }
+  return response;
+}
 
-    // Handle signup action (default)
-    return handleSignup(email, data);
-  } catch (error) {
-    console.error("Error processing request:", error.message);
-    console.error("Stack:", error.stack);
-    return createJsonResponse({ success: false, error: error.message });
+/**
+ * The response kept for an idempotency key, or null
+ */
+function findIdempotentResponse(key) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    IDEMPOTENCY_SHEET_NAME,
+  );
+  if (!sheet || sheet.getLastRow() < 2) {
+    return null;
+  }
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  const match = rows.find((values) => values[0].toString() === key);
+  return match ? match[2].toString() : null;
+}
+
+/**
+ * Keep a signup's response by idempotency key, and drop the ones older than
+ * IDEMPOTENCY_KEEP_DAYS (the oldest are at the top)
+ */
+function storeIdempotentResponse(key, content) {
+  const sheet = getIdempotencySheet();
+  sheet.appendRow([asSheetText(key), new Date().toISOString(), content]);
+
+  // Pruning shifts rows, so two runs mustn't do it at once - skip it when busy
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    return;
+  }
+  try {
+    const cutoff = Date.now() - IDEMPOTENCY_KEEP_DAYS * 24 * 60 * 60 * 1000;
+    const storedAt = sheet
+      .getRange(2, 2, sheet.getLastRow() - 1, 1)
+      .getValues();
+    let expired = 0;
+    while (
+      expired < storedAt.length &&
+      new Date(storedAt[expired][0]).getTime() < cutoff
+    ) {
+      expired++;
+    }
+    if (expired > 0) {
+      sheet.deleteRows(2, expired);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * The "Idempotency Keys" sheet (A: key | B: storedat | C: response), created on first use
+ */
+function getIdempotencySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(IDEMPOTENCY_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      IDEMPOTENCY_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet.getRange(1, 1, 1, 3).setValues([["key", "storedat", "response"]]);
+    // Keys that look like numbers stay as typed
+    sheet.getRange("A:A").setNumberFormat("@");
+    spreadsheet.setActiveSheet(subscriberSheet);
   }
+
+  return sheet;
 }
 
 /**
  * Handle newsletter signup
  *
- * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
  */
 function handleSignup(email, data) {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
 
+  // Only require confirmation when the Worker sent us a signed confirmation link
+  const needsConfirmation = CONFIG.requireConfirmation && !!data.confirm_url;
+  if (CONFIG.requireConfirmation && !data.confirm_url) {
+    logEvent("warn", "signup_without_confirmation", {
+      reason: "No confirm_url in signup payload",
+    });
+  }
+
   // Check for duplicate emails (Column A)
   const emailColumn = sheet.getRange("A:A").getValues().flat();
   const existingRowIndex = emailColumn.findIndex(
@@ -138,28 +626,62 @@ function handleSignup(email, data) {
     const subscribedCell = sheet.getRange(existingRowIndex + 1, 5);
     const isSubscribed = subscribedCell.getValue();
 
+    // Still waiting on confirmation - send a fresh link
+    if (isPendingValue(isSubscribed)) {
+      if (needsConfirmation) {
+        startPendingConfirmation(
+          sheet,
+          existingRowIndex + 1,
+          email,
+          data.confirm_url,
+        );
+      }
+      return createJsonResponse({
+        success: true,
+        message: "Confirmation resent",
+        pending: true,
+      });
+    }
+
     if (isSubscribed === false || isSubscribed === "FALSE") {
+      // Resubscribes go through confirmation too; the row stays FALSE until confirmed
+      if (needsConfirmation) {
+        startPendingConfirmation(
+          sheet,
+          existingRowIndex + 1,
+          email,
+          data.confirm_url,
+        );
+        logEvent("info", "resubscribe_pending", {
+          email_hash: emailHash(email),
+        });
+        return createJsonResponse({
+          success: true,
+          message: "Resubscribe pending confirmation",
+          resubscribed: true,
+          pending: true,
+        });
+      }
+
       // Resubscribe them
       subscribedCell.setValue(true);
-      console.log("Resubscribed:", email);
+      logEvent("info", "resubscribed", { email_hash: emailHash(email) });
 
       // Send welcome email to resubscribed user
-      if (CONFIG.sendWelcomeEmail) {
-        console.log("Sending welcome email to resubscribed user:", email);
+      if (
+        CONFIG.sendWelcomeEmail &&
+        !isSuppressedRow(sheet, existingRowIndex + 1, "welcome")
+      ) {
         try {
-          if (CONFIG.welcomeEmailMode === "draft") {
-            sendWelcomeEmailFromDraft(email);
-          } else {
-            sendWelcomeEmailHtml(email);
-          }
-          console.log("✅ Welcome email sent to resubscribed user:", email);
+          sendWelcomeEmail(email);
+          logEvent("info", "welcome_email_sent", {
+            email_hash: emailHash(email),
+          });
         } catch (welcomeEmailError) {
-          console.error(
-            "❌ Failed to send welcome email to resubscribed user:",
-            email,
-            ":",
-            welcomeEmailError.message,
-          );
+          logEvent("error", "welcome_email_failed", {
+            email_hash: emailHash(email),
+            error: welcomeEmailError.message,
+          });
         }
       }
 
@@ -186,17 +708,121 @@ function handleSignup(email, data) {
   // Get first name from signup data (if provided)
   const firstName = data.first_name ? data.first_name.trim() : "";
 
-  // Append the new row to the sheet with subscribed = TRUE and unsubscribeurl
-  // Columns: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+  // Append the new row to the sheet with subscribed = TRUE (or PENDING) and unsubscribeurl
+  // Columns: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+  //          H=topics | I=frequency | J=pauseduntil | K-O=utm_* | P=referrer
   sheet.appendRow([
     email,
     firstName,
     timestamp,
     data.source || "unknown",
-    true,
+    needsConfirmation ? PENDING_VALUE : true,
     unsubscribeUrl,
+    "",
+    "",
+    "all",
+    "",
+    ...ATTRIBUTION_FIELDS.map((field) => data[field] || ""),
   ]);
 
+  if (needsConfirmation) {
+    startPendingConfirmation(
+      sheet,
+      sheet.getLastRow(),
+      email,
+      data.confirm_url,
+    );
+    logEvent("info", "signup_pending", { email_hash: emailHash(email) });
+    return createJsonResponse({ success: true, pending: true });
+  }
+
+  completeSignup(sheet, email);
+
+  return createJsonResponse({ success: true });
+}
+
+/**
+ * Handle double opt-in confirmation (called by the Worker's /confirm route)
+ * The Worker has already verified the signed link and its age.
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+ */
+function handleConfirm(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const emailColumn = sheet.getRange("A:A").getValues().flat();
+
+  const rowIndex = emailColumn.findIndex(
+    (e) => e.toString().toLowerCase() === email,
+  );
+
+  if (rowIndex === -1) {
+    logEvent("info", "confirm_failed", {
+      email_hash: emailHash(email),
+      error: "Email not found",
+    });
+    return createJsonResponse({ success: false, error: "Email not found" });
+  }
+
+  const row = rowIndex + 1;
+  const subscribedCell = sheet.getRange(row, 5);
+  const pendingSinceCell = sheet.getRange(row, 7);
+  const currentValue = subscribedCell.getValue();
+
+  if (currentValue === true || currentValue === "TRUE") {
+    pendingSinceCell.setValue("");
+    return createJsonResponse({
+      success: true,
+      message: "Already confirmed",
+      already_confirmed: true,
+    });
+  }
+
+  // Unsubscribed rows can only be confirmed while a resubscribe is pending
+  if (!isPendingValue(currentValue) && !pendingSinceCell.getValue()) {
+    logEvent("info", "confirm_failed", {
+      email_hash: emailHash(email),
+      error: "No pending signup",
+    });
+    return createJsonResponse({ success: false, error: "No pending signup" });
+  }
+
+  subscribedCell.setValue(true);
+  pendingSinceCell.setValue("");
+  logEvent("info", "confirmed", { email_hash: emailHash(email), row: row });
+
+  completeSignup(sheet, email);
+
+  return createJsonResponse({ success: true, message: "Confirmed" });
+}
+
+/**
+ * Mark a row as awaiting confirmation and email the subscriber their confirm link
+ */
+function startPendingConfirmation(sheet, row, email, confirmUrl) {
+  sheet.getRange(row, 7).setValue(new Date().toISOString()); // Column G
+
+  // Left pending, so the row expires like any other unconfirmed signup
+  if (isSuppressedRow(sheet, row, "confirmation")) {
+    return;
+  }
+
+  try {
+    sendConfirmationEmail(email, confirmUrl);
+    logEvent("info", "confirmation_email_sent", {
+      email_hash: emailHash(email),
+    });
+  } catch (confirmEmailError) {
+    logEvent("error", "confirmation_email_failed", {
+      email_hash: emailHash(email),
+      error: confirmEmailError.message,
+    });
+  }
+}
+
+/**
+ * Notify the owner and welcome a newly active subscriber
+ */
+function completeSignup(sheet, email) {
   // Get total active subscriber count
   const totalSubscribers = countActiveSubscribers(sheet);
 
@@ -204,53 +830,40 @@ function handleSignup(email, data) {
   if (CONFIG.sendOwnerNotification) {
     try {
       sendOwnerNotification(email, totalSubscribers);
-      console.log("✅ Owner notification sent for:", email);
+      logEvent("info", "owner_notification_sent", {
+        email_hash: emailHash(email),
+      });
     } catch (ownerEmailError) {
-      console.error(
-        "❌ Failed to send owner notification:",
-        ownerEmailError.message,
-      );
+      logEvent("error", "owner_notification_failed", {
+        email_hash: emailHash(email),
+        error: ownerEmailError.message,
+      });
     }
   }
 
   // Send welcome email to new subscriber
-  if (CONFIG.sendWelcomeEmail) {
-    console.log("Attempting to send welcome email to:", email);
-    console.log("Welcome email mode:", CONFIG.welcomeEmailMode);
-    console.log("Sender email:", CONFIG.senderEmail);
+  if (CONFIG.sendWelcomeEmail && !isSuppressedEmail(sheet, email, "welcome")) {
     try {
-      if (CONFIG.welcomeEmailMode === "draft") {
-        console.log("Using draft template mode...");
-        sendWelcomeEmailFromDraft(email);
-      } else {
-        console.log("Using HTML template mode...");
-        sendWelcomeEmailHtml(email);
-      }
-      console.log("✅ Welcome email sent successfully to:", email);
+      sendWelcomeEmail(email);
+      logEvent("info", "welcome_email_sent", {
+        email_hash: emailHash(email),
+        mode: CONFIG.welcomeEmailMode,
+      });
     } catch (welcomeEmailError) {
-      console.error(
-        "❌ Failed to send welcome email to",
-        email,
-        ":",
-        welcomeEmailError.message,
-      );
-      console.error("Error name:", welcomeEmailError.name);
-      console.error("Stack:", welcomeEmailError.stack);
+      logEvent("error", "welcome_email_failed", {
+        email_hash: emailHash(email),
+        mode: CONFIG.welcomeEmailMode,
+        sender: CONFIG.senderEmail,
+        error: welcomeEmailError.message,
+        stack: welcomeEmailError.stack,
+      });
     }
-  } else {
-    console.log(
-      "Welcome emails are disabled (CONFIG.sendWelcomeEmail = false)",
-    );
   }
 
-  console.log(
-    "New signup:",
-    email,
-    "| Total active subscribers:",
-    totalSubscribers,
-  );
-
-  return createJsonResponse({ success: true });
+  logEvent("info", "signup_completed", {
+    email_hash: emailHash(email),
+    total_active: totalSubscribers,
+  });
 }
 
 /**
@@ -268,7 +881,10 @@ function handleUnsubscribe(email) {
   );
 
   if (rowIndex === -1) {
-    console.log("Unsubscribe failed - email not found:", email);
+    logEvent("info", "unsubscribe_failed", {
+      email_hash: emailHash(email),
+      error: "Email not found",
+    });
     return createJsonResponse({
       success: false,
       error: "Email not found",
@@ -280,7 +896,8 @@ function handleUnsubscribe(email) {
   const currentValue = subscribedCell.getValue();
 
   if (currentValue === false || currentValue === "FALSE") {
-    console.log("Already unsubscribed:", email);
+    sheet.getRange(rowIndex + 1, 7).setValue(""); // Cancel a pending resubscribe
+    logEvent("info", "already_unsubscribed", { email_hash: emailHash(email) });
     return createJsonResponse({
       success: true,
       message: "Already unsubscribed",
@@ -288,7 +905,11 @@ function handleUnsubscribe(email) {
   }
 
   subscribedCell.setValue(false);
-  console.log("✅ Unsubscribed:", email, "at row", rowIndex + 1);
+  sheet.getRange(rowIndex + 1, 7).setValue(""); // Clear any pending confirmation
+  logEvent("info", "unsubscribed", {
+    email_hash: emailHash(email),
+    row: rowIndex + 1,
+  });
 
   return createJsonResponse({
     success: true,
@@ -297,159 +918,2879 @@ function handleUnsubscribe(email) {
 }
 
 /**
- * Count active (subscribed) subscribers
+ * Look up one subscriber (used by the Worker's /preferences page)
  *
- * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+ *               H=topics | I=frequency | J=pauseduntil
  */
-function countActiveSubscribers(sheet) {
-  const data = sheet.getDataRange().getValues();
-  let count = 0;
+function handleLookup(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const row = findSubscriberRow(sheet, email);
 
-  // Start from row 1 to skip header (index 0)
-  for (let i = 1; i < data.length; i++) {
-    const subscribed = data[i][4]; // Column E (index 4)
-    if (subscribed === true || subscribed === "TRUE" || subscribed === "") {
-      // Count as subscribed if TRUE or if the column is empty (legacy rows)
-      count++;
-    }
+  if (row === -1) {
+    return createJsonResponse({ success: false, error: "Email not found" });
   }
 
-  return count;
+  return createJsonResponse({
+    success: true,
+    subscriber: subscriberFromRow(
+      sheet.getRange(row, 1, 1, SUBSCRIBER_COLUMNS).getValues()[0],
+    ),
+  });
 }
 
 /**
- * Format timestamp in Pacific Time (24hr format)
- * @param {string} isoTimestamp - Optional ISO timestamp string
- * @returns {string} Formatted timestamp like "2024-01-15 14:30:45"
+ * Apply preference center changes (called by the Worker's /preferences form)
+ * Only fields present in data.changes are touched. pause_days: 0 resumes,
+ * > 0 pauses from today, missing keeps the current pause.
+ * The Worker has already verified the signed link.
+ *
+ * Column order: A=email | B=firstname | ... | H=topics | I=frequency | J=pauseduntil
  */
-function formatPacificTimestamp(isoTimestamp) {
-  const date = isoTimestamp ? new Date(isoTimestamp) : new Date();
+function handleUpdate(email, data) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const row = findSubscriberRow(sheet, email);
 
-  // Format in Pacific timezone
-  const options = {
-    timeZone: "America/Los_Angeles",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-  };
+  if (row === -1) {
+    logEvent("info", "update_failed", {
+      email_hash: emailHash(email),
+      error: "Email not found",
+    });
+    return createJsonResponse({ success: false, error: "Email not found" });
+  }
 
-  const formatter = new Intl.DateTimeFormat("en-CA", options);
-  const parts = formatter.formatToParts(date);
+  const changes = data.changes || {};
 
-  // Build formatted string: YYYY-MM-DD HH:MM:SS
-  const getValue = (type) => parts.find((p) => p.type === type)?.value || "";
-  return `${getValue("year")}-${getValue("month")}-${getValue("day")} ${getValue("hour")}:${getValue("minute")}:${getValue("second")}`;
+  if (changes.first_name !== undefined) {
+    sheet.getRange(row, 2).setValue((changes.first_name || "").trim());
+  }
+
+  if (changes.topics !== undefined) {
+    const topics = (changes.topics || []).filter((topic) =>
+      CONFIG.preferenceTopics.includes(topic),
+    );
+    // Everything selected is stored as empty so new topics reach existing subscribers
+    sheet
+      .getRange(row, 8)
+      .setValue(
+        topics.length === CONFIG.preferenceTopics.length
+          ? ""
+          : topics.join(","),
+      );
+  }
+
+  if (changes.frequency !== undefined) {
+    sheet
+      .getRange(row, 9)
+      .setValue(
+        CONFIG.preferenceFrequencies.includes(changes.frequency)
+          ? changes.frequency
+          : "all",
+      );
+  }
+
+  if (changes.pause_days === 0) {
+    sheet.getRange(row, 10).setValue("");
+  } else if (changes.pause_days > 0) {
+    const until = new Date(
+      Date.now() + changes.pause_days * 24 * 60 * 60 * 1000,
+    );
+    sheet.getRange(row, 10).setValue(formatDateOnly(until));
+  }
+
+  logEvent("info", "subscriber_updated", {
+    email_hash: emailHash(email),
+    row: row,
+  });
+
+  return createJsonResponse({
+    success: true,
+    subscriber: subscriberFromRow(
+      sheet.getRange(row, 1, 1, SUBSCRIBER_COLUMNS).getValues()[0],
+    ),
+  });
 }
 
 /**
- * Handle GET requests (for testing the endpoint is live)
+ * Return a page of subscribers in sheet order
+ * data.cursor is the sheet row to start from (opaque to the Worker), data.limit
+ * the page size (default 100, max 500). The response cursor is null on the last page.
  */
-function doGet(e) {
+function handleList(data) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const lastRow = sheet.getLastRow();
+  const limit = Math.min(Math.max(parseInt(data.limit, 10) || 100, 1), 500);
+  const startRow = Math.max(parseInt(data.cursor, 10) || 2, 2); // Skip header
+
+  if (startRow > lastRow) {
+    return createJsonResponse({ success: true, subscribers: [], cursor: null });
+  }
+
+  const count = Math.min(limit, lastRow - startRow + 1);
+  const rows = sheet
+    .getRange(startRow, 1, count, SUBSCRIBER_COLUMNS)
+    .getValues()
+    .filter((values) => values[0]);
+  const nextRow = startRow + count;
+
   return createJsonResponse({
-    status: "Newsletter signup endpoint is running",
-    timestamp: new Date().toISOString(),
+    success: true,
+    subscribers: rows.map(subscriberFromRow),
+    cursor: nextRow <= lastRow ? String(nextRow) : null,
   });
 }
 
-// ============================================================================
-// UNSUBSCRIBE TOKEN FUNCTIONS
-// ============================================================================
+/**
+ * Permanently remove a subscriber's row (admin hard delete)
+ * Unlike unsubscribing, nothing is kept - a later signup starts from scratch.
+ */
+function handleDelete(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+
+  // Deleting shifts the rows below - nothing else may find or write a row meanwhile
+  const lock = LockService.getScriptLock();
+  waitForLock(lock);
+  let row;
+  try {
+    row = findSubscriberRow(sheet, email);
+    if (row !== -1) {
+      sheet.deleteRow(row);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (row === -1) {
+    return createJsonResponse({ success: false, error: "Email not found" });
+  }
+
+  logEvent("info", "subscriber_deleted", {
+    email_hash: emailHash(email),
+    row: row,
+  });
+
+  return createJsonResponse({ success: true, message: "Deleted" });
+}
 
 /**
- * Generate HMAC-SHA256 token for unsubscribe link
- * Uses proper HMAC to match the Cloudflare Worker's crypto.subtle.sign
+ * Return everything the spreadsheet holds about a subscriber (data export request)
+ * `data` is the raw row keyed by header name, so any columns added by hand are
+ * included too, plus the rows of other sheets that mention the address, keyed by
+ * sheet name. `subscriber` is the usual normalized shape.
  */
-function generateUnsubscribeToken(email) {
-  const normalizedEmail = email.toLowerCase().trim();
+function handleExport(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const row = findSubscriberRow(sheet, email);
+  const data = {};
+  let subscriber = null;
 
-  // Create HMAC-SHA256 signature (matches Worker's crypto.subtle.sign("HMAC", key, data))
-  const rawSignature = Utilities.computeHmacSignature(
-    Utilities.MacAlgorithm.HMAC_SHA_256,
-    normalizedEmail,
-    CONFIG.unsubscribeSecret,
+  if (row !== -1) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    const values = sheet.getRange(row, 1, 1, lastColumn).getValues()[0];
+    Object.assign(data, rowToObject(headers, values));
+    subscriber = subscriberFromRow(values);
+  }
+
+  // Column B of the campaign log
+  addSheetRowsToExport(data, CAMPAIGN_LOG_SHEET_NAME, 2, email);
+  // Column D of the orders sheet
+  addSheetRowsToExport(data, ORDERS_SHEET_NAME, 4, email);
+  // Column B of the event reminder log
+  addSheetRowsToExport(data, EVENT_REMINDER_LOG_SHEET_NAME, 2, email);
+  // Column B of the bounce log
+  addSheetRowsToExport(data, BOUNCE_LOG_SHEET_NAME, 2, email);
+  // The import sheet's email column is wherever the pasted list had it
+  const importColumns = readImportSheetColumns();
+  if (importColumns.emailColumn !== -1) {
+    addSheetRowsToExport(
+      data,
+      CONFIG.importSheetName,
+      importColumns.emailColumn + 1,
+      email,
+    );
+  }
+
+  if (Object.keys(data).length === 0) {
+    return createJsonResponse({ success: false, error: "Email not found" });
+  }
+
+  return createJsonResponse({ success: true, subscriber, data });
+}
+
+/**
+ * Erase a subscriber (data erasure request)
+ * Deletes their row and records a hashed tombstone in the "Tombstones" sheet,
+ * even if the address was never here, so imports can skip it later without
+ * the address itself being kept.
+ */
+function handleErase(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+
+  // Deleting shifts the rows below - nothing else may find or write a row meanwhile
+  const lock = LockService.getScriptLock();
+  waitForLock(lock);
+  let row;
+  try {
+    row = findSubscriberRow(sheet, email);
+    if (row !== -1) {
+      sheet.deleteRow(row);
+    }
+
+    // Logged sends stay so send counts still add up - just not who they went to
+    clearSheetRowsForEmail(CAMPAIGN_LOG_SHEET_NAME, 2, email, [2, 5]);
+    clearSheetRowsForEmail(EVENT_REMINDER_LOG_SHEET_NAME, 2, email, [2, 5]);
+    // The reason often quotes the address; the message ID stays so it isn't read again
+    clearSheetRowsForEmail(BOUNCE_LOG_SHEET_NAME, 2, email, [2, 4]);
+
+    // Imported rows keep their result, so the list isn't imported again
+    const importColumns = readImportSheetColumns();
+    if (importColumns.emailColumn !== -1) {
+      clearSheetRowsForEmail(
+        CONFIG.importSheetName,
+        importColumns.emailColumn + 1,
+        email,
+        [importColumns.emailColumn, importColumns.nameColumn]
+          .filter((column) => column !== -1)
+          .map((column) => column + 1),
+      );
+    }
+
+    if (!isErasedEmail(email)) {
+      getTombstoneSheet().appendRow([
+        emailHash(email),
+        new Date().toISOString(),
+      ]);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  // Orders keep their slot and items for the books, just not who placed them
+  waitForOrdersLock();
+  try {
+    clearSheetRowsForEmail(ORDERS_SHEET_NAME, 4, email, [4, 5, 6, 11]);
+  } finally {
+    releaseOrdersLock();
+  }
+
+  // Don't log the address - that's the point of erasing it
+  logEvent("info", "subscriber_erased", { row: row !== -1 ? row : null });
+
+  return createJsonResponse({ success: true, erased: row !== -1 });
+}
+
+/**
+ * A sheet row as an object keyed by header name (Dates as ISO strings)
+ */
+function rowToObject(headers, values) {
+  const object = {};
+  headers.forEach((header, i) => {
+    object[header || `column${i + 1}`] =
+      values[i] instanceof Date ? values[i].toISOString() : values[i];
+  });
+  return object;
+}
+
+/**
+ * Add the rows of another sheet whose emailColumn (1-based) holds the address to
+ * an export, under the sheet's name. Sheets that don't exist yet add nothing.
+ */
+function addSheetRowsToExport(data, sheetName, emailColumn, email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return;
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const rows = values
+    .slice(1)
+    .filter((row) => sameEmail(row[emailColumn - 1], email))
+    .map((row) => rowToObject(headers, row));
+  if (rows.length > 0) {
+    data[sheetName] = rows;
+  }
+}
+
+/**
+ * Blank `columns` (1-based, including emailColumn) in every row of another sheet
+ * whose emailColumn holds the address. The rows themselves stay, so what they
+ * record still counts - just not who it was about. Call under the lock the sheet
+ * is written under.
+ * @returns {number} - how many rows were cleared
+ */
+function clearSheetRowsForEmail(sheetName, emailColumn, email, columns) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return 0;
+  }
+
+  const emails = sheet
+    .getRange(2, emailColumn, sheet.getLastRow() - 1, 1)
+    .getValues();
+  let cleared = 0;
+  emails.forEach((values, i) => {
+    if (sameEmail(values[0], email)) {
+      columns.forEach((column) => sheet.getRange(i + 2, column).setValue(""));
+      cleared++;
+    }
+  });
+  return cleared;
+}
+
+/**
+ * Whether a cell holds the given address (case-insensitive)
+ */
+function sameEmail(value, email) {
+  return value.toString().trim().toLowerCase() === email.trim().toLowerCase();
+}
+
+/**
+ * Whether an address has been erased (has a tombstone)
+ * Use this before re-adding addresses from imports or other lists.
+ */
+function isErasedEmail(email) {
+  return erasedEmailHashes().has(emailHash(email));
+}
+
+/**
+ * Every tombstone's email hash, for checking many addresses at once
+ * @returns {Set<string>}
+ */
+function erasedEmailHashes() {
+  const tombstones =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TOMBSTONE_SHEET_NAME);
+  if (!tombstones || tombstones.getLastRow() < 2) {
+    return new Set();
+  }
+
+  return new Set(
+    tombstones
+      .getRange(2, 1, tombstones.getLastRow() - 1, 1)
+      .getValues()
+      .map((values) => values[0]),
   );
+}
 
-  // Convert to hex string
-  const hashHex = rawSignature
+const TOMBSTONE_SHEET_NAME = "Tombstones";
+
+/**
+ * The "Tombstones" sheet (A: emailhash | B: erasedat), created on first use
+ */
+function getTombstoneSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(TOMBSTONE_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      TOMBSTONE_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet.getRange(1, 1, 1, 2).setValues([["emailhash", "erasedat"]]);
+    spreadsheet.setActiveSheet(subscriberSheet);
+  }
+
+  return sheet;
+}
+
+/**
+ * SHA-256 hex of the normalized email - must match emailHash() in the
+ * Worker's src/storage/records.js
+ */
+function emailHash(email) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    email.toLowerCase().trim(),
+    Utilities.Charset.UTF_8,
+  );
+
+  return digest
     .map(function (byte) {
-      // Handle negative bytes
       const v = (byte + 256) % 256;
       return ("0" + v.toString(16)).slice(-2);
     })
     .join("");
+}
+
+/**
+ * Return the numbers viewStats() logs, for the Worker's GET /admin/stats
+ */
+function handleStats() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const stats = collectStats(sheet);
 
-  // Return first 32 characters to match the Worker's token length
-  return hashHex.substring(0, 32);
+  stats.settings = {
+    welcomeEmailMode: CONFIG.welcomeEmailMode,
+    senderEmail: CONFIG.senderEmail,
+    ownerNotifications: CONFIG.sendOwnerNotification,
+    welcomeEmails: CONFIG.sendWelcomeEmail,
+    requireConfirmation: CONFIG.requireConfirmation,
+    spreadsheetUrl: SpreadsheetApp.getActiveSpreadsheet().getUrl(),
+  };
+
+  return createJsonResponse({ success: true, stats });
 }
 
 /**
- * Generate full unsubscribe URL for an email address
+ * Count subscribers by status, in the same shape as the Worker's other backends
+ * Paused counts active subscribers whose pauseduntil date hasn't passed yet.
+ * Suppressed counts active subscribers processBounces() stopped emailing -
+ * they're left out of subscribed (and paused), since nothing reaches them.
+ * by_source and by_utm_source break the counts down by column D and column K
+ * (rows without a utm_source are grouped under "(none)").
+ *
+ * Column order: A=email | ... | D=source | E=subscribed | ... | J=pauseduntil | K=utmsource | ... | T=suppressed
  */
-function generateUnsubscribeUrl(email) {
-  const token = generateUnsubscribeToken(email);
-  const encodedEmail = encodeURIComponent(email.toLowerCase().trim());
-  return `${CONFIG.unsubscribeBaseUrl}?email=${encodedEmail}&token=${token}`;
+function collectStats(sheet) {
+  const stats = {
+    total: 0,
+    subscribed: 0,
+    pending: 0,
+    unsubscribed: 0,
+    paused: 0,
+    suppressed: 0,
+    by_source: {},
+    by_utm_source: {},
+  };
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return stats;
+  }
+
+  const today = formatDateOnly(new Date());
+  sheet
+    .getRange(2, 1, lastRow - 1, SUPPRESSED_COLUMN)
+    .getValues()
+    .filter((values) => values[0])
+    .forEach((values) => {
+      const subscriber = subscriberFromRow(values);
+      const status =
+        subscriber.status === "subscribed" &&
+        isSuppressedValue(values[SUPPRESSED_COLUMN - 1])
+          ? "suppressed"
+          : subscriber.status;
+
+      stats.total++;
+      stats[status]++;
+      if (status === "subscribed" && subscriber.paused_until >= today) {
+        stats.paused++;
+      }
+      countByKey(stats.by_source, subscriber.source, status);
+      countByKey(
+        stats.by_utm_source,
+        subscriber.utm_source || "(none)",
+        status,
+      );
+    });
+
+  return stats;
 }
 
-// ============================================================================
-// EMAIL FUNCTIONS - Using GmailApp for proper alias support
-// ============================================================================
+/**
+ * Add a subscriber to its group's counts in a by_source / by_utm_source tally
+ */
+function countByKey(groups, key, status) {
+  const group = groups[key] || {
+    total: 0,
+    subscribed: 0,
+    pending: 0,
+    unsubscribed: 0,
+    suppressed: 0,
+  };
+  group.total++;
+  group[status]++;
+  groups[key] = group;
+}
+
+// Columns A-P
+const SUBSCRIBER_COLUMNS = 16;
+
+// Columns Q-T - bouncecount | lastbounce | lastbounceat | suppressed, kept by
+// processBounces() and never sent to the Worker
+const BOUNCE_COUNT_COLUMN = 17;
+const SUPPRESSED_COLUMN = 20;
+
+// Columns K-P, in order - the signup's utm_* parameters and referring page
+// Keep in sync with ATTRIBUTION_FIELDS in the Worker's src/attribution.js
+const ATTRIBUTION_FIELDS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "referrer",
+];
 
 /**
- * Send notification email to the business owner
+ * Find a subscriber's sheet row (1-based), or -1 if they aren't in the sheet
  */
-function sendOwnerNotification(subscriberEmail, totalSubscribers) {
-  const subject = `New Newsletter Signup - ${CONFIG.businessName}`;
-  const c = CONFIG.colors;
+function findSubscriberRow(sheet, email) {
+  const emailColumn = sheet.getRange("A:A").getValues().flat();
+  const rowIndex = emailColumn.findIndex(
+    (e) => e.toString().toLowerCase() === email.toLowerCase(),
+  );
+  return rowIndex === -1 ? -1 : rowIndex + 1;
+}
 
-  const htmlBody = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
-      <div style="background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%); border-radius: 12px; padding: 24px; text-align: center; border: 1px solid ${c.tertiaryMedium};">
-        <h2 style="color: ${c.secondary}; margin: 0 0 16px 0;">&#x1F36A; New Newsletter Signup!</h2>
+/**
+ * Convert a sheet row (columns A-P) into the subscriber shape shared with the
+ * Worker's other storage backends (see src/storage/index.js)
+ */
+function subscriberFromRow(values) {
+  const subscribed = values[4];
+  const pausedUntil = values[9];
 
-        <p style="color: ${c.textLight}; margin: 0 0 16px 0;">Someone just signed up for your newsletter:</p>
+  const subscriber = {
+    email: values[0].toString().toLowerCase(),
+    first_name: values[1] ? values[1].toString() : "",
+    timestamp: values[2] ? values[2].toString() : "",
+    source: values[3] ? values[3].toString() : "unknown",
+    status: isPendingValue(subscribed)
+      ? "pending"
+      : subscribed === false || subscribed === "FALSE"
+        ? "unsubscribed"
+        : "subscribed",
+    pending_since: values[6] ? values[6].toString() : "",
+    topics: values[7]
+      ? values[7]
+          .toString()
+          .split(",")
+          .map((topic) => topic.trim())
+          .filter(Boolean)
+      : [],
+    frequency: values[8] ? values[8].toString() : "all",
+    // Sheets turns YYYY-MM-DD strings into Date objects
+    paused_until:
+      pausedUntil instanceof Date
+        ? formatDateOnly(pausedUntil)
+        : pausedUntil
+          ? pausedUntil.toString()
+          : "",
+  };
 
-        <div style="background: white; padding: 16px; border-radius: 8px; margin: 0 0 16px 0; border: 2px solid ${c.primary};">
-          <p style="font-size: 18px; font-weight: bold; color: ${c.primary}; margin: 0;">
-            ${subscriberEmail}
-          </p>
-        </div>
+  ATTRIBUTION_FIELDS.forEach((field, i) => {
+    subscriber[field] = values[10 + i] ? values[10 + i].toString() : "";
+  });
 
-        <p style="color: ${c.textLight}; margin: 0;">
-          You now have <strong style="font-size: 20px; color: ${c.accent};">${totalSubscribers}</strong> active subscriber${totalSubscribers === 1 ? "" : "s"}! &#x1F389;
-        </p>
-      </div>
+  return subscriber;
+}
 
-      <p style="text-align: center; margin-top: 20px;">
-        <a href="${SpreadsheetApp.getActiveSpreadsheet().getUrl()}"
-           style="color: ${c.primary}; text-decoration: none; font-size: 14px;">
-          View all signups →
-        </a>
-      </p>
-    </div>
-  `;
+/**
+ * Format a Date as YYYY-MM-DD in the script's time zone
+ */
+function formatDateOnly(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * Count active (subscribed) subscribers - suppressed addresses don't count
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ *               ... | T=suppressed
+ */
+function countActiveSubscribers(sheet) {
+  const data = sheet.getDataRange().getValues();
+  let count = 0;
+
+  // Start from row 1 to skip header (index 0)
+  for (let i = 1; i < data.length; i++) {
+    if (isSuppressedValue(data[i][SUPPRESSED_COLUMN - 1])) {
+      continue;
+    }
+
+    const subscribed = data[i][4]; // Column E (index 4)
+    if (subscribed === true || subscribed === "TRUE" || subscribed === "") {
+      // Count as subscribed if TRUE or if the column is empty (legacy rows)
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Value stored in Column E while a new signup awaits confirmation
+ */
+const PENDING_VALUE = "PENDING";
+
+/**
+ * Check whether a Column E value means "awaiting confirmation"
+ */
+function isPendingValue(value) {
+  return value === PENDING_VALUE;
+}
+
+/**
+ * Check whether a Column T value means "don't email this address"
+ */
+function isSuppressedValue(value) {
+  return value === true || value === "TRUE";
+}
+
+/**
+ * Format timestamp in Pacific Time (24hr format)
+ * @param {string} isoTimestamp - Optional ISO timestamp string
+ * @returns {string} Formatted timestamp like "2024-01-15 14:30:45"
+ */
+function formatPacificTimestamp(isoTimestamp) {
+  const date = isoTimestamp ? new Date(isoTimestamp) : new Date();
+
+  // Format in Pacific timezone
+  const options = {
+    timeZone: "America/Los_Angeles",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+  };
+
+  const formatter = new Intl.DateTimeFormat("en-CA", options);
+  const parts = formatter.formatToParts(date);
+
+  // Build formatted string: YYYY-MM-DD HH:MM:SS
+  const getValue = (type) => parts.find((p) => p.type === type)?.value || "";
+  return `${getValue("year")}-${getValue("month")}-${getValue("day")} ${getValue("hour")}:${getValue("minute")}:${getValue("second")}`;
+}
+
+/**
+ * Handle GET requests (for testing the endpoint is live)
+ */
+function doGet(e) {
+  return createJsonResponse({
+    status: "Newsletter signup endpoint is running",
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// ============================================================================
+// ORDERS - Pickup pre-orders from the Worker's POST /orders
+// ============================================================================
+//
+// The Worker validates and prices each order from its menu catalog; this side
+// stores it in the "Orders" sheet (created on first use), enforces per-slot
+// capacity under the orders lock and emails the owner and the customer.
+//
+// Orders sheet: A: orderid | B: createdat | C: status | D: email | E: name | F: phone
+// G: pickupslot | H: items (JSON) | I: itemcount | J: totalcents | K: notes | L: updatedat
+
+const ORDERS_SHEET_NAME = "Orders";
+const ORDER_COLUMNS = 12;
+// How long the orders lock outlives a request that died holding it
+const ORDERS_LOCK_SECONDS = 30;
+
+// Allowed status changes - picked_up and cancelled are final
+// Keep the statuses in sync with ORDER_STATUSES in the Worker's src/orders.js
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["ready", "cancelled"],
+  ready: ["picked_up", "cancelled"],
+  picked_up: [],
+  cancelled: [],
+};
+
+// The customer is emailed when their order reaches one of these
+const ORDER_STATUS_EMAILS = {
+  pending: {
+    subject: "We got your order",
+    heading: "Thanks for your order! &#x1F36A;",
+    message: "We'll confirm it shortly. Here's what you ordered:",
+  },
+  confirmed: {
+    subject: "Your order is confirmed",
+    heading: "Your order is confirmed! &#x1F389;",
+    message: "We'll have everything fresh for your pickup:",
+  },
+  ready: {
+    subject: "Your order is ready for pickup",
+    heading: "Your cookies are ready! &#x1F36A;",
+    message: "Come by any time during your pickup slot:",
+  },
+  cancelled: {
+    subject: "Your order was cancelled",
+    heading: "Your order was cancelled",
+    message: "If that's unexpected, just reply to this email. The order was:",
+  },
+};
+
+// How allergens on order items are named in emails
+// Keep in sync with the labels in the site's data/allergens.toml
+const ALLERGEN_LABELS = {
+  milk: "Milk",
+  eggs: "Eggs",
+  fish: "Fish",
+  shellfish: "Shellfish",
+  "tree-nuts": "Tree nuts",
+  peanuts: "Peanuts",
+  wheat: "Wheat",
+  soybeans: "Soy",
+  sesame: "Sesame",
+};
+
+/**
+ * Dispatch an order_* action
+ */
+function handleOrderAction(action, data) {
+  switch (action) {
+    case "order_create":
+      return handleOrderCreate(data);
+    case "order_get":
+      return handleOrderGet(data);
+    case "order_list":
+      return handleOrderList(data);
+    case "order_status":
+      return handleOrderStatus(data);
+    case "order_slot_usage":
+      return handleOrderSlotUsage(data);
+    default:
+      return createJsonResponse({
+        success: false,
+        error: `Unknown action: ${action}`,
+      });
+  }
+}
+
+/**
+ * Store a new order if its pickup slot still has room
+ * data.order is already validated and priced by the Worker; data.slot_capacity is
+ * the most cookies one slot can take (ORDER_SLOT_CAPACITY).
+ */
+function handleOrderCreate(data) {
+  const now = new Date().toISOString();
+  const order = {
+    id: data.order.id,
+    created_at: now,
+    status: "pending",
+    email: data.order.email,
+    name: data.order.name,
+    phone: data.order.phone || "",
+    pickup_slot: data.order.pickup_slot,
+    items: data.order.items,
+    item_count: data.order.item_count,
+    total_cents: data.order.total_cents,
+    notes: data.order.notes || "",
+    updated_at: now,
+  };
+
+  // Hold the lock from counting to writing so two orders can't share the last spots
+  waitForOrdersLock();
+  try {
+    const sheet = getOrdersSheet();
+    const booked = readOrders(sheet)
+      .filter(
+        (entry) =>
+          entry.order.pickup_slot === order.pickup_slot &&
+          entry.order.status !== "cancelled",
+      )
+      .reduce((sum, entry) => sum + entry.order.item_count, 0);
+
+    if (booked + order.item_count > data.slot_capacity) {
+      return createJsonResponse({
+        success: false,
+        error: "Slot full",
+        remaining: Math.max(data.slot_capacity - booked, 0),
+      });
+    }
+
+    sheet.appendRow(orderToRow(order));
+  } finally {
+    releaseOrdersLock();
+  }
+
+  logEvent("info", "order_created", {
+    order_id: order.id,
+    pickup_slot: order.pickup_slot,
+  });
+
+  // The order is saved either way, so a mail hiccup shouldn't fail it
+  try {
+    if (CONFIG.sendOwnerNotification) {
+      sendOrderOwnerNotification(order);
+    }
+    sendOrderCustomerEmail(order);
+  } catch (error) {
+    logEvent("error", "order_email_failed", {
+      order_id: order.id,
+      error: error.message,
+    });
+  }
+
+  return createJsonResponse({ success: true, order });
+}
+
+/**
+ * Wait for the orders lock, or throw a LOCK_BUSY error
+ * Orders only need to be kept from each other, so they have their own lock instead
+ * of the script lock - a busy pickup morning never makes signups wait.
+ */
+function waitForOrdersLock() {
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+  while (!claimCacheFlag("lock:orders", ORDERS_LOCK_SECONDS)) {
+    if (Date.now() > giveUpAt) {
+      throw lockBusyError();
+    }
+    Utilities.sleep(200);
+  }
+}
+
+/**
+ * Release the orders lock taken by waitForOrdersLock()
+ */
+function releaseOrdersLock() {
+  CacheService.getScriptCache().remove("lock:orders");
+}
+
+/**
+ * Look up one order by ID
+ */
+function handleOrderGet(data) {
+  const entry = findOrder(getOrdersSheet(), data.order_id);
+  if (!entry) {
+    return createJsonResponse({ success: false, error: "Order not found" });
+  }
+  return createJsonResponse({ success: true, order: entry.order });
+}
+
+/**
+ * Return a page of orders, newest first, optionally only one status
+ * data.cursor is the sheet row to continue upwards from (opaque to the Worker).
+ */
+function handleOrderList(data) {
+  const sheet = getOrdersSheet();
+  const limit = Math.min(Math.max(parseInt(data.limit, 10) || 100, 1), 500);
+  const startRow = parseInt(data.cursor, 10) || sheet.getLastRow();
+
+  const orders = [];
+  let row = startRow;
+  if (row >= 2) {
+    const values = sheet.getRange(2, 1, row - 1, ORDER_COLUMNS).getValues();
+    for (; row >= 2 && orders.length < limit; row--) {
+      const order = orderFromRow(values[row - 2]);
+      if (order.id && (!data.status || order.status === data.status)) {
+        orders.push(order);
+      }
+    }
+  }
+
+  return createJsonResponse({
+    success: true,
+    orders,
+    cursor: row >= 2 ? String(row) : null,
+  });
+}
+
+/**
+ * Move an order to a new status if ORDER_TRANSITIONS allows it, then email the customer
+ */
+function handleOrderStatus(data) {
+  let order;
+
+  waitForOrdersLock();
+  try {
+    const sheet = getOrdersSheet();
+    const entry = findOrder(sheet, data.order_id);
+    if (!entry) {
+      return createJsonResponse({ success: false, error: "Order not found" });
+    }
+
+    const allowed = ORDER_TRANSITIONS[entry.order.status] || [];
+    if (!allowed.includes(data.status)) {
+      return createJsonResponse({
+        success: false,
+        error: "Invalid status change",
+        order: entry.order,
+      });
+    }
+
+    order = {
+      ...entry.order,
+      status: data.status,
+      updated_at: new Date().toISOString(),
+    };
+    sheet.getRange(entry.row, 3).setValue(order.status); // Column C
+    sheet.getRange(entry.row, 12).setValue(order.updated_at); // Column L
+  } finally {
+    releaseOrdersLock();
+  }
+
+  logEvent("info", "order_status_changed", {
+    order_id: order.id,
+    status: order.status,
+  });
+
+  if (ORDER_STATUS_EMAILS[order.status]) {
+    try {
+      sendOrderCustomerEmail(order);
+    } catch (error) {
+      logEvent("error", "order_email_failed", {
+        order_id: order.id,
+        error: error.message,
+      });
+    }
+  }
+
+  return createJsonResponse({ success: true, order });
+}
+
+/**
+ * Cookies booked in each of data.slots, ignoring cancelled orders
+ */
+function handleOrderSlotUsage(data) {
+  const usage = {};
+  (data.slots || []).forEach((slot) => {
+    usage[slot] = 0;
+  });
+
+  readOrders(getOrdersSheet()).forEach(({ order }) => {
+    if (order.status !== "cancelled" && order.pickup_slot in usage) {
+      usage[order.pickup_slot] += order.item_count;
+    }
+  });
+
+  return createJsonResponse({ success: true, usage });
+}
+
+/**
+ * The "Orders" sheet, created on first use
+ */
+function getOrdersSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(ORDERS_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      ORDERS_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet
+      .getRange(1, 1, 1, ORDER_COLUMNS)
+      .setValues([
+        [
+          "orderid",
+          "createdat",
+          "status",
+          "email",
+          "name",
+          "phone",
+          "pickupslot",
+          "items",
+          "itemcount",
+          "totalcents",
+          "notes",
+          "updatedat",
+        ],
+      ]);
+    spreadsheet.setActiveSheet(subscriberSheet);
+  }
+
+  return sheet;
+}
+
+/**
+ * Every order with its sheet row (1-based)
+ */
+function readOrders(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  return sheet
+    .getRange(2, 1, lastRow - 1, ORDER_COLUMNS)
+    .getValues()
+    .map((values, i) => ({ row: i + 2, order: orderFromRow(values) }))
+    .filter((entry) => entry.order.id);
+}
+
+/**
+ * Find an order (case-insensitive ID), or null
+ */
+function findOrder(sheet, orderId) {
+  const id = String(orderId || "").toUpperCase();
+  return readOrders(sheet).find((entry) => entry.order.id === id) || null;
+}
+
+/**
+ * Convert an order into a sheet row (columns A-L)
+ * Customer-typed fields are stored as text (leading ') so Sheets never runs them
+ * as formulas or turns phone numbers into numbers.
+ */
+function orderToRow(order) {
+  const asText = (value) => (value ? `'${value}` : "");
+  return [
+    order.id,
+    order.created_at,
+    order.status,
+    order.email,
+    asText(order.name),
+    asText(order.phone),
+    asText(order.pickup_slot),
+    JSON.stringify(order.items),
+    order.item_count,
+    order.total_cents,
+    asText(order.notes),
+    order.updated_at,
+  ];
+}
+
+/**
+ * Convert a sheet row (columns A-L) back into an order
+ * Sheets may have turned timestamps into dates, so turn them back into ISO strings.
+ */
+function orderFromRow(values) {
+  const isoString = (value) =>
+    value instanceof Date ? value.toISOString() : String(value || "");
+
+  let items = [];
+  try {
+    items = JSON.parse(values[7] || "[]");
+  } catch (error) {
+    logEvent("error", "order_items_unreadable", { order_id: values[0] });
+  }
+
+  return {
+    id: String(values[0] || "").toUpperCase(),
+    created_at: isoString(values[1]),
+    status: String(values[2] || ""),
+    email: String(values[3] || ""),
+    name: String(values[4] || ""),
+    phone: String(values[5] || ""),
+    pickup_slot: String(values[6] || ""),
+    items,
+    item_count: Number(values[8]) || 0,
+    total_cents: Number(values[9]) || 0,
+    notes: String(values[10] || ""),
+    updated_at: isoString(values[11]),
+  };
+}
+
+/**
+ * Email the owner about a new order, like sendOwnerNotification() does for signups
+ */
+function sendOrderOwnerNotification(order) {
+  const subject = `New Pre-Order ${order.id} - ${CONFIG.businessName}`;
+  const c = CONFIG.colors;
+
+  const htmlBody = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%); border-radius: 12px; padding: 24px; border: 1px solid ${c.tertiaryMedium};">
+        <h2 style="color: ${c.secondary}; margin: 0 0 16px 0; text-align: center;">&#x1F9FE; New Pre-Order!</h2>
+
+        <p style="color: ${c.textLight}; margin: 0 0 8px 0;">
+          <strong style="color: ${c.secondary};">${escapeHtml(order.name)}</strong>
+          (${escapeHtml(order.email)}${order.phone ? `, ${escapeHtml(order.phone)}` : ""})
+        </p>
+        <p style="color: ${c.textLight}; margin: 0 0 16px 0;">
+          Pickup: <strong style="color: ${c.primary};">${formatPickupSlot(order.pickup_slot)}</strong>
+        </p>
+
+        ${orderItemsTable(order)}
+
+        ${order.notes ? `<p style="color: ${c.textLight}; margin: 16px 0 0 0;"><em>Notes:</em> ${escapeHtml(order.notes)}</p>` : ""}
+      </div>
+
+      <p style="text-align: center; margin-top: 20px;">
+        <a href="${SpreadsheetApp.getActiveSpreadsheet().getUrl()}"
+           style="color: ${c.primary}; text-decoration: none; font-size: 14px;">
+          View all orders →
+        </a>
+      </p>
+    </div>
+  `;
+
+  // Use GmailApp for proper alias support
+  GmailApp.sendEmail(CONFIG.ownerEmail, subject, "", {
+    htmlBody: htmlBody,
+    from: CONFIG.senderEmail,
+    name: CONFIG.senderName,
+    replyTo: order.email,
+  });
+}
+
+/**
+ * Email the customer about their order's current status (see ORDER_STATUS_EMAILS)
+ */
+function sendOrderCustomerEmail(order) {
+  const copy = ORDER_STATUS_EMAILS[order.status];
+  const subject = `${copy.subject} (${order.id}) - ${CONFIG.businessName}`;
+  const c = CONFIG.colors;
+
+  const htmlBody = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: ${c.tertiary};">
+
+      <!-- Header -->
+      <div style="text-align: center; padding: 32px 20px 24px 20px; background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%);">
+        <h1 style="color: ${c.secondary}; margin: 0; font-size: 28px;">${CONFIG.businessName}</h1>
+      </div>
+
+      <!-- Main Content -->
+      <div style="background: white; padding: 36px; margin: 0 16px; border-radius: 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.08);">
+        <h2 style="color: ${c.primary}; margin: 0 0 16px 0; font-size: 24px; text-align: center;">
+          ${copy.heading}
+        </h2>
+
+        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 20px 0;">
+          Hi ${escapeHtml(order.name)}, ${copy.message}
+        </p>
+
+        ${orderItemsTable(order)}
+
+        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 20px 0 0 0;">
+          <strong style="color: ${c.secondary};">Order:</strong> ${order.id}<br>
+          <strong style="color: ${c.secondary};">Pickup:</strong> ${formatPickupSlot(order.pickup_slot)}
+          ${CONFIG.orderPickupLocation ? `<br><strong style="color: ${c.secondary};">Where:</strong> ${CONFIG.orderPickupLocation}` : ""}
+        </p>
+      </div>
+
+      <!-- Footer -->
+      <div style="text-align: center; padding: 24px 20px; color: ${c.textLight}; font-size: 12px;">
+        <p style="margin: 0;">
+          Questions or changes? Just reply to this email.
+        </p>
+      </div>
+
+    </div>
+  `;
+
+  // Use GmailApp for proper alias support
+  GmailApp.sendEmail(order.email, subject, "", {
+    htmlBody: htmlBody,
+    from: CONFIG.senderEmail,
+    name: CONFIG.senderName,
+    replyTo: CONFIG.senderEmail,
+  });
+}
+
+/**
+ * HTML table of an order's line items and total
+ */
+function orderItemsTable(order) {
+  const c = CONFIG.colors;
+  const rows = order.items
+    .map(
+      (item) => `
+        <tr>
+          <td style="padding: 6px 0; color: ${c.secondary};">${item.quantity} × ${escapeHtml(item.title)}</td>
+          <td style="padding: 6px 0; color: ${c.textLight}; text-align: right;">${formatCents(item.line_total_cents)}</td>
+        </tr>`,
+    )
+    .join("");
+
+  // Orders placed before items carried allergens simply skip this line
+  const allergens = [];
+  order.items.forEach((item) => {
+    (item.allergens || []).forEach((allergen) => {
+      const label = ALLERGEN_LABELS[allergen] || allergen;
+      if (allergens.indexOf(label) === -1) {
+        allergens.push(label);
+      }
+    });
+  });
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; background: white; border-radius: 8px;">
+      ${rows}
+      <tr>
+        <td style="padding: 8px 0 0 0; border-top: 2px solid ${c.tertiaryMedium}; font-weight: bold; color: ${c.secondary};">Total (pay at pickup)</td>
+        <td style="padding: 8px 0 0 0; border-top: 2px solid ${c.tertiaryMedium}; font-weight: bold; color: ${c.primary}; text-align: right;">${formatCents(order.total_cents)}</td>
+      </tr>
+    </table>
+    ${
+      allergens.length
+        ? `<p style="font-size: 14px; color: ${c.textLight}; margin: 12px 0 0 0;"><strong style="color: ${c.secondary};">Contains:</strong> ${escapeHtml(allergens.join(", "))}</p>`
+        : ""
+    }
+  `;
+}
+
+/**
+ * 400 → "$4.00"
+ */
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * "2026-11-07T10:30" → "Sat, Nov 7 at 10:30 AM"
+ * Slots are already local pickup times, so format them without converting timezones.
+ */
+function formatPickupSlot(slot) {
+  const match = String(slot).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+  if (!match) {
+    return String(slot);
+  }
+  const date = new Date(
+    Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5]),
+  );
+  return Utilities.formatDate(date, "UTC", "EEE, MMM d 'at' h:mm a");
+}
+
+// ============================================================================
+// IMPORTS - Bulk-add subscribers from a CSV or the "Import" sheet
+// ============================================================================
+//
+// Two ways in, both through importSubscriberRows():
+// - The Worker's POST /admin/subscribers/import parses a CSV (src/import.js) and calls
+//   back with action "import"
+// - importSubscribersFromSheet() reads a list pasted into the CONFIG.importSheetName
+//   sheet and writes each row's result next to it
+//
+// New addresses are subscribed straight away with an unsubscribe URL, and nobody is
+// emailed. Addresses already in column A (compared case-insensitively) are skipped
+// whatever their status - so an import never resubscribes someone who opted out - and
+// so are erased addresses (see isErasedEmail).
+
+// Header names (lowercased, letters only) recognised in the import sheet - keep in
+// sync with EMAIL_HEADERS / NAME_HEADERS in the Worker's src/import.js
+const IMPORT_EMAIL_HEADERS = ["email", "emailaddress", "mail"];
+const IMPORT_NAME_HEADERS = ["firstname", "first", "givenname", "name"];
+
+/**
+ * Handle a CSV import from the Worker's admin API
+ * The Worker has already validated the rows and dropped duplicates within the file.
+ */
+function handleImport(data) {
+  const subscribers = Array.isArray(data.subscribers) ? data.subscribers : [];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+
+  // Signups arriving mid-import must not add a row we're about to add too
+  const lock = LockService.getScriptLock();
+  waitForLock(lock);
+  try {
+    const results = importSubscriberRows(
+      sheet,
+      subscribers,
+      data.source || "import",
+    );
+    logEvent("info", "subscribers_imported", countImportResults(results));
+    return createJsonResponse({ success: true, results: results });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Add imported subscribers to the subscriber sheet - call under the script lock
+ * Sends no confirmation, welcome or owner emails.
+ * @param {Array<{email: string, first_name?: string}>} rows
+ * @param {string} source - Column D for the new rows
+ * @returns {Array<{email: string, status: string, reason?: string}>} - One per row, in
+ *   order, with status "added", "skipped" or "invalid"
+ */
+function importSubscriberRows(sheet, rows, source) {
+  // Column A and E of every row, read once rather than per import row
+  const existing = {};
+  sheet
+    .getRange(1, 1, Math.max(sheet.getLastRow(), 1), 5)
+    .getValues()
+    .forEach((values) => {
+      const email = values[0].toString().toLowerCase().trim();
+      if (email) {
+        existing[email] = isPendingValue(values[4])
+          ? "pending confirmation"
+          : values[4] === false || values[4] === "FALSE"
+            ? "unsubscribed"
+            : "already subscribed";
+      }
+    });
+  const erased = erasedEmailHashes();
+  const timestamp = formatPacificTimestamp();
+  const newRows = [];
+
+  const results = rows.map((row) => {
+    const email = (row.email || "").toString().toLowerCase().trim();
+    const firstName = (row.first_name || "").toString().trim();
+
+    if (!isValidEmail(email)) {
+      return { email: email, status: "invalid", reason: "invalid email" };
+    }
+    if (firstName.length > 50) {
+      return {
+        email: email,
+        status: "invalid",
+        reason: "first name longer than 50 characters",
+      };
+    }
+    if (existing[email]) {
+      return { email: email, status: "skipped", reason: existing[email] };
+    }
+    if (erased.has(emailHash(email))) {
+      return { email: email, status: "skipped", reason: "erased" };
+    }
+
+    // Later rows with the same address (the Worker drops these before sending)
+    existing[email] = "duplicate in file";
+    // Columns: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+    //          G=pendingsince | H=topics | I=frequency | J=pauseduntil | K-O=utm_* | P=referrer
+    newRows.push([
+      asSheetText(email),
+      asSheetText(firstName),
+      timestamp,
+      source,
+      true,
+      generateUnsubscribeUrl(email),
+      "",
+      "",
+      "all",
+      "",
+      ...ATTRIBUTION_FIELDS.map(() => ""),
+    ]);
+    return { email: email, status: "added" };
+  });
+
+  if (newRows.length) {
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, newRows.length, SUBSCRIBER_COLUMNS)
+      .setValues(newRows);
+  }
+
+  return results;
+}
+
+/**
+ * Tally import results as { added, skipped, invalid }
+ */
+function countImportResults(results) {
+  const counts = { added: 0, skipped: 0, invalid: 0 };
+  results.forEach((result) => {
+    counts[result.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Keep a value starting with = + - @ from being run as a formula
+ */
+function asSheetText(value) {
+  return /^[=+\-@]/.test(value) ? "'" + value : value;
+}
+
+// ============================================================================
+// UNSUBSCRIBE TOKEN FUNCTIONS
+// ============================================================================
+
+/**
+ * Generate a versioned HMAC-SHA256 token for unsubscribe links
+ * Format: v1.<keyId>.<issuedAt>.<signature> - must match the Worker's verifyToken()
+ */
+function generateUnsubscribeToken(email) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const keyId = CONFIG.unsubscribeKeyId;
+  const issuedAt = Math.floor(Date.now() / 1000).toString();
+
+  // Create HMAC-SHA256 signature (matches Worker's crypto.subtle.sign("HMAC", key, data))
+  const rawSignature = Utilities.computeHmacSignature(
+    Utilities.MacAlgorithm.HMAC_SHA_256,
+    `unsubscribe:${keyId}:${issuedAt}:${normalizedEmail}`,
+    CONFIG.unsubscribeSecret,
+  );
+
+  // Convert to hex string
+  const hashHex = rawSignature
+    .map(function (byte) {
+      // Handle negative bytes
+      const v = (byte + 256) % 256;
+      return ("0" + v.toString(16)).slice(-2);
+    })
+    .join("");
+
+  // Use the first 32 characters to match the Worker's signature length
+  return ["v1", keyId, issuedAt, hashHex.substring(0, 32)].join(".");
+}
+
+/**
+ * Generate full unsubscribe URL for an email address
+ */
+function generateUnsubscribeUrl(email) {
+  const token = generateUnsubscribeToken(email);
+  const encodedEmail = encodeURIComponent(email.toLowerCase().trim());
+  return `${CONFIG.unsubscribeBaseUrl}?email=${encodedEmail}&token=${token}`;
+}
+
+// ============================================================================
+// EMAIL FUNCTIONS - Using GmailApp for proper alias support
+// ============================================================================
+
+/**
+ * Send notification email to the business owner
+ */
+function sendOwnerNotification(subscriberEmail, totalSubscribers) {
+  const subject = `New Newsletter Signup - ${CONFIG.businessName}`;
+  const c = CONFIG.colors;
+
+  const htmlBody = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%); border-radius: 12px; padding: 24px; text-align: center; border: 1px solid ${c.tertiaryMedium};">
+        <h2 style="color: ${c.secondary}; margin: 0 0 16px 0;">&#x1F36A; New Newsletter Signup!</h2>
+
+        <p style="color: ${c.textLight}; margin: 0 0 16px 0;">Someone just signed up for your newsletter:</p>
+
+        <div style="background: white; padding: 16px; border-radius: 8px; margin: 0 0 16px 0; border: 2px solid ${c.primary};">
+          <p style="font-size: 18px; font-weight: bold; color: ${c.primary}; margin: 0;">
+            ${subscriberEmail}
+          </p>
+        </div>
+
+        <p style="color: ${c.textLight}; margin: 0;">
+          You now have <strong style="font-size: 20px; color: ${c.accent};">${totalSubscribers}</strong> active subscriber${totalSubscribers === 1 ? "" : "s"}! &#x1F389;
+        </p>
+      </div>
+
+      <p style="text-align: center; margin-top: 20px;">
+        <a href="${SpreadsheetApp.getActiveSpreadsheet().getUrl()}"
+           style="color: ${c.primary}; text-decoration: none; font-size: 14px;">
+          View all signups →
+        </a>
+      </p>
+    </div>
+  `;
+
+  // Use GmailApp for proper alias support
+  GmailApp.sendEmail(CONFIG.ownerEmail, subject, "", {
+    htmlBody: htmlBody,
+    from: CONFIG.senderEmail,
+    name: CONFIG.senderName,
+  });
+}
+
+/**
+ * Send the welcome email using the configured template mode
+ */
+function sendWelcomeEmail(subscriberEmail) {
+  if (CONFIG.welcomeEmailMode === "draft") {
+    sendWelcomeEmailFromDraft(subscriberEmail);
+  } else {
+    sendWelcomeEmailHtml(subscriberEmail);
+  }
+}
+
+/**
+ * Send the double opt-in confirmation email
+ * @param {string} subscriberEmail - The address to confirm
+ * @param {string} confirmUrl - Signed /confirm link generated by the Worker
+ */
+function sendConfirmationEmail(subscriberEmail, confirmUrl) {
+  const subject = `Please confirm your subscription to ${CONFIG.businessName}`;
+  const c = CONFIG.colors;
+
+  const htmlBody = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: ${c.tertiary};">
+
+      <!-- Header -->
+      <div style="text-align: center; padding: 32px 20px 24px 20px; background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%);">
+        <h1 style="color: ${c.secondary}; margin: 0; font-size: 28px;">${CONFIG.businessName}</h1>
+      </div>
+
+      <!-- Main Content -->
+      <div style="background: white; padding: 36px; margin: 0 16px; border-radius: 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); text-align: center;">
+        <h2 style="color: ${c.primary}; margin: 0 0 24px 0; font-size: 24px;">
+          One more step! &#x1F36A;
+        </h2>
+
+        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 28px 0;">
+          Please confirm that <strong style="color: ${c.secondary};">${subscriberEmail}</strong>
+          should receive news from ${CONFIG.businessName}.
+        </p>
+
+        <a href="${confirmUrl}"
+           style="display: inline-block; background: ${c.accent}; color: ${c.secondaryDark}; text-decoration: none; font-weight: bold; padding: 14px 32px; border-radius: 30px; font-size: 16px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
+          Confirm My Subscription
+        </a>
+
+        <p style="font-size: 14px; line-height: 1.6; color: ${c.textLight}; margin: 28px 0 0 0;">
+          This link expires in ${CONFIG.pendingExpiryHours} hours.
+        </p>
+      </div>
+
+      <!-- Footer -->
+      <div style="text-align: center; padding: 24px 20px; color: ${c.textLight}; font-size: 12px;">
+        <p style="margin: 0;">
+          If you didn't sign up at
+          <a href="${CONFIG.websiteUrl}" style="color: ${c.primary};">${CONFIG.websiteUrl}</a>,
+          you can ignore this email and you won't hear from us again.
+        </p>
+      </div>
+
+    </div>
+  `;
+
+  // Use GmailApp for proper alias support
+  GmailApp.sendEmail(subscriberEmail, subject, "", {
+    htmlBody: htmlBody,
+    from: CONFIG.senderEmail,
+    name: CONFIG.senderName,
+    replyTo: CONFIG.senderEmail,
+  });
+}
+
+/**
+ * Send welcome email using the built-in HTML template
+ */
+function sendWelcomeEmailHtml(subscriberEmail) {
+  const subject = `Welcome to ${CONFIG.businessName}!`;
+  const c = CONFIG.colors;
+
+  // Generate unsubscribe URL for this subscriber
+  const unsubscribeUrl = generateUnsubscribeUrl(subscriberEmail);
+
+  // Build logo HTML if configured
+  let logoHtml = "";
+  if (CONFIG.logoUrl) {
+    logoHtml = `
+      <img src="${CONFIG.logoUrl}"
+           alt="${CONFIG.businessName}"
+           width="${CONFIG.logoWidth}"
+           style="max-width: 100%; height: auto; margin-bottom: 16px;">
+    `;
+  }
+
+  // Build social links HTML
+  let socialLinksHtml = "";
+  if (CONFIG.instagramUrl || CONFIG.facebookUrl) {
+    let links = [];
+    if (CONFIG.instagramUrl) {
+      links.push(
+        `<a href="${CONFIG.instagramUrl}" style="display: inline-block; color: white; background: ${c.primary}; text-decoration: none; font-weight: 500; padding: 10px 20px; border-radius: 20px; margin: 4px;">Instagram</a>`,
+      );
+    }
+    if (CONFIG.facebookUrl) {
+      links.push(
+        `<a href="${CONFIG.facebookUrl}" style="display: inline-block; color: white; background: ${c.primary}; text-decoration: none; font-weight: 500; padding: 10px 20px; border-radius: 20px; margin: 4px;">Facebook</a>`,
+      );
+    }
+    socialLinksHtml = `
+      <div style="text-align: center; margin: 28px 0;">
+        <p style="color: ${c.secondary}; margin: 0 0 16px 0; font-weight: 500;">Follow along for sneak peeks and updates:</p>
+        <div>${links.join("")}</div>
+      </div>
+    `;
+  }
+
+  const htmlBody = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: ${c.tertiary};">
+
+      <!-- Header -->
+      <div style="text-align: center; padding: 40px 20px 32px 20px; background: linear-gradient(135deg, ${c.tertiary} 0%, ${c.tertiaryMedium} 100%);">
+        ${logoHtml}
+        <h1 style="color: ${c.secondary}; margin: 0; font-size: 28px;">${CONFIG.businessName}</h1>
+        <p style="color: ${c.primary}; margin: 8px 0 0 0; font-size: 16px; font-style: italic;">Fresh Baked Happiness</p>
+      </div>
+
+      <!-- Main Content -->
+      <div style="background: white; padding: 36px; margin: 0 16px; border-radius: 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.08);">
+
+        <h2 style="color: ${c.primary}; margin: 0 0 24px 0; text-align: center; font-size: 24px;">
+          Thanks for signing up! &#x1F389;
+        </h2>
+
+        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 20px 0;">
+          We're so excited to have you join our community! You'll be among the first to know
+          when we officially launch and start taking orders for our fresh-baked cookies and treats.
+        </p>
+
+        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 16px 0;">
+          Keep an eye on your inbox for:
+        </p>
+
+        <div style="background: ${c.tertiary}; border-radius: 12px; padding: 20px 24px; margin: 0 0 24px 0;">
+          <ul style="font-size: 16px; line-height: 2; color: ${c.secondary}; margin: 0; padding-left: 8px; list-style: none;">
+            <li>&#x1F4C5; Our official launch date announcement</li>
+            <li>&#x1F36A; Sneak peeks of our delicious menu</li>
+            <li>&#x1F381; Special offers for early supporters like you</li>
+          </ul>
+        </div>
+
+        ${socialLinksHtml}
+
+        <!-- Visit Website Button -->
+        <div style="text-align: center; margin: 28px 0;">
+          <a href="${CONFIG.websiteUrl}"
+             style="display: inline-block; background: ${c.accent}; color: ${c.secondaryDark}; text-decoration: none; font-weight: bold; padding: 14px 32px; border-radius: 30px; font-size: 16px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
+            Visit Our Website
+          </a>
+        </div>
+
+        <div style="border-top: 2px solid ${c.tertiaryMedium}; padding-top: 24px; margin-top: 28px;">
+          <p style="font-size: 16px; color: ${c.textLight}; margin: 0;">
+            Sweet regards,<br>
+            <strong style="color: ${c.secondary};">${CONFIG.businessName}</strong>
+          </p>
+        </div>
+      </div>
+
+      <!-- Footer with Unsubscribe Link -->
+      <div style="text-align: center; padding: 24px 20px; color: ${c.textLight}; font-size: 12px;">
+        <p style="margin: 0 0 8px 0;">
+          You received this email because you signed up at
+          <a href="${CONFIG.websiteUrl}" style="color: ${c.primary};">${CONFIG.websiteUrl}</a>
+        </p>
+        <p style="margin: 0;">
+          <a href="${unsubscribeUrl}" style="color: ${c.textLight}; text-decoration: underline;">Unsubscribe</a>
+          from future emails
+        </p>
+      </div>
+
+    </div>
+  `;
+
+  sendSubscriberEmail(subscriberEmail, subject, htmlBody, unsubscribeUrl);
+}
+
+/**
+ * Send welcome email using a Gmail draft as the template
+ * Create a draft in Gmail with your desired design, use {{EMAIL}} as placeholder
+ * Use {{UNSUBSCRIBE_URL}} where you want the unsubscribe link
+ */
+function sendWelcomeEmailFromDraft(subscriberEmail) {
+  // Find the template draft
+  const templateDraft = findTemplateDraft(CONFIG.draftSubjectSearch);
+
+  if (!templateDraft) {
+    console.error(
+      'Template draft not found! Looking for subject containing: "' +
+        CONFIG.draftSubjectSearch +
+        '"',
+    );
+    console.log("Falling back to HTML template...");
+    sendWelcomeEmailHtml(subscriberEmail);
+    return;
+  }
+
+  // Generate unsubscribe URL for this subscriber
+  const unsubscribeUrl = generateUnsubscribeUrl(subscriberEmail);
+
+  // Fill in the draft content
+  const htmlBody = fillTemplatePlaceholders(
+    templateDraft.getMessage().getBody(),
+    subscriberEmail,
+    unsubscribeUrl,
+  );
+  const subject = `Welcome to ${CONFIG.businessName}!`;
+
+  sendSubscriberEmail(subscriberEmail, subject, htmlBody, unsubscribeUrl);
+}
+
+/**
+ * Find the first Gmail draft whose subject contains `subjectSearch`, or undefined
+ */
+function findTemplateDraft(subjectSearch) {
+  return GmailApp.getDrafts().find((draft) =>
+    draft.getMessage().getSubject().includes(subjectSearch),
+  );
+}
+
+/**
+ * Replace the draft template placeholders for one subscriber
+ * {{EMAIL}}, {{DATE}}, {{BUSINESS_NAME}}, {{WEBSITE_URL}} and {{UNSUBSCRIBE_URL}}
+ */
+function fillTemplatePlaceholders(htmlBody, subscriberEmail, unsubscribeUrl) {
+  return htmlBody
+    .replace(/\{\{EMAIL\}\}/g, subscriberEmail)
+    .replace(/\{\{DATE\}\}/g, new Date().toLocaleDateString())
+    .replace(/\{\{BUSINESS_NAME\}\}/g, CONFIG.businessName)
+    .replace(/\{\{WEBSITE_URL\}\}/g, CONFIG.websiteUrl)
+    .replace(/\{\{UNSUBSCRIBE_URL\}\}/g, unsubscribeUrl);
+}
+
+/**
+ * Send a newsletter email to a subscriber with one-click unsubscribe headers
+ * Falls back to GmailApp (no custom headers) if the Gmail advanced service is off.
+ * @param {string} to - Subscriber email
+ * @param {string} subject - Email subject
+ * @param {string} htmlBody - HTML body
+ * @param {string} unsubscribeUrl - The subscriber's signed unsubscribe URL
+ */
+function sendSubscriberEmail(to, subject, htmlBody, unsubscribeUrl) {
+  if (CONFIG.listUnsubscribeHeaders && typeof Gmail !== "undefined") {
+    const raw = buildMimeMessage(to, subject, htmlBody, {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+    Gmail.Users.Messages.send(
+      { raw: Utilities.base64EncodeWebSafe(raw) },
+      "me",
+    );
+    return;
+  }
+
+  if (CONFIG.listUnsubscribeHeaders) {
+    console.warn(
+      "⚠️ Gmail API service not enabled - sending without List-Unsubscribe headers",
+    );
+  }
+
+  // Use GmailApp for proper alias support
+  GmailApp.sendEmail(to, subject, "", {
+    htmlBody: htmlBody,
+    from: CONFIG.senderEmail,
+    name: CONFIG.senderName,
+    replyTo: CONFIG.senderEmail,
+  });
+}
+
+/**
+ * Build a raw RFC 2822 HTML message with extra headers
+ * Non-ASCII subject/name are RFC 2047 encoded and the body is base64 encoded.
+ */
+function buildMimeMessage(to, subject, htmlBody, extraHeaders) {
+  const encodeWord = (text) =>
+    `=?UTF-8?B?${Utilities.base64Encode(text, Utilities.Charset.UTF_8)}?=`;
+
+  const headers = {
+    From: `${encodeWord(CONFIG.senderName)} <${CONFIG.senderEmail}>`,
+    To: to,
+    "Reply-To": CONFIG.senderEmail,
+    Subject: encodeWord(subject),
+    "MIME-Version": "1.0",
+    "Content-Type": "text/html; charset=UTF-8",
+    "Content-Transfer-Encoding": "base64",
+    ...extraHeaders,
+  };
+
+  const headerLines = Object.keys(headers).map(
+    (name) => `${name}: ${headers[name]}`,
+  );
+
+  // Base64 body lines must stay under 76 characters
+  const body = Utilities.base64Encode(htmlBody, Utilities.Charset.UTF_8)
+    .match(/.{1,76}/g)
+    .join("\r\n");
+
+  return headerLines.join("\r\n") + "\r\n\r\n" + body;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate email format - syntax only. The Worker checks everything it sends here
+ * against the full rules in assets/js/email-validation.js (typos, disposable domains,
+ * international domains), which an Apps Script project can't load
+ */
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+}
+
+/**
+ * Escape text for use in HTML emails
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Create a JSON response
+ */
+function createJsonResponse(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(
+    ContentService.MimeType.JSON,
+  );
+}
+
+// How long a web app request waits for a lock before giving up
+const LOCK_WAIT_MS = 10000;
+// Error name for a lock that couldn't be had - doPost() answers it as retryable
+const LOCK_BUSY = "LockBusy";
+
+/**
+ * Wait for a lock, or throw a LOCK_BUSY error
+ */
+function waitForLock(lock) {
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    throw lockBusyError();
+  }
+}
+
+/**
+ * The error for a lock that couldn't be had in LOCK_WAIT_MS
+ */
+function lockBusyError() {
+  const error = new Error("Busy - please try again in a moment");
+  error.name = LOCK_BUSY;
+  return error;
+}
+
+/**
+ * Set a CacheService flag unless it's already set, for a lock that isn't the script
+ * lock (see claimJob() and waitForOrdersLock()). Only the check-and-set itself runs
+ * under the script lock.
+ * @returns {boolean} - false when the flag is already set or the script lock is busy
+ */
+function claimCacheFlag(key, seconds) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    return false;
+  }
+
+  try {
+    const cache = CacheService.getScriptCache();
+    if (cache.get(key)) {
+      return false;
+    }
+    cache.put(key, new Date().toISOString(), seconds);
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// How long a scheduled job's guard outlives a run that died without clearing it
+// (Apps Script stops every run after 6 minutes)
+const JOB_GUARD_SECONDS = 6 * 60;
+
+/**
+ * Mark a scheduled job as running, unless a run of it already is
+ * Jobs that send for minutes guard themselves like this instead of holding the script
+ * lock, which signups and other web app requests would then have to wait for. Call
+ * releaseJob() when the run is done.
+ * @returns {boolean} - false when the job is already running
+ */
+function claimJob(name) {
+  return claimCacheFlag("job:" + name, JOB_GUARD_SECONDS);
+}
+
+/**
+ * Let the next run of a scheduled job start
+ */
+function releaseJob(name) {
+  CacheService.getScriptCache().remove("job:" + name);
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - Run these manually from the Apps Script editor
+// ============================================================================
+
+/**
+ * UTILITY: Backfill unsubscribe URLs for existing subscribers
+ * Run this ONCE after adding the "unsubscribeurl" column to generate URLs
+ * for all existing subscribers who don't have one yet.
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ */
+function backfillUnsubscribeUrls() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const data = sheet.getDataRange().getValues();
+
+  // Column indices (0-based)
+  const emailCol = 0; // Column A
+  const unsubUrlCol = 5; // Column F (Unsubscribe URL)
+
+  let updated = 0;
+  let skipped = 0;
+
+  console.log("=== Backfilling Unsubscribe URLs ===");
+  console.log("Total rows (including header):", data.length);
+
+  // Skip header row, process all data rows
+  for (let i = 1; i < data.length; i++) {
+    const email = data[i][emailCol];
+    const existingUrl = data[i][unsubUrlCol];
+
+    if (!email) {
+      skipped++;
+      continue;
+    }
+
+    // Only generate URL if it doesn't exist
+    if (!existingUrl || existingUrl === "") {
+      const unsubscribeUrl = generateUnsubscribeUrl(email);
+      sheet.getRange(i + 1, unsubUrlCol + 1).setValue(unsubscribeUrl);
+      updated++;
+      console.log(`✅ Generated URL for row ${i + 1}: ${email}`);
+    } else {
+      skipped++;
+    }
+  }
+
+  console.log("");
+  console.log("=== Backfill Complete ===");
+  console.log("URLs generated:", updated);
+  console.log("Rows skipped (already had URL or empty):", skipped);
+}
+
+/**
+ * UTILITY: Re-sign every subscriber's unsubscribe URL with the current key
+ * Run this after changing CONFIG.unsubscribeKeyId / unsubscribeSecret so column F
+ * (used by Mail Merge) stops depending on the key you're about to retire.
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+ */
+function regenerateAllUnsubscribeUrls() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const data = sheet.getDataRange().getValues();
+
+  let updated = 0;
+
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const email = data[i][0]; // Column A
+    if (!email) {
+      continue;
+    }
+
+    sheet.getRange(i + 1, 6).setValue(generateUnsubscribeUrl(email)); // Column F
+    updated++;
+  }
+
+  console.log(
+    "✅ Re-signed",
+    updated,
+    "unsubscribe URLs with key",
+    CONFIG.unsubscribeKeyId,
+  );
+}
+
+/**
+ * UTILITY: Add column headers if missing
+ * Run this once to ensure all required columns exist
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+ *               H=topics | I=frequency | J=pauseduntil | K-O=utm_* | P=referrer | Q=bouncecount
+ *               R=lastbounce | S=lastbounceat | T=suppressed
+ */
+function setupColumnHeaders() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const expectedHeaders = [
+    "email",
+    "firstname",
+    "timestamp",
+    "source",
+    "subscribed",
+    "unsubscribeurl",
+    "pendingsince",
+    "topics",
+    "frequency",
+    "pauseduntil",
+    "utmsource",
+    "utmmedium",
+    "utmcampaign",
+    "utmterm",
+    "utmcontent",
+    "referrer",
+    "bouncecount",
+    "lastbounce",
+    "lastbounceat",
+    "suppressed",
+  ];
+
+  // Set headers in row 1
+  for (let i = 0; i < expectedHeaders.length; i++) {
+    sheet.getRange(1, i + 1).setValue(expectedHeaders[i]);
+  }
+
+  console.log("✅ Column headers set up:", expectedHeaders.join(" | "));
+}
+
+/**
+ * UTILITY: Set subscribed=TRUE for all existing rows that don't have a value
+ * Run this after adding the subscribed column to mark existing subscribers as active
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ */
+function backfillSubscribedColumn() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const data = sheet.getDataRange().getValues();
+
+  let updated = 0;
+
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const email = data[i][0]; // Column A
+    const subscribed = data[i][4]; // Column E (index 4)
+
+    if (email && (subscribed === "" || subscribed === undefined)) {
+      sheet.getRange(i + 1, 5).setValue(true); // Column E
+      updated++;
+    }
+  }
+
+  console.log("✅ Set Subscribed=TRUE for", updated, "existing subscribers");
+}
+
+/**
+ * UTILITY: Expire signups that were never confirmed
+ * New rows still PENDING after CONFIG.pendingExpiryHours are deleted; unconfirmed
+ * resubscribes simply stay unsubscribed. Runs hourly once installPendingCleanupTrigger()
+ * has been run.
+ *
+ * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl | G=pendingsince
+ */
+function purgeExpiredPendingSignups() {
+  // Rows are found and deleted by position, so the whole pass holds the lock;
+  // if something else has it, the next hourly run catches up
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    logEvent("warn", "pending_purge_skipped", { reason: "lock busy" });
+    return;
+  }
+
+  let deleted = 0;
+  let expired = 0;
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const data = sheet.getDataRange().getValues();
+    const cutoff = Date.now() - CONFIG.pendingExpiryHours * 60 * 60 * 1000;
+
+    // Walk bottom-up so deleting a row doesn't shift the ones still to check
+    for (let i = data.length - 1; i >= 1; i--) {
+      const subscribed = data[i][4]; // Column E (index 4)
+      const pendingSince = data[i][6]; // Column G (index 6)
+
+      if (!pendingSince) {
+        continue;
+      }
+
+      const startedAt =
+        pendingSince instanceof Date ? pendingSince : new Date(pendingSince);
+      if (startedAt.getTime() > cutoff) {
+        continue;
+      }
+
+      if (isPendingValue(subscribed)) {
+        sheet.deleteRow(i + 1);
+        deleted++;
+      } else {
+        sheet.getRange(i + 1, 7).setValue("");
+        expired++;
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  logEvent("info", "pending_signups_purged", {
+    deleted: deleted,
+    expired: expired,
+  });
+}
+
+/**
+ * UTILITY: Install an hourly trigger for purgeExpiredPendingSignups
+ * Run this ONCE. Running it again replaces the existing trigger.
+ */
+function installPendingCleanupTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter((t) => t.getHandlerFunction() === "purgeExpiredPendingSignups")
+    .forEach((t) => ScriptApp.deleteTrigger(t));
+
+  ScriptApp.newTrigger("purgeExpiredPendingSignups")
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  console.log("✅ Hourly pending-signup cleanup trigger installed");
+}
+
+/**
+ * UTILITY: Import the list pasted into the CONFIG.importSheetName sheet
+ * Row 1 needs an email column ("email", "Email Address", ...) and can have a first name
+ * column; other columns are ignored. Each row's result - "added", "skipped: unsubscribed",
+ * "invalid: invalid email" ... - goes in a "result" column, so the sheet doubles as the
+ * report. Rows that already have a result are left alone: fix the invalid ones and run
+ * it again. Nobody is emailed.
+ */
+function importSubscribersFromSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const importSheet = spreadsheet.getSheetByName(CONFIG.importSheetName);
+  if (!importSheet || importSheet.getLastRow() < 2) {
+    console.log(
+      `❌ Paste the list into a sheet named "${CONFIG.importSheetName}", with a header row`,
+    );
+    return;
+  }
+
+  const values = importSheet.getDataRange().getValues();
+  const { headers, emailColumn, nameColumn } = importSheetColumns(values[0]);
+  if (emailColumn === -1) {
+    console.log(
+      `❌ Row 1 of "${CONFIG.importSheetName}" needs an "email" column`,
+    );
+    return;
+  }
+
+  let resultColumn = headers.indexOf("result");
+  if (resultColumn === -1) {
+    resultColumn = headers.length;
+    importSheet.getRange(1, resultColumn + 1).setValue("result");
+  }
+
+  // Rows without a result yet, in order
+  const pending = [];
+  const report = values.slice(1).map((row) => [row[resultColumn] || ""]);
+  values.slice(1).forEach((row, i) => {
+    if (report[i][0] || row.every((value) => value === "")) {
+      return;
+    }
+    pending.push({
+      index: i,
+      email: row[emailColumn].toString(),
+      first_name: nameColumn === -1 ? "" : row[nameColumn].toString(),
+    });
+  });
+
+  // The subscriber list is the first sheet - what the web app sees as the active sheet
+  const lock = LockService.getScriptLock();
+  waitForLock(lock);
+  let results;
+  try {
+    results = importSubscriberRows(
+      spreadsheet.getSheets()[0],
+      pending,
+      CONFIG.importSource,
+    );
+  } finally {
+    lock.releaseLock();
+  }
+
+  results.forEach((result, i) => {
+    report[pending[i].index][0] = result.reason
+      ? result.status + ": " + result.reason
+      : result.status;
+  });
+  if (report.length) {
+    importSheet
+      .getRange(2, resultColumn + 1, report.length, 1)
+      .setValues(report);
+  }
+
+  const counts = countImportResults(results);
+  console.log("✅ Added", counts.added, "subscribers");
+  console.log(
+    "⏭️ Skipped",
+    counts.skipped,
+    "already on the list, erased or repeated",
+  );
+  console.log("❌ Invalid", counts.invalid, "- see the result column");
+}
+
+/**
+ * The normalized headers, and the email and first name columns (0-based, -1 when
+ * missing), of the import sheet's header row
+ */
+function importSheetColumns(headerRow) {
+  const headers = headerRow.map((header) =>
+    header
+      .toString()
+      .toLowerCase()
+      .replace(/[^a-z]/g, ""),
+  );
+  return {
+    headers,
+    emailColumn: findImportColumn(headers, IMPORT_EMAIL_HEADERS),
+    nameColumn: findImportColumn(headers, IMPORT_NAME_HEADERS),
+  };
+}
+
+/**
+ * importSheetColumns() for the CONFIG.importSheetName sheet as it is now - no
+ * columns when there's no such sheet
+ */
+function readImportSheetColumns() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    CONFIG.importSheetName,
+  );
+  if (!sheet || sheet.getLastColumn() === 0) {
+    return { headers: [], emailColumn: -1, nameColumn: -1 };
+  }
+  return importSheetColumns(
+    sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0],
+  );
+}
+
+/**
+ * Index of the first header in `candidates`, or -1
+ */
+function findImportColumn(headers, candidates) {
+  for (const candidate of candidates) {
+    const index = headers.indexOf(candidate);
+    if (index !== -1) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+// ============================================================================
+// CAMPAIGNS - Run these manually from the Apps Script editor
+// ============================================================================
+//
+// 1. Write the campaign as a Gmail draft with CONFIG.campaignDraftMarker in the subject,
+//    e.g. "[CAMPAIGN] Spring flavors are here". Use the same placeholders as the
+//    welcome draft ({{EMAIL}}, {{UNSUBSCRIBE_URL}}, ...).
+// 2. Run previewCampaign() and check the log - it renders every message without sending.
+// 3. Run startCampaign(). Batches go out every CONFIG.campaignBatchEveryMinutes until
+//    everyone eligible has it, staying under the daily Gmail quota (the rest waits for
+//    tomorrow's quota). Run stopCampaign() to cancel.
+//
+// Each send is logged to the "Campaign Log" sheet (A: campaign | B: email | C: sentat |
+// D: status | E: error). The campaign name is the draft subject without the marker, and
+// anyone already logged as "sent" for it is skipped, so re-running never double-sends.
+
+const CAMPAIGN_LOG_SHEET_NAME = "Campaign Log";
+const CAMPAIGN_PROPERTY = "activeCampaign";
+const CAMPAIGN_BATCH_FUNCTION = "sendCampaignBatch";
+
+// Stop starting new sends well before Apps Script's 6-minute execution limit
+const CAMPAIGN_MAX_RUN_MS = 4.5 * 60 * 1000;
+
+/**
+ * CAMPAIGN: Render every message of the campaign draft without sending anything
+ * Logs the recipient count, the first rendered message, and any recipient whose
+ * message still contains an unknown {{PLACEHOLDER}}.
+ */
+function previewCampaign() {
+  const campaign = loadCampaignDraft();
+  if (!campaign) {
+    return;
+  }
+
+  const recipients = getCampaignRecipients(campaign.name);
+  let unfilled = 0;
+
+  recipients.forEach((email, i) => {
+    const message = renderCampaignMessage(campaign, email);
+    const leftover = message.htmlBody.match(/\{\{[A-Z_]+\}\}/g);
+
+    if (i === 0) {
+      console.log("=== First message ===");
+      console.log("To:", email);
+      console.log("Subject:", message.subject);
+      console.log(message.htmlBody);
+    }
+    if (leftover) {
+      unfilled++;
+      console.warn("⚠️ Unfilled placeholders for", email, leftover.join(", "));
+    }
+  });
+
+  console.log("");
+  console.log("=== Campaign Preview (nothing sent) ===");
+  console.log("Campaign:", campaign.name);
+  console.log("Topic:", CONFIG.campaignTopic || "(everyone)");
+  console.log("Would send to:", recipients.length);
+  console.log("Messages with unfilled placeholders:", unfilled);
+  console.log(
+    "Already sent:",
+    getSentCampaignEmails(campaign.name).size,
+    "(skipped)",
+  );
+  console.log("Daily quota left:", MailApp.getRemainingDailyQuota());
+}
+
+/**
+ * CAMPAIGN: Start sending the campaign draft
+ * Sends the first batch now and installs a trigger for the rest. Running it again
+ * for the same campaign just resumes it; it refuses while a different one is active.
+ */
+function startCampaign() {
+  const campaign = loadCampaignDraft();
+  if (!campaign) {
+    return;
+  }
+
+  const active = getActiveCampaign();
+  if (active && active.name !== campaign.name) {
+    console.error(
+      `❌ "${active.name}" is still sending. Run stopCampaign() first.`,
+    );
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(
+    CAMPAIGN_PROPERTY,
+    JSON.stringify({
+      name: campaign.name,
+      draftId: campaign.draftId,
+      topic: CONFIG.campaignTopic,
+      startedAt: (active && active.startedAt) || new Date().toISOString(),
+    }),
+  );
+
+  deleteCampaignTriggers();
+  ScriptApp.newTrigger(CAMPAIGN_BATCH_FUNCTION)
+    .timeBased()
+    .everyMinutes(CONFIG.campaignBatchEveryMinutes)
+    .create();
+
+  console.log("✅ Campaign started:", campaign.name);
+  sendCampaignBatch();
+}
+
+/**
+ * CAMPAIGN: Cancel the active campaign
+ * Sends already made stay in the log, so starting it again later resumes it.
+ */
+function stopCampaign() {
+  const active = getActiveCampaign();
+  deleteCampaignTriggers();
+  PropertiesService.getScriptProperties().deleteProperty(CAMPAIGN_PROPERTY);
+
+  console.log(
+    active ? `🛑 Stopped campaign: ${active.name}` : "No campaign was active",
+  );
+}
+
+/**
+ * Send the next batch of the active campaign (run by the time-driven trigger)
+ * Finishes the campaign - removing its trigger and emailing the owner a summary -
+ * once nobody eligible is left.
+ */
+function sendCampaignBatch() {
+  if (!claimJob("campaign")) {
+    logEvent("info", "campaign_batch_skipped", {
+      reason: "previous batch still running",
+    });
+    return;
+  }
+
+  try {
+    const active = getActiveCampaign();
+    if (!active) {
+      deleteCampaignTriggers();
+      return;
+    }
+
+    const draft = GmailApp.getDraft(active.draftId);
+    if (!draft) {
+      logEvent("error", "campaign_draft_missing", { campaign: active.name });
+      stopCampaign();
+      return;
+    }
+    const campaign = campaignFromDraft(draft);
+    // Keep the name the campaign started with so the sent log still matches
+    campaign.name = active.name;
+
+    const recipients = getCampaignRecipients(active.name, active.topic);
+    if (recipients.length === 0) {
+      finishCampaign(active);
+      return;
+    }
+
+    const quota =
+      MailApp.getRemainingDailyQuota() - CONFIG.campaignQuotaReserve;
+    const batch = recipients.slice(
+      0,
+      Math.max(Math.min(CONFIG.campaignBatchSize, quota), 0),
+    );
+    if (batch.length === 0) {
+      logEvent("info", "campaign_batch_deferred", {
+        campaign: active.name,
+        reason: "daily quota used up",
+      });
+      return;
+    }
+
+    const startedAt = Date.now();
+    const log = getCampaignLogSheet();
+    let sent = 0;
+    let failed = 0;
+
+    for (const email of batch) {
+      if (Date.now() - startedAt > CAMPAIGN_MAX_RUN_MS) {
+        break;
+      }
+
+      const message = renderCampaignMessage(campaign, email);
+      try {
+        sendSubscriberEmail(
+          email,
+          message.subject,
+          message.htmlBody,
+          message.unsubscribeUrl,
+        );
+        log.appendRow([
+          active.name,
+          email,
+          new Date().toISOString(),
+          "sent",
+          "",
+        ]);
+        sent++;
+      } catch (error) {
+        // Logged as failed, not sent, so the next batch tries them again
+        log.appendRow([
+          active.name,
+          email,
+          new Date().toISOString(),
+          "failed",
+          error.message,
+        ]);
+        // The Campaign Log has the address; the execution log only needs the hash
+        logEvent("error", "campaign_send_failed", {
+          campaign: active.name,
+          email_hash: emailHash(email),
+          error: error.message,
+        });
+        failed++;
+      }
+    }
+
+    logEvent("info", "campaign_batch_sent", {
+      campaign: active.name,
+      sent: sent,
+      failed: failed,
+      left: recipients.length - sent,
+    });
+  } finally {
+    releaseJob("campaign");
+  }
+}
+
+/**
+ * Wrap up a campaign with nobody left to send to
+ */
+function finishCampaign(active) {
+  const sent = getSentCampaignEmails(active.name);
+  const gaveUp = [...countFailedCampaignSends(active.name)].filter(
+    ([email, count]) => count >= CONFIG.campaignMaxAttempts && !sent.has(email),
+  ).length;
+  stopCampaign();
+
+  logEvent("info", "campaign_finished", {
+    campaign: active.name,
+    sent: sent.size,
+    given_up: gaveUp,
+  });
+
+  if (CONFIG.sendOwnerNotification) {
+    GmailApp.sendEmail(
+      CONFIG.ownerEmail,
+      `Campaign sent: ${active.name}`,
+      `"${active.name}" has gone out to ${sent.size} subscribers.\n\n` +
+        (gaveUp > 0
+          ? `${gaveUp} addresses failed ${CONFIG.campaignMaxAttempts} times and were skipped - see the Campaign Log.\n\n`
+          : "") +
+        `Started: ${active.startedAt}\nFinished: ${new Date().toISOString()}\n\n` +
+        `Per-recipient log: ${SpreadsheetApp.getActiveSpreadsheet().getUrl()}`,
+      { from: CONFIG.senderEmail, name: CONFIG.senderName },
+    );
+  }
+}
+
+/**
+ * Find the campaign draft, logging why if there isn't one
+ */
+function loadCampaignDraft() {
+  const draft = findTemplateDraft(CONFIG.campaignDraftMarker);
+  if (!draft) {
+    console.error(
+      `❌ No draft found with "${CONFIG.campaignDraftMarker}" in the subject`,
+    );
+    return null;
+  }
+  return campaignFromDraft(draft);
+}
+
+/**
+ * Campaign name, subject and body template from a Gmail draft
+ */
+function campaignFromDraft(draft) {
+  const message = draft.getMessage();
+  const subject = message
+    .getSubject()
+    .replace(CONFIG.campaignDraftMarker, "")
+    .trim();
+
+  return {
+    name: subject,
+    draftId: draft.getId(),
+    subject,
+    htmlBody: message.getBody(),
+  };
+}
+
+/**
+ * Fill in the campaign template for one subscriber
+ */
+function renderCampaignMessage(campaign, email) {
+  const unsubscribeUrl = generateUnsubscribeUrl(email);
+  return {
+    subject: campaign.subject,
+    htmlBody: fillTemplatePlaceholders(
+      campaign.htmlBody,
+      email,
+      unsubscribeUrl,
+    ),
+    unsubscribeUrl,
+  };
+}
+
+// Days a subscriber who chose this frequency (column I) waits between campaigns
+const CAMPAIGN_FREQUENCY_DAYS = { weekly: 7, monthly: 30 };
+
+/**
+ * Active, un-paused subscribers who haven't been sent this campaign yet, in sheet order
+ * Addresses that have already failed CONFIG.campaignMaxAttempts times are left out, and
+ * so are "weekly" and "monthly" subscribers who had any campaign too recently - they
+ * skip this one rather than get it late.
+ */
+function getCampaignRecipients(campaignName, topic = CONFIG.campaignTopic) {
+  const alreadySent = getSentCampaignEmails(campaignName);
+  const failures = countFailedCampaignSends(campaignName);
+  const lastSent = getLastCampaignSendTimes();
+  const now = Date.now();
+
+  return getMailableSubscribers(topic)
+    .filter((subscriber) => {
+      const waitDays = CAMPAIGN_FREQUENCY_DAYS[subscriber.frequency] || 0;
+      return (
+        !alreadySent.has(subscriber.email) &&
+        (failures.get(subscriber.email) || 0) < CONFIG.campaignMaxAttempts &&
+        !(lastSent.get(subscriber.email) > now - waitDays * 24 * 60 * 60 * 1000)
+      );
+    })
+    .map((subscriber) => subscriber.email);
+}
+
+/**
+ * When each address was last sent any campaign, in milliseconds
+ * @returns {Map<string, number>}
+ */
+function getLastCampaignSendTimes() {
+  const log = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    CAMPAIGN_LOG_SHEET_NAME,
+  );
+  const lastSent = new Map();
+  if (!log || log.getLastRow() < 2) {
+    return lastSent;
+  }
+
+  log
+    .getRange(2, 1, log.getLastRow() - 1, 4)
+    .getValues()
+    .filter((values) => values[3] === "sent")
+    .forEach((values) => {
+      const email = values[1].toString().toLowerCase();
+      const sentAt = new Date(values[2]).getTime();
+      if (!(lastSent.get(email) >= sentAt)) {
+        lastSent.set(email, sentAt);
+      }
+    });
+  return lastSent;
+}
+
+/**
+ * Active, un-paused, unsuppressed subscribers, in sheet order
+ * With a topic, only those who picked it (or left topics empty, meaning everything).
+ *
+ * Column order: A=email | ... | E=subscribed | ... | H=topics | I=frequency | J=pauseduntil
+ *               ... | T=suppressed
+ */
+function getMailableSubscribers(topic) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  const today = formatDateOnly(new Date());
+
+  return sheet
+    .getRange(2, 1, lastRow - 1, SUPPRESSED_COLUMN)
+    .getValues()
+    .filter(
+      (values) =>
+        values[0] && !isSuppressedValue(values[SUPPRESSED_COLUMN - 1]),
+    )
+    .map(subscriberFromRow)
+    .filter(
+      (subscriber) =>
+        subscriber.status === "subscribed" &&
+        !(subscriber.paused_until >= today) &&
+        (!topic ||
+          subscriber.topics.length === 0 ||
+          subscriber.topics.includes(topic)),
+    );
+}
+
+/**
+ * How many sends of a campaign have failed, by email
+ * @returns {Map<string, number>}
+ */
+function countFailedCampaignSends(campaignName) {
+  const log = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    CAMPAIGN_LOG_SHEET_NAME,
+  );
+  const failures = new Map();
+  if (!log || log.getLastRow() < 2) {
+    return failures;
+  }
+
+  log
+    .getRange(2, 1, log.getLastRow() - 1, 4)
+    .getValues()
+    .filter((values) => values[0] === campaignName && values[3] === "failed")
+    .forEach((values) => {
+      const email = values[1].toString().toLowerCase();
+      failures.set(email, (failures.get(email) || 0) + 1);
+    });
+  return failures;
+}
+
+/**
+ * Emails logged as "sent" for a campaign
+ */
+function getSentCampaignEmails(campaignName) {
+  const log = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    CAMPAIGN_LOG_SHEET_NAME,
+  );
+  if (!log || log.getLastRow() < 2) {
+    return new Set();
+  }
+
+  return new Set(
+    log
+      .getRange(2, 1, log.getLastRow() - 1, 4)
+      .getValues()
+      .filter((values) => values[0] === campaignName && values[3] === "sent")
+      .map((values) => values[1].toString().toLowerCase()),
+  );
+}
+
+/**
+ * The "Campaign Log" sheet, created on first use
+ */
+function getCampaignLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CAMPAIGN_LOG_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      CAMPAIGN_LOG_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet
+      .getRange(1, 1, 1, 5)
+      .setValues([["campaign", "email", "sentat", "status", "error"]]);
+    spreadsheet.setActiveSheet(subscriberSheet);
+  }
+
+  return sheet;
+}
+
+/**
+ * The campaign being sent, as saved by startCampaign(), or null
+ */
+function getActiveCampaign() {
+  const saved =
+    PropertiesService.getScriptProperties().getProperty(CAMPAIGN_PROPERTY);
+  return saved ? JSON.parse(saved) : null;
+}
+
+function deleteCampaignTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter((t) => t.getHandlerFunction() === CAMPAIGN_BATCH_FUNCTION)
+    .forEach((t) => ScriptApp.deleteTrigger(t));
+}
+
+// ============================================================================
+// EVENT REMINDERS - Run installEventReminderTrigger() once
+// ============================================================================
+//
+// sendEventReminders() runs every hour. It reads the site's events feed
+// (CONFIG.eventsFeedUrl) and, for each event starting within the next
+// CONFIG.eventReminderHoursBefore hours, emails every active, un-paused subscriber who
+// picked CONFIG.eventReminderTopic (or left topics empty). Cancelled events and events
+// that have already started are skipped. Run previewEventReminders() to see what the
+// next run would send.
+//
+// Each send is logged to the "Event Reminders" sheet (A: event | B: email | C: sentat |
+// D: status | E: error). The event is its id in the feed (the content file name), and
+// anyone already logged as "sent" for it is skipped, so re-running never double-sends.
+// Failed sends and anyone left over when the daily quota runs out are tried again
+// on the next run, as long as the event hasn't started.
+
+const EVENT_REMINDER_LOG_SHEET_NAME = "Event Reminders";
+const EVENT_REMINDER_FUNCTION = "sendEventReminders";
+
+/**
+ * Install the hourly trigger that sends event reminders
+ */
+function installEventReminderTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter((t) => t.getHandlerFunction() === EVENT_REMINDER_FUNCTION)
+    .forEach((t) => ScriptApp.deleteTrigger(t));
+
+  ScriptApp.newTrigger(EVENT_REMINDER_FUNCTION)
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  console.log("✅ Hourly event reminder trigger installed");
+}
+
+/**
+ * EVENT REMINDERS: Log the events due a reminder and who would get one, without sending
+ */
+function previewEventReminders() {
+  const events = getDueEvents();
+  const subscribers = getMailableSubscribers(CONFIG.eventReminderTopic);
+
+  console.log("=== Event Reminder Preview (nothing sent) ===");
+  console.log("Topic:", CONFIG.eventReminderTopic || "(everyone)");
+  console.log("Events due a reminder:", events.length);
+
+  events.forEach((event) => {
+    const alreadySent = getSentEventReminderEmails(event.id);
+    const waiting = subscribers.filter(
+      (subscriber) => !alreadySent.has(subscriber.email),
+    );
+    console.log(
+      `${event.title} (${formatEventWhen(event)}): would send to ${waiting.length}, already sent ${alreadySent.size}`,
+    );
+  });
+
+  console.log("Daily quota left:", MailApp.getRemainingDailyQuota());
+}
+
+/**
+ * Email reminders for events starting soon (run by the hourly trigger)
+ */
+function sendEventReminders() {
+  if (!claimJob("event_reminders")) {
+    logEvent("info", "event_reminders_skipped", {
+      reason: "previous run still going",
+    });
+    return;
+  }
+
+  try {
+    const events = getDueEvents();
+    if (events.length === 0) {
+      return;
+    }
+
+    const subscribers = getMailableSubscribers(CONFIG.eventReminderTopic);
+    const log = getEventReminderLogSheet();
+    const startedAt = Date.now();
+    let quota = MailApp.getRemainingDailyQuota() - CONFIG.campaignQuotaReserve;
+
+    for (const event of events) {
+      const alreadySent = getSentEventReminderEmails(event.id);
+      const recipients = subscribers.filter(
+        (subscriber) => !alreadySent.has(subscriber.email),
+      );
+      let sent = 0;
+      let failed = 0;
+
+      for (const subscriber of recipients) {
+        if (quota <= 0 || Date.now() - startedAt > CAMPAIGN_MAX_RUN_MS) {
+          break;
+        }
+        quota--;
+
+        try {
+          sendEventReminderEmail(event, subscriber);
+          log.appendRow([
+            event.id,
+            subscriber.email,
+            new Date().toISOString(),
+            "sent",
+            "",
+          ]);
+          sent++;
+        } catch (error) {
+          // Logged as failed, not sent, so the next run tries them again
+          log.appendRow([
+            event.id,
+            subscriber.email,
+            new Date().toISOString(),
+            "failed",
+            error.message,
+          ]);
+          logEvent("error", "event_reminder_failed", {
+            event: event.id,
+            email_hash: emailHash(subscriber.email),
+            error: error.message,
+          });
+          failed++;
+        }
+      }
+
+      if (recipients.length > 0) {
+        logEvent("info", "event_reminders_sent", {
+          event: event.id,
+          sent: sent,
+          failed: failed,
+          left: recipients.length - sent,
+        });
+      }
+    }
+
+    if (quota <= 0) {
+      logEvent("info", "event_reminders_deferred", {
+        reason: "daily quota used up",
+      });
+    }
+  } finally {
+    releaseJob("event_reminders");
+  }
+}
+
+/**
+ * Events from the feed that start within CONFIG.eventReminderHoursBefore hours and
+ * haven't started or been cancelled, soonest first. Each gets `startsAt` (a Date) and
+ * `timezone` (the feed's, for formatting). An unreachable feed logs and returns none.
+ */
+function getDueEvents() {
+  let feed;
+  try {
+    const response = UrlFetchApp.fetch(CONFIG.eventsFeedUrl, {
+      muteHttpExceptions: true,
+    });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`HTTP ${response.getResponseCode()}`);
+    }
+    feed = JSON.parse(response.getContentText());
+  } catch (error) {
+    logEvent("error", "events_feed_unavailable", { error: error.message });
+    return [];
+  }
 
-  // Use GmailApp for proper alias support
-  GmailApp.sendEmail(CONFIG.ownerEmail, subject, "", {
-    htmlBody: htmlBody,
-    from: CONFIG.senderEmail,
-    name: CONFIG.senderName,
-  });
+  const timezone = feed.timezone || Session.getScriptTimeZone();
+  const now = Date.now();
+  const horizon = now + CONFIG.eventReminderHoursBefore * 60 * 60 * 1000;
+
+  return (feed.events || [])
+    .filter((event) => event.id && !event.cancelled)
+    .map((event) =>
+      Object.assign({}, event, {
+        // All-day events are plain dates; they start at midnight where the bakery is
+        startsAt: event.all_day
+          ? Utilities.parseDate(event.start, timezone, "yyyy-MM-dd")
+          : new Date(event.start),
+        timezone,
+      }),
+    )
+    .filter(
+      (event) =>
+        event.startsAt.getTime() > now && event.startsAt.getTime() <= horizon,
+    )
+    .sort((a, b) => a.startsAt - b.startsAt);
 }
 
 /**
- * Send welcome email using the built-in HTML template
+ * Send one subscriber the reminder for an event, in the welcome email's style
  */
-function sendWelcomeEmailHtml(subscriberEmail) {
-  const subject = `Welcome to ${CONFIG.businessName}!`;
+function sendEventReminderEmail(event, subscriber) {
+  const subject = `Reminder: ${event.title} - ${CONFIG.businessName}`;
   const c = CONFIG.colors;
-
-  // Generate unsubscribe URL for this subscriber
-  const unsubscribeUrl = generateUnsubscribeUrl(subscriberEmail);
+  const unsubscribeUrl = generateUnsubscribeUrl(subscriber.email);
 
   // Build logo HTML if configured
   let logoHtml = "";
@@ -462,27 +3803,12 @@ function sendWelcomeEmailHtml(subscriberEmail) {
     `;
   }
 
-  // Build social links HTML
-  let socialLinksHtml = "";
-  if (CONFIG.instagramUrl || CONFIG.facebookUrl) {
-    let links = [];
-    if (CONFIG.instagramUrl) {
-      links.push(
-        `<a href="${CONFIG.instagramUrl}" style="display: inline-block; color: white; background: ${c.primary}; text-decoration: none; font-weight: 500; padding: 10px 20px; border-radius: 20px; margin: 4px;">Instagram</a>`,
-      );
-    }
-    if (CONFIG.facebookUrl) {
-      links.push(
-        `<a href="${CONFIG.facebookUrl}" style="display: inline-block; color: white; background: ${c.primary}; text-decoration: none; font-weight: 500; padding: 10px 20px; border-radius: 20px; margin: 4px;">Facebook</a>`,
-      );
-    }
-    socialLinksHtml = `
-      <div style="text-align: center; margin: 28px 0;">
-        <p style="color: ${c.secondary}; margin: 0 0 16px 0; font-weight: 500;">Follow along for sneak peeks and updates:</p>
-        <div>${links.join("")}</div>
-      </div>
-    `;
-  }
+  const place = [event.location, event.address].filter(Boolean).join(", ");
+  const mapUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(place)}`;
+  const whereHtml = place
+    ? `<br><strong style="color: ${c.secondary};">Where:</strong> ${escapeHtml(place)}
+       (<a href="${escapeHtml(mapUrl)}" style="color: ${c.primary};">map</a>)`
+    : "";
 
   const htmlBody = `
     <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: ${c.tertiary};">
@@ -498,34 +3824,30 @@ function sendWelcomeEmailHtml(subscriberEmail) {
       <div style="background: white; padding: 36px; margin: 0 16px; border-radius: 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.08);">
 
         <h2 style="color: ${c.primary}; margin: 0 0 24px 0; text-align: center; font-size: 24px;">
-          Thanks for signing up! &#x1F389;
+          See you soon! &#x1F36A;
         </h2>
 
         <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 20px 0;">
-          We're so excited to have you join our community! You'll be among the first to know
-          when we officially launch and start taking orders for our fresh-baked cookies and treats.
-        </p>
-
-        <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0 0 16px 0;">
-          Keep an eye on your inbox for:
+          Hi ${escapeHtml(subscriber.first_name || "there")}, just a reminder that we'll be at
+          <strong style="color: ${c.secondary};">${escapeHtml(event.title)}</strong> soon.
+          Come say hi and grab some cookies while they last!
         </p>
 
         <div style="background: ${c.tertiary}; border-radius: 12px; padding: 20px 24px; margin: 0 0 24px 0;">
-          <ul style="font-size: 16px; line-height: 2; color: ${c.secondary}; margin: 0; padding-left: 8px; list-style: none;">
-            <li>&#x1F4C5; Our official launch date announcement</li>
-            <li>&#x1F36A; Sneak peeks of our delicious menu</li>
-            <li>&#x1F381; Special offers for early supporters like you</li>
-          </ul>
+          <p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 0;">
+            <strong style="color: ${c.secondary};">When:</strong> ${escapeHtml(formatEventWhen(event))}
+            ${whereHtml}
+          </p>
+          ${event.description ? `<p style="font-size: 16px; line-height: 1.7; color: ${c.textLight}; margin: 12px 0 0 0;">${escapeHtml(event.description)}</p>` : ""}
         </div>
 
-        ${socialLinksHtml}
-
-        <!-- Visit Website Button -->
+        <!-- Event Buttons -->
         <div style="text-align: center; margin: 28px 0;">
-          <a href="${CONFIG.websiteUrl}"
+          <a href="${escapeHtml(event.url)}"
              style="display: inline-block; background: ${c.accent}; color: ${c.secondaryDark}; text-decoration: none; font-weight: bold; padding: 14px 32px; border-radius: 30px; font-size: 16px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
-            Visit Our Website
+            Event Details
           </a>
+          ${event.ics ? `<p style="margin: 16px 0 0 0;"><a href="${escapeHtml(event.ics)}" style="color: ${c.primary}; font-weight: 500;">Add to calendar</a></p>` : ""}
         </div>
 
         <div style="border-top: 2px solid ${c.tertiaryMedium}; padding-top: 24px; margin-top: 28px;">
@@ -539,7 +3861,7 @@ function sendWelcomeEmailHtml(subscriberEmail) {
       <!-- Footer with Unsubscribe Link -->
       <div style="text-align: center; padding: 24px 20px; color: ${c.textLight}; font-size: 12px;">
         <p style="margin: 0 0 8px 0;">
-          You received this email because you signed up at
+          You received this reminder because you signed up for event updates at
           <a href="${CONFIG.websiteUrl}" style="color: ${c.primary};">${CONFIG.websiteUrl}</a>
         </p>
         <p style="margin: 0;">
@@ -551,176 +3873,453 @@ function sendWelcomeEmailHtml(subscriberEmail) {
     </div>
   `;
 
-  // Use GmailApp for proper alias support
-  GmailApp.sendEmail(subscriberEmail, subject, "", {
-    htmlBody: htmlBody,
-    from: CONFIG.senderEmail,
-    name: CONFIG.senderName,
-    replyTo: CONFIG.senderEmail,
-  });
+  sendSubscriberEmail(subscriber.email, subject, htmlBody, unsubscribeUrl);
 }
 
 /**
- * Send welcome email using a Gmail draft as the template
- * Create a draft in Gmail with your desired design, use {{EMAIL}} as placeholder
- * Use {{UNSUBSCRIBE_URL}} where you want the unsubscribe link
+ * "Sat, Nov 7, 10:00 AM – 2:00 PM" or "Sat, Nov 7 (all day)", in the feed's time zone
+ * All-day "end" is the day after the last day, as in the feed.
  */
-function sendWelcomeEmailFromDraft(subscriberEmail) {
-  // Find the template draft
-  const drafts = GmailApp.getDrafts();
-  const templateDraft = drafts.find((draft) =>
-    draft.getMessage().getSubject().includes(CONFIG.draftSubjectSearch),
-  );
+function formatEventWhen(event) {
+  const day = "EEE, MMM d";
 
-  if (!templateDraft) {
-    console.error(
-      'Template draft not found! Looking for subject containing: "' +
-        CONFIG.draftSubjectSearch +
-        '"',
+  if (event.all_day) {
+    const lastDay = new Date(
+      Utilities.parseDate(event.end, "UTC", "yyyy-MM-dd").getTime() -
+        24 * 60 * 60 * 1000,
     );
-    console.log("Falling back to HTML template...");
-    sendWelcomeEmailHtml(subscriberEmail);
-    return;
+    const first = Utilities.formatDate(
+      Utilities.parseDate(event.start, "UTC", "yyyy-MM-dd"),
+      "UTC",
+      day,
+    );
+    const last = Utilities.formatDate(lastDay, "UTC", day);
+    return first === last
+      ? `${first} (all day)`
+      : `${first} – ${last} (all day)`;
   }
 
-  // Generate unsubscribe URL for this subscriber
-  const unsubscribeUrl = generateUnsubscribeUrl(subscriberEmail);
+  const start = new Date(event.start);
+  const end = new Date(event.end);
+  const format = (date, pattern) =>
+    Utilities.formatDate(date, event.timezone, pattern);
 
-  // Get the draft content
-  const template = templateDraft.getMessage();
-  let htmlBody = template.getBody();
-  const subject = `Welcome to ${CONFIG.businessName}!`;
+  if (format(start, day) === format(end, day)) {
+    return `${format(start, day)}, ${format(start, "h:mm a")} – ${format(end, "h:mm a")}`;
+  }
+  return `${format(start, `${day}, h:mm a`)} – ${format(end, `${day}, h:mm a`)}`;
+}
 
-  // Replace placeholders in the template
-  htmlBody = htmlBody.replace(/\{\{EMAIL\}\}/g, subscriberEmail);
-  htmlBody = htmlBody.replace(/\{\{DATE\}\}/g, new Date().toLocaleDateString());
-  htmlBody = htmlBody.replace(/\{\{BUSINESS_NAME\}\}/g, CONFIG.businessName);
-  htmlBody = htmlBody.replace(/\{\{WEBSITE_URL\}\}/g, CONFIG.websiteUrl);
-  htmlBody = htmlBody.replace(/\{\{UNSUBSCRIBE_URL\}\}/g, unsubscribeUrl);
+/**
+ * Emails logged as "sent" for an event
+ */
+function getSentEventReminderEmails(eventId) {
+  const log = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    EVENT_REMINDER_LOG_SHEET_NAME,
+  );
+  if (!log || log.getLastRow() < 2) {
+    return new Set();
+  }
 
-  // Send the email using GmailApp for proper alias support
-  GmailApp.sendEmail(subscriberEmail, subject, "", {
-    htmlBody: htmlBody,
-    from: CONFIG.senderEmail,
-    name: CONFIG.senderName,
-    replyTo: CONFIG.senderEmail,
-  });
+  return new Set(
+    log
+      .getRange(2, 1, log.getLastRow() - 1, 4)
+      .getValues()
+      .filter((values) => values[0] === eventId && values[3] === "sent")
+      .map((values) => values[1].toString().toLowerCase()),
+  );
 }
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
 /**
- * Create a JSON response
+ * The "Event Reminders" sheet, created on first use
  */
-function createJsonResponse(data) {
-  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(
-    ContentService.MimeType.JSON,
-  );
+function getEventReminderLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(EVENT_REMINDER_LOG_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      EVENT_REMINDER_LOG_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet
+      .getRange(1, 1, 1, 5)
+      .setValues([["event", "email", "sentat", "status", "error"]]);
+    // Keep ids like "2026-11-07" as text rather than letting Sheets make them dates
+    sheet.getRange("A:A").setNumberFormat("@");
+    spreadsheet.setActiveSheet(subscriberSheet);
+  }
+
+  return sheet;
 }
 
 // ============================================================================
-// UTILITY FUNCTIONS - Run these manually from the Apps Script editor
+// BOUNCES - Run installBounceTrigger() once
 // ============================================================================
+//
+// processBounces() runs every hour. It searches the sender mailbox with
+// CONFIG.bounceSearchQuery for delivery failure notices (RFC 3464 - what Gmail's
+// mailer-daemon sends) and spam complaint reports (RFC 5965 - what feedback loops like
+// Yahoo's and Microsoft's send), and finds the subscriber each one is about:
+//
+// - Hard bounce (the address doesn't exist or is disabled) or complaint: suppressed
+// - Soft bounce (mailbox full, refused as spam, server trouble): counted, and suppressed
+//   after CONFIG.softBounceLimit of them, each within CONFIG.softBounceWindowDays of
+//   the one before
+// - Delay warnings: logged and ignored - Gmail is still trying
+//
+// Each subscriber's row keeps the count (Q), the latest reason (R) and when it was (S);
+// suppressed rows get T = TRUE. Every message read is logged to the "Bounce Log" sheet
+// (A: receivedat | B: email | C: type | D: reason | E: result | F: messageid) and never
+// read twice, so re-running is harmless.
+
+const BOUNCE_LOG_SHEET_NAME = "Bounce Log";
+const BOUNCE_FUNCTION = "processBounces";
+
+// Enhanced status codes meaning the mailbox itself is gone: 5.1.x bad address or
+// domain, 5.2.1 mailbox disabled, 5.4.4 no mail server. Other 5.x.x failures - a full
+// mailbox, or a server refusing our mail as spam - say nothing about the address, so
+// they count as soft bounces.
+const HARD_BOUNCE_STATUS = /^5\.(1\.\d+|2\.1|4\.4)$/;
+// The same, for servers that only give a basic SMTP code
+const HARD_BOUNCE_TEXT =
+  /\b(no such (user|mailbox)|user unknown|unknown user|does not exist|address rejected|invalid recipient)\b/i;
 
 /**
- * UTILITY: Backfill unsubscribe URLs for existing subscribers
- * Run this ONCE after adding the "unsubscribeurl" column to generate URLs
- * for all existing subscribers who don't have one yet.
+ * Install the hourly trigger that processes bounces and complaints
+ */
+function installBounceTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter((t) => t.getHandlerFunction() === BOUNCE_FUNCTION)
+    .forEach((t) => ScriptApp.deleteTrigger(t));
+
+  ScriptApp.newTrigger(BOUNCE_FUNCTION).timeBased().everyHours(1).create();
+
+  console.log("✅ Hourly bounce processing trigger installed");
+}
+
+/**
+ * Record new bounces and complaints from the sender mailbox (run by the hourly trigger)
  *
- * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ * Column order: A=email | ... | Q=bouncecount | R=lastbounce | S=lastbounceat | T=suppressed
  */
-function backfillUnsubscribeUrls() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const data = sheet.getDataRange().getValues();
+function processBounces() {
+  if (!claimJob("bounces")) {
+    logEvent("info", "bounces_skipped", {
+      reason: "previous run still going",
+    });
+    return;
+  }
 
-  // Column indices (0-based)
-  const emailCol = 0; // Column A
-  const unsubUrlCol = 5; // Column F (Unsubscribe URL)
+  try {
+    const log = getBounceLogSheet();
+    const seen = getProcessedBounceMessageIds(log);
+    const messages = GmailApp.search(CONFIG.bounceSearchQuery, 0, 500)
+      .flatMap((thread) => thread.getMessages())
+      .filter((message) => !seen.has(message.getId()))
+      // Oldest first, so soft bounces are counted in the order they happened
+      .sort((a, b) => a.getDate() - b.getDate());
+    if (messages.length === 0) {
+      return;
+    }
 
-  let updated = 0;
-  let skipped = 0;
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const startedAt = Date.now();
+    let read = 0;
+    let suppressed = 0;
 
-  console.log("=== Backfilling Unsubscribe URLs ===");
-  console.log("Total rows (including header):", data.length);
+    for (const message of messages) {
+      // Whatever's left is picked up by the next run
+      if (Date.now() - startedAt > CAMPAIGN_MAX_RUN_MS) {
+        break;
+      }
 
-  // Skip header row, process all data rows
-  for (let i = 1; i < data.length; i++) {
-    const email = data[i][emailCol];
-    const existingUrl = data[i][unsubUrlCol];
+      const receivedAt = message.getDate();
+      const bounces = parseBounceMessage(
+        message.getRawContent(),
+        message.getHeader("X-Failed-Recipients"),
+      );
+      if (bounces.length === 0) {
+        bounces.push({
+          email: "",
+          type: "unknown",
+          reason: message.getSubject(),
+        });
+      }
 
-    if (!email) {
-      skipped++;
-      continue;
+      // Subscriber rows only change under the script lock, one message at a time
+      const lock = LockService.getScriptLock();
+      if (!lock.tryLock(LOCK_WAIT_MS)) {
+        break;
+      }
+      try {
+        bounces.forEach((bounce) => {
+          const result = recordBounce(sheet, bounce, receivedAt);
+          if (result === "suppressed") {
+            suppressed++;
+          }
+          log.appendRow([
+            receivedAt.toISOString(),
+            bounce.email,
+            bounce.type,
+            bounce.reason,
+            result,
+            message.getId(),
+          ]);
+        });
+      } finally {
+        lock.releaseLock();
+      }
+      read++;
     }
 
-    // Only generate URL if it doesn't exist
-    if (!existingUrl || existingUrl === "") {
-      const unsubscribeUrl = generateUnsubscribeUrl(email);
-      sheet.getRange(i + 1, unsubUrlCol + 1).setValue(unsubscribeUrl);
-      updated++;
-      console.log(`✅ Generated URL for row ${i + 1}: ${email}`);
-    } else {
-      skipped++;
-    }
+    logEvent("info", "bounces_processed", {
+      read: read,
+      suppressed: suppressed,
+      left: messages.length - read,
+    });
+  } finally {
+    releaseJob("bounces");
+  }
+}
+
+/**
+ * Count one bounce or complaint against a subscriber and suppress them if it's time
+ * @param {{email: string, type: string, reason: string}} bounce - From parseBounceMessage()
+ * @param {Date} receivedAt - When the notice arrived
+ * @returns {string} - What happened, for the "Bounce Log" result column
+ */
+function recordBounce(sheet, bounce, receivedAt) {
+  if (bounce.type === "delayed" || bounce.type === "unknown") {
+    return "ignored";
   }
 
-  console.log("");
-  console.log("=== Backfill Complete ===");
-  console.log("URLs generated:", updated);
-  console.log("Rows skipped (already had URL or empty):", skipped);
+  const row = bounce.email ? findSubscriberRow(sheet, bounce.email) : -1;
+  if (row === -1) {
+    return "not a subscriber";
+  }
+
+  const values = sheet.getRange(row, BOUNCE_COUNT_COLUMN, 1, 4).getValues()[0];
+  const lastBounceAt = values[2] ? new Date(values[2]) : null;
+  const windowMs = CONFIG.softBounceWindowDays * 24 * 60 * 60 * 1000;
+  const recent = lastBounceAt && receivedAt - lastBounceAt <= windowMs;
+  const count = (recent ? Number(values[0]) || 0 : 0) + 1;
+  const suppress = bounce.type !== "soft" || count >= CONFIG.softBounceLimit;
+  const alreadySuppressed = isSuppressedValue(values[3]);
+
+  sheet
+    .getRange(row, BOUNCE_COUNT_COLUMN, 1, 4)
+    .setValues([
+      [
+        count,
+        `${bounce.type}: ${bounce.reason}`,
+        receivedAt.toISOString(),
+        alreadySuppressed || suppress,
+      ],
+    ]);
+
+  if (alreadySuppressed) {
+    return "already suppressed";
+  }
+  if (suppress) {
+    logEvent("info", "subscriber_suppressed", {
+      email_hash: emailHash(bounce.email),
+      type: bounce.type,
+      reason: bounce.reason,
+    });
+    return "suppressed";
+  }
+  return `soft bounce ${count} of ${CONFIG.softBounceLimit}`;
 }
 
 /**
- * UTILITY: Add column headers if missing
- * Run this once to ensure all required columns exist
- *
- * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ * Read the bounces or complaint in a raw (RFC 2822) message
+ * @param {string} raw - The message's raw content
+ * @param {string} [failedRecipients] - Its X-Failed-Recipients header, if any
+ * @returns {Array<{email: string, type: string, reason: string}>} - type is "hard",
+ *   "soft", "delayed" or "complaint"; empty if it's neither a bounce nor a complaint
  */
-function setupColumnHeaders() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const expectedHeaders = [
-    "email",
-    "firstname",
-    "timestamp",
-    "source",
-    "subscribed",
-    "unsubscribeurl",
-  ];
+function parseBounceMessage(raw, failedRecipients) {
+  // Unfold header lines continued on the next line
+  const text = raw.replace(/\r?\n[ \t]+/g, " ");
 
-  // Set headers in row 1
-  for (let i = 0; i < expectedHeaders.length; i++) {
-    sheet.getRange(1, i + 1).setValue(expectedHeaders[i]);
+  const feedbackType = text.match(/^Feedback-Type:\s*([\w-]+)/im);
+  if (feedbackType) {
+    const email = complaintRecipient(text);
+    return email
+      ? [{ email, type: "complaint", reason: feedbackType[1].toLowerCase() }]
+      : [];
   }
 
-  console.log("✅ Column headers set up:", expectedHeaders.join(" | "));
+  // Delivery status notification: one block of fields per recipient
+  const bounces = text
+    .split(/^(?=Final-Recipient:)/im)
+    .slice(1)
+    .map((block) => block.split(/\r?\n\r?\n/)[0])
+    .map((block) => {
+      const field = (name) => {
+        const match = block.match(new RegExp(`^${name}:\\s*(.*)$`, "im"));
+        return match ? match[1].trim() : "";
+      };
+      return bounceFromFields(
+        field("Final-Recipient").replace(/^rfc822;\s*/i, ""),
+        field("Action"),
+        field("Status"),
+        field("Diagnostic-Code").replace(/^smtp;\s*/i, ""),
+      );
+    })
+    .filter(Boolean);
+  if (bounces.length) {
+    return bounces;
+  }
+
+  // No machine-readable report - fall back to the header some servers add
+  const diagnostic = text.match(/\b[45]\d\d[ -]+[45]\.\d{1,3}\.\d{1,3}\b.*$/m);
+  return (failedRecipients || "")
+    .split(",")
+    .map((email) =>
+      bounceFromFields(
+        email,
+        "failed",
+        "",
+        diagnostic ? diagnostic[0].trim() : "",
+      ),
+    )
+    .filter(Boolean);
 }
 
 /**
- * UTILITY: Set subscribed=TRUE for all existing rows that don't have a value
- * Run this after adding the subscribed column to mark existing subscribers as active
- *
- * Column order: A=email | B=firstname | C=timestamp | D=source | E=subscribed | F=unsubscribeurl
+ * Classify one recipient of a delivery status notification, or null if the
+ * address can't be read
  */
-function backfillSubscribedColumn() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const data = sheet.getDataRange().getValues();
+function bounceFromFields(recipient, action, status, diagnostic) {
+  const email = recipient.replace(/[<>]/g, "").trim().toLowerCase();
+  if (!isValidEmail(email)) {
+    return null;
+  }
 
-  let updated = 0;
+  // Prefer the detailed code a server gives ("550 5.1.1 ...") over a generic 5.0.0
+  const detailed = diagnostic.match(/\b([45]\.\d{1,3}\.\d{1,3})\b/);
+  const code =
+    (!status || /^\d\.0\.0$/.test(status)) && detailed ? detailed[1] : status;
+  const reason =
+    (diagnostic.includes(code) ? diagnostic : `${code} ${diagnostic}`)
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 200) || "no reason given";
 
-  // Skip header row
-  for (let i = 1; i < data.length; i++) {
-    const email = data[i][0]; // Column A
-    const subscribed = data[i][4]; // Column E (index 4)
+  if (/^delayed$/i.test(action)) {
+    return { email, type: "delayed", reason };
+  }
+  // Only trust the wording when there's no detailed 5.x.x code to go on
+  const hard =
+    HARD_BOUNCE_STATUS.test(code) ||
+    (/^(5\.0\.0)?$/.test(code) && HARD_BOUNCE_TEXT.test(diagnostic));
+  return { email, type: hard ? "hard" : "soft", reason };
+}
 
-    if (email && (subscribed === "" || subscribed === undefined)) {
-      sheet.getRange(i + 1, 5).setValue(true); // Column E
-      updated++;
+/**
+ * The subscriber a complaint report is about: the report's Original-Rcpt-To, else
+ * the address in the reported email's unsubscribe link (feedback loops often blank
+ * out its To: header), else that To: header
+ */
+function complaintRecipient(text) {
+  const candidates = [];
+
+  const originalRecipient = text.match(/^Original-Rcpt-To:\s*<?([^\s<>]+)>?/im);
+  if (originalRecipient) {
+    candidates.push(originalRecipient[1]);
+  }
+
+  // Quoted-printable parts turn "=" into "=3D"
+  const unsubscribe = text.match(/unsubscribe\?email=(?:3D)?([^&\s<>"]+)/i);
+  if (unsubscribe) {
+    try {
+      candidates.push(decodeURIComponent(unsubscribe[1]));
+    } catch (error) {
+      // A mangled link - try the To: header instead
     }
   }
 
-  console.log("✅ Set Subscribed=TRUE for", updated, "existing subscribers");
+  const reported = text.split(
+    /^Content-Type:\s*(message\/rfc822|text\/rfc822-headers)/im,
+  )[2];
+  const to =
+    reported && reported.match(/^To:.*?<?([^\s<>"]+@[^\s<>"]+)>?\s*$/im);
+  if (to) {
+    candidates.push(to[1]);
+  }
+
+  const email = candidates
+    .map((candidate) => candidate.trim().toLowerCase())
+    .find(isValidEmail);
+  return email || "";
+}
+
+/**
+ * Whether the subscriber in this row is suppressed, logging the email that won't go out
+ * (by address hash - never the address itself)
+ * @param {string} emailType - "confirmation", "welcome" ...
+ */
+function isSuppressedRow(sheet, row, emailType) {
+  if (!isSuppressedValue(sheet.getRange(row, SUPPRESSED_COLUMN).getValue())) {
+    return false;
+  }
+  logEvent("info", "email_suppressed", {
+    email_hash: emailHash(sheet.getRange(row, 1).getValue().toString()),
+    email_type: emailType,
+  });
+  return true;
+}
+
+/**
+ * isSuppressedRow() by address - false for anyone not in the sheet
+ */
+function isSuppressedEmail(sheet, email, emailType) {
+  const row = findSubscriberRow(sheet, email);
+  return row !== -1 && isSuppressedRow(sheet, row, emailType);
+}
+
+/**
+ * Message IDs already in the "Bounce Log"
+ */
+function getProcessedBounceMessageIds(log) {
+  if (log.getLastRow() < 2) {
+    return new Set();
+  }
+  return new Set(
+    log
+      .getRange(2, 6, log.getLastRow() - 1, 1)
+      .getValues()
+      .map((values) => values[0].toString()),
+  );
+}
+
+/**
+ * The "Bounce Log" sheet, created on first use
+ */
+function getBounceLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(BOUNCE_LOG_SHEET_NAME);
+
+  if (!sheet) {
+    // insertSheet() activates the new sheet - switch back to the subscriber sheet
+    const subscriberSheet = spreadsheet.getActiveSheet();
+    sheet = spreadsheet.insertSheet(
+      BOUNCE_LOG_SHEET_NAME,
+      spreadsheet.getNumSheets(),
+    );
+    sheet
+      .getRange(1, 1, 1, 6)
+      .setValues([
+        ["receivedat", "email", "type", "reason", "result", "messageid"],
+      ]);
+    spreadsheet.setActiveSheet(subscriberSheet);
+  }
+
+  return sheet;
 }
 
 // ============================================================================
@@ -882,15 +4481,18 @@ function testUnsubscribeUrl() {
  */
 function viewStats() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const totalRows = sheet.getLastRow();
-  const totalEmails = totalRows - 1; // Subtract header
-  const activeSubscribers = countActiveSubscribers(sheet);
-  const unsubscribed = totalEmails - activeSubscribers;
+  const stats = collectStats(sheet);
 
   console.log("=== Newsletter Signup Stats ===");
-  console.log("Total emails in list:", totalEmails);
-  console.log("Active subscribers:", activeSubscribers);
-  console.log("Unsubscribed:", unsubscribed);
+  console.log("Total emails in list:", stats.total);
+  console.log("Active subscribers:", stats.subscribed);
+  console.log("Pending confirmation:", stats.pending);
+  console.log("Unsubscribed:", stats.unsubscribed);
+  console.log("Paused:", stats.paused);
+  console.log("Suppressed after bounces:", stats.suppressed);
+  console.log("");
+  logSourceBreakdown("Signups by source:", stats.by_source);
+  logSourceBreakdown("Signups by utm_source:", stats.by_utm_source);
   console.log("");
   console.log("Email mode:", CONFIG.welcomeEmailMode);
   console.log("Sender email:", CONFIG.senderEmail);
@@ -904,3 +4506,18 @@ function viewStats() {
     SpreadsheetApp.getActiveSpreadsheet().getUrl(),
   );
 }
+
+/**
+ * Log one of collectStats()' breakdowns, biggest group first
+ */
+function logSourceBreakdown(title, groups) {
+  console.log(title);
+  Object.keys(groups)
+    .sort((a, b) => groups[b].total - groups[a].total)
+    .forEach((key) => {
+      const group = groups[key];
+      console.log(
+        `  ${key}: ${group.total} (${group.subscribed} subscribed, ${group.pending} pending, ${group.unsubscribed} unsubscribed, ${group.suppressed} suppressed)`,
+      );
+    });
+}
@@ -0,0 +1,19 @@
+-- Subscribers table for STORAGE_BACKEND = "d1"
+-- Mirrors the Google Sheet columns, except unsubscribeurl (only used by Mail Merge)
+CREATE TABLE IF NOT EXISTS subscribers (
+  email TEXT PRIMARY KEY,
+  first_name TEXT NOT NULL DEFAULT '',
+  timestamp TEXT NOT NULL DEFAULT '',
+  source TEXT NOT NULL DEFAULT 'unknown',
+  -- subscribed | unsubscribed | pending
+  status TEXT NOT NULL,
+  -- Set while a confirmation email is outstanding (including resubscribes)
+  pending_since TEXT NOT NULL DEFAULT '',
+  -- Comma-separated topics; empty = everything
+  topics TEXT NOT NULL DEFAULT '',
+  frequency TEXT NOT NULL DEFAULT 'all',
+  -- YYYY-MM-DD
+  paused_until TEXT NOT NULL DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS subscribers_status ON subscribers (status);
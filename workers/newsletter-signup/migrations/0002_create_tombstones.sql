@@ -0,0 +1,6 @@
+-- Erased addresses (GDPR/CCPA erasure requests) for STORAGE_BACKEND = "d1"
+-- Only a SHA-256 of the normalized email is kept, so imports can skip it
+CREATE TABLE IF NOT EXISTS tombstones (
+  email_hash TEXT PRIMARY KEY,
+  erased_at TEXT NOT NULL
+);
@@ -0,0 +1,10 @@
+-- Where each signup came from (src/attribution.js), for STORAGE_BACKEND = "d1"
+-- Rows from before this migration keep their source and have no attribution
+ALTER TABLE subscribers ADD COLUMN utm_source TEXT NOT NULL DEFAULT '';
+ALTER TABLE subscribers ADD COLUMN utm_medium TEXT NOT NULL DEFAULT '';
+ALTER TABLE subscribers ADD COLUMN utm_campaign TEXT NOT NULL DEFAULT '';
+ALTER TABLE subscribers ADD COLUMN utm_term TEXT NOT NULL DEFAULT '';
+ALTER TABLE subscribers ADD COLUMN utm_content TEXT NOT NULL DEFAULT '';
+ALTER TABLE subscribers ADD COLUMN referrer TEXT NOT NULL DEFAULT '';
+
+CREATE INDEX IF NOT EXISTS subscribers_source ON subscribers (source);
@@ -0,0 +1,1065 @@
+/**
+ * Admin API
+ *
+ * Bearer-token protected routes for managing the list without opening the
+ * sheet or the Apps Script editor. Every request, including failed logins,
+ * is written to the audit log (src/audit-log.js).
+ *
+ * Tokens come from ADMIN_TOKENS ("name:token,name:token" so the audit log
+ * knows who did what) and/or ADMIN_TOKEN (logged as "admin").
+ *
+ * Routes:
+ *   GET    /admin/stats?days=                      - Subscriber counts by status and source (what
+ *                                                     viewStats logs) and daily signup metrics
+ *                                                     (src/metrics.js)
+ *   GET    /admin/subscribers?q=&status=&cursor=&limit=  - List / search
+ *   GET    /admin/subscribers.csv?q=&status=       - Export as CSV
+ *   POST   /admin/subscribers                      - Add { email, first_name?, send_confirmation? }
+ *   POST   /admin/subscribers/import?source=       - Import a CSV (email, first name) with a
+ *                                                     per-row report (src/import.js)
+ *   GET    /admin/subscribers/:email               - View one subscriber
+ *   PATCH  /admin/subscribers/:email               - Edit { first_name?, topics?, frequency?, pause_days? }
+ *   POST   /admin/subscribers/:email/unsubscribe   - Unsubscribe
+ *   POST   /admin/subscribers/:email/resubscribe   - Resubscribe (or confirm a pending signup)
+ *   DELETE /admin/subscribers/:email               - Hard delete
+ *   GET    /admin/audit-log?cursor=&limit=         - Audit entries, newest first
+ *   GET    /admin/retry-queue                      - Queued retries and dead letters
+ *   POST   /admin/retry-queue/replay               - Replay dead letters { ids? }
+ *   GET    /admin/orders?status=&cursor=&limit=    - Pickup orders, newest first
+ *   GET    /admin/orders/:id                       - View one order
+ *   POST   /admin/orders/:id/status                - Move an order on { status }
+ */
+
+import { normalizeSource } from "./attribution.js";
+import { listAuditEntries, recordAudit } from "./audit-log.js";
+import { emailValidationOptions, validateEmail } from "./email.js";
+import { jsonResponse } from "./http.js";
+import {
+  DEFAULT_IMPORT_SOURCE,
+  buildImportReport,
+  prepareImport,
+} from "./import.js";
+import { log, logStorageError, requestIdOf } from "./logging.js";
+import { METRICS_MAX_DAYS, readMetrics } from "./metrics.js";
+import {
+  INVALID_STATUS_CHANGE,
+  ORDER_NOT_FOUND,
+  ORDER_STATUSES,
+  createOrderStore,
+} from "./orders.js";
+import { PREFERENCE_FREQUENCIES, PREFERENCE_TOPICS } from "./preferences.js";
+import { listRetryItems, replayDeadLetters } from "./retry-queue.js";
+import { EMAIL_NOT_FOUND, createStorage } from "./storage/index.js";
+import { generateConfirmUrl, sha256Hex, timingSafeEqual } from "./tokens.js";
+
+const SUBSCRIBER_STATUSES = ["subscribed", "pending", "unsubscribed"];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Columns in the CSV export, in order
+const CSV_COLUMNS = [
+  "email",
+  "first_name",
+  "timestamp",
+  "source",
+  "status",
+  "pending_since",
+  "topics",
+  "frequency",
+  "paused_until",
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "referrer",
+];
+
+const SUBSCRIBER_PATH = /^\/admin\/subscribers\/([^/]+)$/;
+
+const ADMIN_ROUTES = [
+  {
+    method: "GET",
+    path: /^\/admin\/stats$/,
+    action: "stats.view",
+    handler: handleStats,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/subscribers$/,
+    action: "subscribers.list",
+    handler: handleListSubscribers,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/subscribers\.csv$/,
+    action: "subscribers.export",
+    handler: handleExportSubscribers,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/subscribers$/,
+    action: "subscriber.add",
+    handler: handleAddSubscriber,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/subscribers\/import$/,
+    action: "subscribers.import",
+    handler: handleImportSubscribers,
+  },
+  {
+    method: "GET",
+    path: SUBSCRIBER_PATH,
+    action: "subscriber.view",
+    handler: handleGetSubscriber,
+  },
+  {
+    method: "PATCH",
+    path: SUBSCRIBER_PATH,
+    action: "subscriber.edit",
+    handler: handleEditSubscriber,
+  },
+  {
+    method: "DELETE",
+    path: SUBSCRIBER_PATH,
+    action: "subscriber.delete",
+    handler: handleDeleteSubscriber,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/subscribers\/([^/]+)\/unsubscribe$/,
+    action: "subscriber.unsubscribe",
+    handler: handleUnsubscribeSubscriber,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/subscribers\/([^/]+)\/resubscribe$/,
+    action: "subscriber.resubscribe",
+    handler: handleResubscribeSubscriber,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/audit-log$/,
+    action: "audit-log.view",
+    handler: handleAuditLog,
+    usesStorage: false,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/retry-queue$/,
+    action: "retry-queue.view",
+    handler: handleRetryQueueList,
+    usesStorage: false,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/retry-queue\/replay$/,
+    action: "retry-queue.replay",
+    handler: handleRetryQueueReplay,
+    usesStorage: false,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/orders$/,
+    action: "orders.list",
+    handler: handleListOrders,
+    usesStorage: false,
+  },
+  {
+    method: "GET",
+    path: /^\/admin\/orders\/([^/]+)$/,
+    action: "order.view",
+    handler: handleGetOrder,
+    usesStorage: false,
+  },
+  {
+    method: "POST",
+    path: /^\/admin\/orders\/([^/]+)\/status$/,
+    action: "order.status",
+    handler: handleOrderStatus,
+    usesStorage: false,
+  },
+];
+
+/**
+ * Route, authenticate and audit-log an /admin request
+ */
+export async function handleAdmin(request, env) {
+  const url = new URL(request.url);
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+
+  const auth = await authenticateAdmin(request, env);
+  if (auth.response) {
+    await recordAudit(env, {
+      actor: "unknown",
+      action: "auth.failed",
+      target: `${request.method} ${url.pathname}`,
+      status: auth.response.status,
+      ip,
+    });
+    return auth.response;
+  }
+
+  let route;
+  let match;
+  for (const candidate of ADMIN_ROUTES) {
+    match =
+      candidate.method === request.method && url.pathname.match(candidate.path);
+    if (match) {
+      route = candidate;
+      break;
+    }
+  }
+
+  if (!route) {
+    return jsonResponse({ error: "Not found" }, 404, request, env);
+  }
+
+  const param = decodePathParam(match[1]);
+  const ctx = {
+    request,
+    env,
+    url,
+    email: (param || "").toLowerCase(),
+    orderId: (param || "").toUpperCase(),
+    storage: null,
+    // Handlers add anything worth keeping in the audit entry here
+    details: undefined,
+  };
+
+  let response;
+  if (route.usesStorage !== false && param !== null) {
+    ctx.storage = createStorage(env, { requestId: requestIdOf(request) });
+  }
+
+  if (param === null) {
+    response = jsonResponse({ error: "Invalid path" }, 400, request, env);
+  } else if (route.usesStorage !== false && !ctx.storage) {
+    response = jsonResponse(
+      { error: "Storage backend not configured" },
+      500,
+      request,
+      env,
+    );
+  } else {
+    try {
+      response = await route.handler(ctx);
+    } catch (error) {
+      log("error", "unhandled_error", {
+        request_id: requestIdOf(request),
+        action: route.action,
+        error: error.message,
+        stack: error.stack,
+      });
+      response = jsonResponse(
+        { error: "Something went wrong" },
+        500,
+        request,
+        env,
+      );
+    }
+  }
+
+  await recordAudit(env, {
+    actor: auth.actor,
+    action: route.action,
+    target:
+      (route.action.startsWith("order.") ? ctx.orderId : ctx.email) ||
+      undefined,
+    details: ctx.details,
+    status: response.status,
+    ip,
+  });
+
+  return response;
+}
+
+/**
+ * Decode the email or order ID captured from an admin path
+ * @returns {string|null} - "" when the route has none, null when it isn't
+ *   valid percent-encoding (e.g. a stray "%")
+ */
+function decodePathParam(value) {
+  if (!value) {
+    return "";
+  }
+  try {
+    return decodeURIComponent(value).trim();
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Parse the admin tokens from ADMIN_TOKENS ("name:token,...") and ADMIN_TOKEN
+ * @returns {Array<{name: string, token: string}>}
+ */
+function getAdminTokens(env) {
+  const tokens = [];
+
+  if (env.ADMIN_TOKENS) {
+    for (const entry of env.ADMIN_TOKENS.split(",")) {
+      const separator = entry.indexOf(":");
+      if (separator > 0) {
+        tokens.push({
+          name: entry.slice(0, separator).trim(),
+          token: entry.slice(separator + 1).trim(),
+        });
+      }
+    }
+  }
+
+  if (env.ADMIN_TOKEN) {
+    tokens.push({ name: "admin", token: env.ADMIN_TOKEN });
+  }
+
+  return tokens.filter((t) => t.name && t.token);
+}
+
+/**
+ * Check the Authorization: Bearer header against the admin tokens
+ * @returns {Promise<{actor?: string, response?: Response}>} - The admin's
+ *   name, or a 401 response to return as-is
+ */
+async function authenticateAdmin(request, env) {
+  const header = request.headers.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  const adminTokens = getAdminTokens(env);
+
+  if (adminTokens.length === 0) {
+    log("error", "not_configured", {
+      request_id: requestIdOf(request),
+      missing: "ADMIN_TOKEN(S)",
+    });
+  }
+
+  if (token) {
+    // Hash first so the comparison doesn't depend on the token's length
+    const tokenHash = await sha256Hex(token);
+    let actor = null;
+    for (const candidate of adminTokens) {
+      if (timingSafeEqual(tokenHash, await sha256Hex(candidate.token))) {
+        actor = actor || candidate.name;
+      }
+    }
+    if (actor) {
+      return { actor };
+    }
+  }
+
+  return {
+    response: jsonResponse({ error: "Unauthorized" }, 401, request, env, {
+      "WWW-Authenticate": "Bearer",
+    }),
+  };
+}
+
+// ============================================================================
+// SUBSCRIBER ROUTES
+// ============================================================================
+
+/**
+ * GET /admin/stats
+ * days (default 7, at most METRICS_MAX_DAYS) is how far back the metrics go.
+ */
+async function handleStats({ request, env, url, storage }) {
+  const result = await storage.stats();
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  const days = parseInt(url.searchParams.get("days"), 10) || 7;
+  const body = {
+    stats: result.stats,
+    metrics: await readMetrics(
+      env,
+      Math.min(Math.max(days, 1), METRICS_MAX_DAYS),
+    ),
+  };
+
+  if (env.RETRY_QUEUE) {
+    const { pending, deadLetters } = await listRetryItems(env);
+    body.retry_queue = {
+      pending: pending.length,
+      dead_letters: deadLetters.length,
+    };
+  }
+
+  return jsonResponse(body, 200, request, env);
+}
+
+/**
+ * GET /admin/subscribers
+ * q matches part of the email or first name; status is subscribed, pending
+ * or unsubscribed. Pages may hold more than `limit` results when filtering.
+ */
+async function handleListSubscribers({ request, env, url, storage }) {
+  const filter = parseFilter(url);
+  if (filter.error) {
+    return jsonResponse({ error: filter.error }, 400, request, env);
+  }
+
+  const result = await searchSubscribers(storage, {
+    ...filter,
+    cursor: url.searchParams.get("cursor"),
+    limit: clampPageSize(url.searchParams.get("limit")),
+  });
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return jsonResponse(
+    { subscribers: result.subscribers, cursor: result.cursor },
+    200,
+    request,
+    env,
+  );
+}
+
+/**
+ * GET /admin/subscribers.csv
+ */
+async function handleExportSubscribers(ctx) {
+  const { request, env, url, storage } = ctx;
+  const filter = parseFilter(url);
+  if (filter.error) {
+    return jsonResponse({ error: filter.error }, 400, request, env);
+  }
+
+  const subscribers = [];
+  let cursor = null;
+  do {
+    const result = await searchSubscribers(storage, {
+      ...filter,
+      cursor,
+      limit: MAX_PAGE_SIZE,
+    });
+    if (!result.success) {
+      return storageErrorResponse(result, request, env);
+    }
+    subscribers.push(...result.subscribers);
+    cursor = result.cursor;
+  } while (cursor);
+
+  ctx.details = { ...filter, rows: subscribers.length };
+
+  const lines = [
+    CSV_COLUMNS.join(","),
+    ...subscribers.map((subscriber) =>
+      CSV_COLUMNS.map((column) => csvCell(subscriber[column])).join(","),
+    ),
+  ];
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new Response(lines.join("\r\n") + "\r\n", {
+    status: 200,
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="subscribers-${date}.csv"`,
+    },
+  });
+}
+
+/**
+ * POST /admin/subscribers
+ * Body: { email, first_name?, send_confirmation? }
+ * Without send_confirmation the address is subscribed straight away.
+ * Existing addresses (including people who unsubscribed) are never touched.
+ */
+async function handleAddSubscriber(ctx) {
+  const { request, env, storage } = ctx;
+  const body = await readJsonBody(request);
+  if (!body) {
+    return jsonResponse({ error: "Invalid JSON body" }, 400, request, env);
+  }
+
+  // The signup form's rules, so admins can't add what the form would refuse
+  const validation = validateEmail(body.email, emailValidationOptions(env));
+  if (!validation.valid) {
+    return jsonResponse({ error: validation.error }, 400, request, env);
+  }
+
+  const normalizedEmail = validation.email;
+  const firstName =
+    typeof body.first_name === "string" ? body.first_name.trim() : "";
+  if (firstName.length > 50) {
+    return jsonResponse(
+      { error: "first_name must be 50 characters or fewer" },
+      400,
+      request,
+      env,
+    );
+  }
+
+  ctx.email = normalizedEmail;
+  ctx.details = {
+    first_name: firstName,
+    send_confirmation: !!body.send_confirmation,
+  };
+
+  // Refuse rather than resubscribe someone who opted out
+  const existing = await storage.lookup(normalizedEmail);
+  if (existing.success) {
+    return jsonResponse(
+      {
+        error: `Already on the list (${existing.subscriber.status})`,
+        subscriber: existing.subscriber,
+      },
+      409,
+      request,
+      env,
+    );
+  }
+  if (existing.error !== EMAIL_NOT_FOUND) {
+    return storageErrorResponse(existing, request, env);
+  }
+
+  const confirmUrl =
+    body.send_confirmation && storage.sendsEmail
+      ? await generateConfirmUrl(
+          new URL(request.url).origin,
+          normalizedEmail,
+          env,
+        )
+      : undefined;
+
+  const result = await storage.subscribe(normalizedEmail, {
+    firstName,
+    source: "admin",
+    confirmUrl,
+  });
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return subscriberResponse(storage, normalizedEmail, 201, request, env);
+}
+
+/**
+ * POST /admin/subscribers/import?source=
+ * Body: CSV with a header row naming an email column and optionally a first
+ * name column. New addresses are subscribed straight away with no emails
+ * sent; existing ones, unsubscribed and erased people included, are skipped.
+ * Returns { summary: { added, skipped, invalid }, rows: [{ row, email, status, reason? }] }
+ * where row is the CSV line (the header is line 1).
+ */
+async function handleImportSubscribers(ctx) {
+  const { request, env, url, storage } = ctx;
+
+  const source = (url.searchParams.get("source") || DEFAULT_IMPORT_SOURCE)
+    .trim()
+    .toLowerCase();
+  if (normalizeSource(source) !== source) {
+    return jsonResponse(
+      { error: "source must be a lowercase slug, e.g. market-2024" },
+      400,
+      request,
+      env,
+    );
+  }
+
+  const prepared = prepareImport(
+    await request.text(),
+    emailValidationOptions(env),
+  );
+  if (prepared.error) {
+    return jsonResponse({ error: prepared.error }, 400, request, env);
+  }
+
+  let results = [];
+  if (prepared.rows.length) {
+    const result = await storage.importSubscribers(prepared.rows, { source });
+    if (!result.success) {
+      return storageErrorResponse(result, request, env);
+    }
+    results = result.results;
+  }
+
+  const report = buildImportReport(prepared.rows, results, prepared.report);
+  ctx.details = { source, ...report.summary };
+
+  return jsonResponse(report, 200, request, env);
+}
+
+/**
+ * GET /admin/subscribers/:email
+ */
+async function handleGetSubscriber({ request, env, email, storage }) {
+  return subscriberResponse(storage, email, 200, request, env);
+}
+
+/**
+ * PATCH /admin/subscribers/:email
+ * Body: any of { first_name, topics, frequency, pause_days }
+ */
+async function handleEditSubscriber(ctx) {
+  const { request, env, email, storage } = ctx;
+  const body = await readJsonBody(request);
+  if (!body) {
+    return jsonResponse({ error: "Invalid JSON body" }, 400, request, env);
+  }
+
+  const parsed = parseSubscriberChanges(body);
+  if (parsed.error) {
+    return jsonResponse({ error: parsed.error }, 400, request, env);
+  }
+
+  ctx.details = parsed.changes;
+
+  const result = await storage.update(email, parsed.changes);
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return jsonResponse({ subscriber: result.subscriber }, 200, request, env);
+}
+
+/**
+ * POST /admin/subscribers/:email/unsubscribe
+ */
+async function handleUnsubscribeSubscriber({ request, env, email, storage }) {
+  const result = await storage.unsubscribe(email);
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return subscriberResponse(storage, email, 200, request, env);
+}
+
+/**
+ * POST /admin/subscribers/:email/resubscribe
+ * Unsubscribed → subscribed without a confirmation email; pending → confirmed.
+ */
+async function handleResubscribeSubscriber(ctx) {
+  const { request, env, email, storage } = ctx;
+  const existing = await storage.lookup(email);
+  if (!existing.success) {
+    return storageErrorResponse(existing, request, env);
+  }
+
+  ctx.details = { previous_status: existing.subscriber.status };
+
+  let result = { success: true };
+  if (existing.subscriber.status === "pending") {
+    result = await storage.confirm(email);
+  } else if (existing.subscriber.status === "unsubscribed") {
+    result = await storage.subscribe(email, {
+      firstName: existing.subscriber.first_name,
+      source: existing.subscriber.source,
+    });
+  }
+
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return subscriberResponse(storage, email, 200, request, env);
+}
+
+/**
+ * DELETE /admin/subscribers/:email
+ */
+async function handleDeleteSubscriber({ request, env, email, storage }) {
+  const result = await storage.remove(email);
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+
+  return jsonResponse({ success: true, email }, 200, request, env);
+}
+
+// ============================================================================
+// AUDIT LOG & RETRY QUEUE ROUTES
+// ============================================================================
+
+/**
+ * GET /admin/audit-log
+ */
+async function handleAuditLog({ request, env, url }) {
+  if (!env.AUDIT_LOG) {
+    return jsonResponse(
+      { error: "AUDIT_LOG binding not configured" },
+      501,
+      request,
+      env,
+    );
+  }
+
+  const page = await listAuditEntries(env, {
+    cursor: url.searchParams.get("cursor"),
+    limit: url.searchParams.get("limit"),
+  });
+  return jsonResponse(page, 200, request, env);
+}
+
+/**
+ * GET /admin/retry-queue
+ * Returns { pending: [...], dead_letters: [...] }
+ */
+async function handleRetryQueueList({ request, env }) {
+  if (!env.RETRY_QUEUE) {
+    return jsonResponse(
+      { error: "RETRY_QUEUE binding not configured" },
+      501,
+      request,
+      env,
+    );
+  }
+
+  const { pending, deadLetters } = await listRetryItems(env);
+  return jsonResponse(
+    { pending, dead_letters: deadLetters },
+    200,
+    request,
+    env,
+  );
+}
+
+/**
+ * POST /admin/retry-queue/replay
+ * Body: { "ids": ["..."] } to replay specific dead letters, or {} for all of them
+ */
+async function handleRetryQueueReplay(ctx) {
+  const { request, env } = ctx;
+  if (!env.RETRY_QUEUE) {
+    return jsonResponse(
+      { error: "RETRY_QUEUE binding not configured" },
+      501,
+      request,
+      env,
+    );
+  }
+
+  // Empty body means replay everything
+  const body = (await readJsonBody(request)) || {};
+
+  if (body.ids !== undefined && !Array.isArray(body.ids)) {
+    return jsonResponse(
+      { error: "ids must be an array of dead letter IDs" },
+      400,
+      request,
+      env,
+    );
+  }
+
+  const replayed = await replayDeadLetters(env, body.ids || null);
+  ctx.details = { ids: body.ids || "all", replayed };
+  log("info", "dead_letters_replayed", {
+    request_id: requestIdOf(request),
+    replayed,
+  });
+  return jsonResponse({ success: true, replayed }, 200, request, env);
+}
+
+// ============================================================================
+// ORDER ROUTES
+// ============================================================================
+
+/**
+ * GET /admin/orders?status=&cursor=&limit=
+ */
+async function handleListOrders({ request, env, url }) {
+  const status = url.searchParams.get("status") || "";
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return jsonResponse(
+      { error: `status must be one of: ${ORDER_STATUSES.join(", ")}` },
+      400,
+      request,
+      env,
+    );
+  }
+
+  const orders = createOrderStore(env, { requestId: requestIdOf(request) });
+  if (!orders) {
+    return jsonResponse(
+      { error: "Orders need GOOGLE_APPS_SCRIPT_URL" },
+      500,
+      request,
+      env,
+    );
+  }
+
+  const result = await orders.list({
+    status,
+    cursor: url.searchParams.get("cursor"),
+    limit: clampPageSize(url.searchParams.get("limit")),
+  });
+  if (!result.success) {
+    return orderErrorResponse(result, request, env);
+  }
+
+  return jsonResponse(
+    { orders: result.orders || [], cursor: result.cursor },
+    200,
+    request,
+    env,
+  );
+}
+
+/**
+ * GET /admin/orders/:id
+ */
+async function handleGetOrder({ request, env, orderId }) {
+  const orders = createOrderStore(env, { requestId: requestIdOf(request) });
+  if (!orders) {
+    return jsonResponse(
+      { error: "Orders need GOOGLE_APPS_SCRIPT_URL" },
+      500,
+      request,
+      env,
+    );
+  }
+
+  const result = await orders.get(orderId);
+  if (!result.success) {
+    return orderErrorResponse(result, request, env);
+  }
+  return jsonResponse({ order: result.order }, 200, request, env);
+}
+
+/**
+ * POST /admin/orders/:id/status
+ * Body: { "status": "confirmed" | "ready" | "picked_up" | "cancelled" }
+ * The customer is emailed when an order is confirmed, ready or cancelled.
+ */
+async function handleOrderStatus(ctx) {
+  const { request, env, orderId } = ctx;
+  const body = await readJsonBody(request);
+
+  if (!body || !ORDER_STATUSES.includes(body.status)) {
+    return jsonResponse(
+      { error: `status must be one of: ${ORDER_STATUSES.join(", ")}` },
+      400,
+      request,
+      env,
+    );
+  }
+  ctx.details = { status: body.status };
+
+  const orders = createOrderStore(env, { requestId: requestIdOf(request) });
+  if (!orders) {
+    return jsonResponse(
+      { error: "Orders need GOOGLE_APPS_SCRIPT_URL" },
+      500,
+      request,
+      env,
+    );
+  }
+
+  const result = await orders.setStatus(orderId, body.status);
+  if (!result.success) {
+    return orderErrorResponse(result, request, env);
+  }
+
+  log("info", "order_status_changed", {
+    request_id: requestIdOf(request),
+    order_id: orderId,
+    status: body.status,
+  });
+  return jsonResponse({ order: result.order }, 200, request, env);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Page through storage.list() collecting subscribers that match the filter
+ * Stops once at least `limit` matches are found or the list runs out.
+ */
+async function searchSubscribers(storage, { query, status, cursor, limit }) {
+  const subscribers = [];
+  let next = cursor || null;
+
+  do {
+    const page = await storage.list({ cursor: next, limit });
+    if (!page.success) {
+      return page;
+    }
+
+    subscribers.push(
+      ...page.subscribers.filter(
+        (subscriber) =>
+          (!status || subscriber.status === status) &&
+          (!query ||
+            subscriber.email.includes(query) ||
+            (subscriber.first_name || "").toLowerCase().includes(query)),
+      ),
+    );
+    next = page.cursor;
+  } while (next && subscribers.length < limit);
+
+  return { success: true, subscribers, cursor: next };
+}
+
+/**
+ * Read the q/status search parameters
+ * @returns {{query: string, status: string, error?: string}}
+ */
+function parseFilter(url) {
+  const query = (url.searchParams.get("q") || "").trim().toLowerCase();
+  const status = url.searchParams.get("status") || "";
+
+  if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+    return {
+      error: `status must be one of: ${SUBSCRIBER_STATUSES.join(", ")}`,
+    };
+  }
+
+  return { query, status };
+}
+
+/**
+ * Validate a PATCH body
+ * @returns {{changes?: object, error?: string}}
+ */
+function parseSubscriberChanges(body) {
+  const changes = {};
+
+  if (body.first_name !== undefined) {
+    if (
+      typeof body.first_name !== "string" ||
+      body.first_name.trim().length > 50
+    ) {
+      return { error: "first_name must be a string of 50 characters or fewer" };
+    }
+    changes.first_name = body.first_name.trim();
+  }
+
+  if (body.topics !== undefined) {
+    if (
+      !Array.isArray(body.topics) ||
+      !body.topics.every((topic) =>
+        PREFERENCE_TOPICS.some((t) => t.value === topic),
+      )
+    ) {
+      return {
+        error: `topics must be an array of: ${PREFERENCE_TOPICS.map((t) => t.value).join(", ")}`,
+      };
+    }
+    changes.topics = body.topics;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!PREFERENCE_FREQUENCIES.some((f) => f.value === body.frequency)) {
+      return {
+        error: `frequency must be one of: ${PREFERENCE_FREQUENCIES.map((f) => f.value).join(", ")}`,
+      };
+    }
+    changes.frequency = body.frequency;
+  }
+
+  if (body.pause_days !== undefined) {
+    if (
+      !Number.isInteger(body.pause_days) ||
+      body.pause_days < 0 ||
+      body.pause_days > 365
+    ) {
+      return { error: "pause_days must be a whole number from 0 to 365" };
+    }
+    changes.pause_days = body.pause_days;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      error: "Nothing to update (first_name, topics, frequency, pause_days)",
+    };
+  }
+
+  return { changes };
+}
+
+/**
+ * Look a subscriber up and return them as { subscriber }
+ */
+async function subscriberResponse(storage, email, status, request, env) {
+  const result = await storage.lookup(email);
+  if (!result.success) {
+    return storageErrorResponse(result, request, env);
+  }
+  return jsonResponse({ subscriber: result.subscriber }, status, request, env);
+}
+
+/**
+ * Map a failed storage result to a response
+ * Admins see the backend's error message, unlike public visitors.
+ */
+async function storageErrorResponse(result, request, env) {
+  if (result.error === EMAIL_NOT_FOUND) {
+    return jsonResponse({ error: EMAIL_NOT_FOUND }, 404, request, env);
+  }
+
+  await logStorageError(request, env, "admin", result);
+  return jsonResponse(
+    { error: `Storage error: ${result.error}` },
+    502,
+    request,
+    env,
+  );
+}
+
+/**
+ * Map a failed order store result to a response
+ */
+async function orderErrorResponse(result, request, env) {
+  if (result.error === ORDER_NOT_FOUND) {
+    return jsonResponse({ error: ORDER_NOT_FOUND }, 404, request, env);
+  }
+
+  if (result.error === INVALID_STATUS_CHANGE) {
+    return jsonResponse(
+      {
+        error: `${INVALID_STATUS_CHANGE}: the order is ${result.order ? result.order.status : "in a final state"}`,
+        order: result.order,
+      },
+      409,
+      request,
+      env,
+    );
+  }
+
+  await logStorageError(request, env, "admin_order", result);
+  return jsonResponse(
+    { error: `Order store error: ${result.error}` },
+    502,
+    request,
+    env,
+  );
+}
+
+/**
+ * Parse a JSON request body, or return null if it isn't valid JSON
+ */
+async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+function clampPageSize(limit) {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+/**
+ * Quote a value for CSV
+ * Cells starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas.
+ */
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join(",") : String(value ?? "");
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
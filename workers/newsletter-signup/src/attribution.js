@@ -0,0 +1,97 @@
+/**
+ * Signup attribution
+ * Where a signup came from: the form's own `source` (set per page it's
+ * embedded on), the utm_* parameters of the link that brought the visitor
+ * and the page that referred them. Everything here comes from the browser,
+ * so it's cleaned up rather than trusted - bad values are dropped, never
+ * rejected, because attribution must not cost us a signup.
+ *
+ * Keep in sync with the attribution columns (K-P) in google-apps-script.js
+ */
+
+export const DEFAULT_SIGNUP_SOURCE = "coming-soon-page";
+
+export const UTM_FIELDS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+];
+
+// Stored with every subscriber, alongside `source`
+export const ATTRIBUTION_FIELDS = [...UTM_FIELDS, "referrer"];
+
+const SOURCE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const MAX_UTM_LENGTH = 100;
+const MAX_REFERRER_LENGTH = 200;
+
+/**
+ * Lowercase slug naming the form a signup came from, e.g. "market-table"
+ * Anything else falls back to DEFAULT_SIGNUP_SOURCE.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeSource(value) {
+  const source = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return SOURCE_PATTERN.test(source) ? source : DEFAULT_SIGNUP_SOURCE;
+}
+
+/**
+ * Pick the attribution fields out of a signup body
+ * UTM values are lowercased so "Instagram" and "instagram" group together,
+ * and limited to characters that can't turn into a spreadsheet formula.
+ * The referrer keeps only its origin and path - query strings can carry
+ * emails or tokens.
+ * @param {object} body - Parsed signup request body
+ * @returns {object} - { utm_source, ..., referrer }, "" for anything missing
+ */
+export function normalizeAttribution(body = {}) {
+  const attribution = {};
+
+  for (const field of UTM_FIELDS) {
+    attribution[field] = normalizeUtmValue(body[field]);
+  }
+  attribution.referrer = normalizeReferrer(body.referrer);
+
+  return attribution;
+}
+
+/**
+ * Attribution fields from a stored subscriber or queued signup, "" when missing
+ * @param {object} record
+ * @returns {object}
+ */
+export function pickAttribution(record = {}) {
+  return Object.fromEntries(
+    ATTRIBUTION_FIELDS.map((field) => [field, (record && record[field]) || ""]),
+  );
+}
+
+function normalizeUtmValue(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} _.+:/&'-]/gu, "")
+    .replace(/^[^\p{L}\p{N}]+/u, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_UTM_LENGTH);
+}
+
+function normalizeReferrer(value) {
+  if (typeof value !== "string" || !value) {
+    return "";
+  }
+  try {
+    const url = new URL(value);
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return "";
+    }
+    return (url.origin + url.pathname).slice(0, MAX_REFERRER_LENGTH);
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Admin audit log
+ *
+ * Every /admin request is recorded with who made it (the name attached to
+ * their admin token), what they did and when. Entries always go to the Worker
+ * logs as a JSON line; when the AUDIT_LOG KV namespace is bound they're also
+ * kept there so GET /admin/audit-log can show them, newest first.
+ */
+
+import { log } from "./logging.js";
+
+const KEY_PREFIX = "audit:";
+
+// Keys sort newest first by storing the time remaining until this moment
+const MAX_TIMESTAMP = 9999999999999;
+
+/**
+ * Record one admin action
+ * @param {object} entry
+ * @param {string} entry.actor - Admin name from ADMIN_TOKENS ("admin" for ADMIN_TOKEN)
+ * @param {string} entry.action - e.g. "subscriber.delete"
+ * @param {string} [entry.target] - Subscriber email or other object acted on
+ * @param {object} [entry.details] - Request fields worth keeping (never secrets)
+ * @param {number} entry.status - HTTP status the admin got back
+ * @param {string} [entry.ip] - CF-Connecting-IP of the caller
+ */
+export async function recordAudit(env, entry) {
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date(now).toISOString(),
+    ...entry,
+  };
+
+  log("info", "audit", record);
+
+  if (!env.AUDIT_LOG) {
+    return record;
+  }
+
+  const retentionDays = parseInt(env.AUDIT_LOG_RETENTION_DAYS, 10) || 0;
+  const key = `${KEY_PREFIX}${String(MAX_TIMESTAMP - now).padStart(13, "0")}:${record.id}`;
+
+  try {
+    await env.AUDIT_LOG.put(
+      key,
+      JSON.stringify(record),
+      retentionDays > 0
+        ? { expirationTtl: retentionDays * 24 * 60 * 60 }
+        : undefined,
+    );
+  } catch (error) {
+    // The console line above is still there, so don't fail the admin request
+    log("error", "audit_store_failed", { error: error.message });
+  }
+
+  return record;
+}
+
+/**
+ * Read a page of audit entries, newest first
+ * @returns {Promise<{entries: object[], cursor: string|null}>}
+ */
+export async function listAuditEntries(env, { cursor, limit = 100 } = {}) {
+  const page = await env.AUDIT_LOG.list({
+    prefix: KEY_PREFIX,
+    limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000),
+    cursor: cursor || undefined,
+  });
+
+  const entries = await Promise.all(
+    page.keys.map((key) => env.AUDIT_LOG.get(key.name, "json")),
+  );
+
+  return {
+    entries: entries.filter(Boolean),
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
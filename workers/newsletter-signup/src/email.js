@@ -0,0 +1,22 @@
+/**
+ * Email address helpers
+ *
+ * The rules themselves live with the site in assets/js/email-validation.js,
+ * so the signup forms check addresses exactly the way the Worker does;
+ * wrangler bundles that file in from there.
+ */
+
+export {
+  isValidEmail,
+  normalizeEmail,
+  validateEmail,
+} from "../../../assets/js/email-validation.js";
+
+/**
+ * validateEmail() options for this deployment
+ * BLOCK_ROLE_ADDRESSES = "true" refuses info@, support@ and other shared
+ * inboxes - keep it in line with newsletter_block_role_addresses in hugo.toml
+ */
+export function emailValidationOptions(env) {
+  return { blockRoleAddresses: env.BLOCK_ROLE_ADDRESSES === "true" };
+}
@@ -0,0 +1,65 @@
+/**
+ * Response helpers shared by every route
+ */
+
+/**
+ * Get allowed origin for CORS
+ */
+function getAllowedOrigin(request, env) {
+  const origin = request.headers.get("Origin") || "";
+  const allowedOrigins = (env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim());
+
+  if (allowedOrigins.includes(origin)) {
+    return origin;
+  }
+  // Return first allowed origin as fallback (won't match but is safe)
+  return allowedOrigins[0] || "";
+}
+
+/**
+ * Handle CORS preflight requests
+ */
+export function handleCORS(request, env) {
+  const origin = getAllowedOrigin(request, env);
+  return new Response(null, {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+      "Access-Control-Allow-Headers":
+        "Content-Type, Idempotency-Key, Authorization",
+      "Access-Control-Max-Age": "86400",
+    },
+  });
+}
+
+/**
+ * Create JSON response with CORS headers
+ */
+export function jsonResponse(data, status, request, env, extraHeaders = {}) {
+  const origin = getAllowedOrigin(request, env);
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": origin,
+      // Lets the signup form read the ID to quote when something goes wrong
+      "Access-Control-Expose-Headers": "X-Request-Id",
+      ...extraHeaders,
+    },
+  });
+}
+
+/**
+ * Create HTML response
+ */
+export function htmlResponse(html, status) {
+  return new Response(html, {
+    status,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+    },
+  });
+}
@@ -0,0 +1,144 @@
+/**
+ * Idempotency keys for signups
+ *
+ * The signup form sends an Idempotency-Key header, one per submission. The
+ * site's service worker (static/sw.js) replays signups it couldn't send
+ * while the visitor was offline, and a request can reach us even though its
+ * response never made it back - so the same submission can arrive more than
+ * once. The first response for a key is kept and handed back for every
+ * repeat, so a replay never subscribes anyone twice, resends the
+ * confirmation email or counts twice in the metrics.
+ *
+ * Responses live in the IDEMPOTENCY KV namespace when it's bound, otherwise
+ * per isolate in memory. Rejected kiosk keys (401), rate limits (429) and
+ * server errors (5xx) aren't kept, so a retry gets a fresh attempt.
+ *
+ * The same namespace records which signup each Turnstile token was used by
+ * (see claimChallengeToken()), so a saved signup's expired token can be
+ * told apart from one lifted off another signup.
+ */
+
+import { jsonResponse } from "./http.js";
+import { log, setOutcome } from "./logging.js";
+import { sha256Hex } from "./tokens.js";
+
+const KEY_PREFIX = "idem:";
+const CHALLENGE_PREFIX = "challenge:";
+
+// Longer than the service worker keeps unsent signups (7 days)
+const IDEMPOTENCY_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+// How long a used challenge token stays tied to its signup. Turnstile can't
+// say whether a token it rejects expired unused or was used already, so this
+// is how long the Worker can say it for itself.
+const CHALLENGE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// UUIDs and the like - anything else is ignored rather than rejected
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Fallback store when no IDEMPOTENCY KV namespace is bound
+const memoryResponses = new Map();
+
+/**
+ * The request's Idempotency-Key header, or "" when missing or malformed
+ */
+export function idempotencyKeyOf(request) {
+  const key = request.headers.get("Idempotency-Key") || "";
+  return KEY_PATTERN.test(key) ? key : "";
+}
+
+/**
+ * Run a JSON route once per idempotency key
+ * Requests without a key always run the handler.
+ * @param {() => Promise<Response>} handler - Produces the route's response
+ * @returns {Promise<Response>} - The handler's response, or the stored one
+ *   (with an Idempotent-Replayed header) for a key that's been seen before
+ */
+export async function withIdempotency(request, env, handler) {
+  const key = idempotencyKeyOf(request);
+  if (!key) {
+    return handler();
+  }
+
+  const storageKey = `${KEY_PREFIX}${new URL(request.url).pathname}:${key}`;
+  const stored = await readResponse(env, storageKey);
+  if (stored) {
+    setOutcome(request, "idempotent_replay");
+    return jsonResponse(stored.body, stored.status, request, env, {
+      "Idempotent-Replayed": "true",
+    });
+  }
+
+  const response = await handler();
+  if (![401, 429].includes(response.status) && response.status < 500) {
+    try {
+      const body = await response.clone().json();
+      await writeResponse(env, storageKey, { status: response.status, body });
+    } catch (error) {
+      // The response still goes out; a repeat would just run again
+      log("warn", "idempotency_store_failed", { error: error.message });
+    }
+  }
+  return response;
+}
+
+/**
+ * Tie a challenge token to the signup that used it
+ * Called for every token the Worker accepts. Later, a token Turnstile turns
+ * down as "timeout-or-duplicate" is only let through for the signup it's
+ * tied to (a resend) or, if it isn't tied to any, as a saved signup's
+ * expired token - claiming it for that signup from then on.
+ * Needs the IDEMPOTENCY KV namespace; per-isolate memory can't vouch for a
+ * token, so without it nothing is claimed.
+ * @param {string} key - The signup's Idempotency-Key ("" for none)
+ * @returns {Promise<boolean>} - Whether the token is now this signup's
+ */
+export async function claimChallengeToken(env, token, key) {
+  if (!env.IDEMPOTENCY) {
+    return false;
+  }
+
+  const storageKey = `${CHALLENGE_PREFIX}${await sha256Hex(token)}`;
+  const owner = await env.IDEMPOTENCY.get(storageKey);
+  if (owner !== null) {
+    return key !== "" && owner === key;
+  }
+
+  await env.IDEMPOTENCY.put(storageKey, key, {
+    expirationTtl: CHALLENGE_TTL_SECONDS,
+  });
+  return true;
+}
+
+async function readResponse(env, storageKey) {
+  if (!env.IDEMPOTENCY) {
+    const entry = memoryResponses.get(storageKey);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.response;
+    }
+    memoryResponses.delete(storageKey);
+    return null;
+  }
+
+  try {
+    return await env.IDEMPOTENCY.get(storageKey, "json");
+  } catch (error) {
+    // Better to risk a repeat than to fail the signup
+    log("warn", "idempotency_lookup_failed", { error: error.message });
+    return null;
+  }
+}
+
+async function writeResponse(env, storageKey, response) {
+  if (!env.IDEMPOTENCY) {
+    memoryResponses.set(storageKey, {
+      response,
+      expiresAt: Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000,
+    });
+    return;
+  }
+
+  await env.IDEMPOTENCY.put(storageKey, JSON.stringify(response), {
+    expirationTtl: IDEMPOTENCY_TTL_SECONDS,
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Subscriber CSV import
+ *
+ * Turns an uploaded CSV (paper sign-up sheets typed up, or another
+ * platform's export) into rows for storage.importSubscribers(), and the
+ * storage results back into a per-row report. Used by
+ * POST /admin/subscribers/import (src/admin.js).
+ *
+ * The first line must be a header with an email column; a first name
+ * column is optional. Header names are matched loosely ("Email Address",
+ * "e-mail", "First Name", "name" ...), other columns are ignored.
+ */
+
+import { validateEmail } from "./email.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// `source` for imported subscribers unless the request names one
+export const DEFAULT_IMPORT_SOURCE = "import";
+
+// Report reasons - keep in sync with importSubscriberRows() in google-apps-script.js
+const IMPORT_INVALID_EMAIL = {
+  invalid: "invalid email",
+  disposable: "disposable email domain",
+  role: "role address",
+};
+const IMPORT_NAME_TOO_LONG = "first name longer than 50 characters";
+const IMPORT_DUPLICATE_IN_FILE = "duplicate in file";
+
+const EMAIL_HEADERS = ["email", "emailaddress", "mail"];
+const NAME_HEADERS = ["firstname", "first", "givenname", "name"];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into rows
+ * @returns {string[][]} - Every record, blank lines left out
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * Validate and dedupe a CSV before it goes to storage
+ * Addresses get the signup form's checks (src/email.js) and are normalized.
+ * @param {object} [emailOptions] - validateEmail() options
+ * @returns {{error?: string, rows?: Array<{row: number, email: string,
+ *   first_name: string}>, report?: Array<object>}} - rows to import (row is
+ *   the CSV line number, header = 1), and report entries for rows that were
+ *   rejected here; or an error when the file itself can't be used
+ */
+export function prepareImport(text, emailOptions) {
+  const records = parseCsv(text);
+  if (records.length < 2) {
+    return { error: "The CSV needs a header row and at least one subscriber" };
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return {
+      error: `At most ${MAX_IMPORT_ROWS} rows per import - split the file`,
+    };
+  }
+
+  const headers = records[0].map((header) =>
+    header.toLowerCase().replace(/[^a-z]/g, ""),
+  );
+  const emailColumn = findColumn(headers, EMAIL_HEADERS);
+  const nameColumn = findColumn(headers, NAME_HEADERS);
+  if (emailColumn === -1) {
+    return { error: 'The CSV needs an "email" column' };
+  }
+
+  const rows = [];
+  const report = [];
+  const seen = new Set();
+
+  records.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    const validation = validateEmail(cells[emailColumn] || "", emailOptions);
+    const email = validation.email;
+    const firstName = nameColumn === -1 ? "" : (cells[nameColumn] || "").trim();
+
+    let reason = "";
+    if (!validation.valid) {
+      reason = IMPORT_INVALID_EMAIL[validation.reason];
+    } else if (firstName.length > 50) {
+      reason = IMPORT_NAME_TOO_LONG;
+    }
+    if (reason) {
+      report.push({ row, email, status: "invalid", reason });
+      return;
+    }
+
+    // Case-insensitive, like the sheet's column A
+    if (seen.has(email)) {
+      report.push({
+        row,
+        email,
+        status: "skipped",
+        reason: IMPORT_DUPLICATE_IN_FILE,
+      });
+      return;
+    }
+    seen.add(email);
+    rows.push({ row, email, first_name: firstName });
+  });
+
+  return { rows, report };
+}
+
+/**
+ * Merge storage results into the report, in CSV order, with totals
+ * @param {Array<object>} rows - The rows sent to storage.importSubscribers()
+ * @param {Array<{status: string, reason?: string}>} results - Its results,
+ *   one per row
+ * @param {Array<object>} report - Entries from prepareImport()
+ */
+export function buildImportReport(rows, results, report) {
+  const entries = [
+    ...report,
+    ...rows.map((row, i) => ({
+      row: row.row,
+      email: row.email,
+      status: results[i].status,
+      reason: results[i].reason,
+    })),
+  ].sort((a, b) => a.row - b.row);
+
+  const summary = { added: 0, skipped: 0, invalid: 0 };
+  entries.forEach((entry) => {
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+  });
+
+  return { summary, rows: entries };
+}
+
+function findColumn(headers, candidates) {
+  for (const candidate of candidates) {
+    const index = headers.indexOf(candidate);
+    if (index !== -1) {
+      return index;
+    }
+  }
+  return -1;
+}
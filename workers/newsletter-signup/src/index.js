@@ -3,37 +3,221 @@
  * Handles newsletter signups and forwards them to Google Apps Script
  * which writes to Google Sheets
  *
- * Also handles unsubscribe requests with HMAC token verification
+ * Also handles double opt-in confirmation, unsubscribe, preference center
+ * and privacy (data export / erasure) requests with HMAC token verification
+ *
+ * Storage is pluggable (see src/storage/index.js); by default everything is
+ * forwarded to the Apps Script, which also sends the emails. Pickup pre-orders
+ * (src/orders.js) always go to the Apps Script.
  *
  * Environment variables required:
  * - GOOGLE_APPS_SCRIPT_URL: The deployed Apps Script web app URL
+ *   (only when STORAGE_BACKEND is "apps-script")
+ * - APPS_SCRIPT_SECRET: Shared secret sent with every Apps Script request; must
+ *   match the script's APPS_SCRIPT_SECRET property (orders and everything but
+ *   signup/confirm/unsubscribe are refused without it)
  * - ALLOWED_ORIGINS: Comma-separated list of allowed origins for CORS
  * - UNSUBSCRIBE_SECRET: Secret key for HMAC token generation/verification
+ *   (used as key ID "1" unless UNSUBSCRIBE_SECRETS is set; also verifies
+ *   legacy un-versioned unsubscribe links until it is removed)
+ *
+ * Optional:
+ * - UNSUBSCRIBE_SECRETS: Key ring for rotation, "kid:secret,kid:secret"
+ *   (the first entry signs new tokens, all entries are accepted)
+ * - UNSUBSCRIBE_TOKEN_MAX_AGE_DAYS: Reject versioned unsubscribe links older than this
+ * - CONFIRM_TTL_HOURS: How long a confirmation link stays valid (default 48)
+ * - RATE_LIMIT: KV namespace binding for signup rate limits (falls back to
+ *   per-isolate memory when absent)
+ * - RATE_LIMIT_IP_MAX / RATE_LIMIT_IP_WINDOW_SECONDS: Signups per IP (default 5 per 600s)
+ * - RATE_LIMIT_EMAIL_MAX / RATE_LIMIT_EMAIL_WINDOW_SECONDS: Signups per email (default 3 per 3600s)
+ * - SIGNUP_MIN_SUBMIT_MS: Reject forms submitted faster than this (default 0 = off)
+ * - BLOCK_ROLE_ADDRESSES: "true" refuses shared inboxes like info@ and noreply@
+ *   (see src/email.js)
+ * - TURNSTILE_SECRET_KEY: Require and verify a Turnstile challenge token
+ * - TURNSTILE_VERIFY_URL: Override the siteverify endpoint (e.g. a local stub)
+ * - KIOSK_TOKEN: Bearer token for the site's kiosk page, whose signups skip the
+ *   per-IP limit and Turnstile (see verifyKioskToken in src/rate-limit.js)
+ * - STORAGE_BACKEND: "apps-script" (default), "kv", "d1" or "memory"
+ * - SUBSCRIBERS: KV namespace binding used when STORAGE_BACKEND is "kv"
+ * - DB: D1 database binding used when STORAGE_BACKEND is "d1"
+ * - RETRY_QUEUE: KV namespace binding for the retry queue and dead letters
+ *   (without it, signups that can't be stored fail as before)
+ * - RETRY_MAX_ATTEMPTS: Attempts before a queued item is dead-lettered (default 8)
+ * - ADMIN_TOKEN / ADMIN_TOKENS: Bearer tokens for the /admin routes
+ *   (ADMIN_TOKENS is "name:token,name:token" so the audit log shows who acted)
+ * - AUDIT_LOG: KV namespace binding that keeps admin audit entries
+ * - AUDIT_LOG_RETENTION_DAYS: Expire audit entries after this many days (default: keep)
+ * - ORDER_PICKUP_WINDOWS: Weekly pickup windows (default "sat 10:00-14:00,sun 10:00-14:00")
+ * - ORDER_SLOT_MINUTES / ORDER_SLOT_CAPACITY: Slot length (default 30) and cookies per slot (default 48)
+ * - ORDER_LEAD_HOURS / ORDER_DAYS_AHEAD: Booking notice (default 24h) and horizon (default 14 days)
+ * - ORDER_TIMEZONE: Timezone of pickup times (default America/Los_Angeles)
+ * - MENU_CATALOG_URL: Menu catalog JSON published by the site (/menu/index.json)
+ * - MENU_CACHE_SECONDS: How long a fetched catalog is reused (default: 300)
+ * - METRICS: KV namespace binding for the signup counters in GET /admin/stats
+ *   (falls back to per-isolate memory when absent)
+ * - IDEMPOTENCY: KV namespace binding that remembers signup responses by
+ *   Idempotency-Key (falls back to per-isolate memory when absent) and the
+ *   key each Turnstile token was used with (expired tokens are refused
+ *   when absent)
+ *
+ * Every response carries an X-Request-Id header, and log lines are JSON
+ * (see src/logging.js).
  */
 
+import { handleAdmin } from "./admin.js";
+import { normalizeAttribution, normalizeSource } from "./attribution.js";
+import { emailValidationOptions, validateEmail } from "./email.js";
+import { handleCORS, htmlResponse, jsonResponse } from "./http.js";
+import { idempotencyKeyOf, withIdempotency } from "./idempotency.js";
+import {
+  finishRequest,
+  log,
+  logStorageError,
+  requestIdOf,
+  setOutcome,
+  startRequest,
+} from "./logging.js";
+import { incrementMetric } from "./metrics.js";
+import { handleOrderSlots, handleOrders } from "./orders.js";
+import {
+  PAUSE_OPTIONS,
+  PREFERENCE_FREQUENCIES,
+  PREFERENCE_TOPICS,
+} from "./preferences.js";
+import {
+  checkRateLimit,
+  rateLimitedResponse,
+  verifyChallengeToken,
+  verifyKioskToken,
+} from "./rate-limit.js";
+import {
+  enqueueRetry,
+  listRetryItems,
+  processRetryQueue,
+  purgeRetryItemsForEmail,
+} from "./retry-queue.js";
+import {
+  EMAIL_NOT_FOUND,
+  NO_PENDING_SIGNUP,
+  createStorage,
+} from "./storage/index.js";
+import {
+  generateConfirmUrl,
+  getTokenKeys,
+  verifyToken,
+  verifyUnsubscribeToken,
+} from "./tokens.js";
+
 export default {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+    startRequest(request);
 
-    // Handle CORS preflight
-    if (request.method === "OPTIONS") {
-      return handleCORS(request, env);
+    let response;
+    try {
+      response = await routeRequest(request, env);
+    } catch (error) {
+      log("error", "unhandled_error", {
+        request_id: requestIdOf(request),
+        error: error.message,
+        stack: error.stack,
+      });
+      response = jsonResponse(
+        { error: "Something went wrong. Please try again." },
+        500,
+        request,
+        env,
+      );
     }
 
-    // Route: GET /unsubscribe - Handle unsubscribe requests
-    if (request.method === "GET" && url.pathname === "/unsubscribe") {
-      return handleUnsubscribe(request, env);
+    return finishRequest(request, response);
+  },
+
+  // Cron trigger (see [triggers] in wrangler.toml) - retry queued operations
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      processRetryQueue(env, performQueuedOperation).then((summary) => {
+        if (summary.processed > 0) {
+          log("info", "retry_queue_run", summary);
+        }
+      }),
+    );
+  },
+};
+
+/**
+ * Send a request to its handler
+ */
+async function routeRequest(request, env) {
+  const url = new URL(request.url);
+
+  // Handle CORS preflight
+  if (request.method === "OPTIONS") {
+    return handleCORS(request, env);
+  }
+
+  // Route: GET /confirm - Handle double opt-in confirmation links
+  if (request.method === "GET" && url.pathname === "/confirm") {
+    return handleConfirm(request, env);
+  }
+
+  // Route: GET /unsubscribe - Show the unsubscribe confirm button
+  if (request.method === "GET" && url.pathname === "/unsubscribe") {
+    return handleUnsubscribe(request, env);
+  }
+
+  // Route: POST /unsubscribe - Confirm button and RFC 8058 one-click unsubscribes
+  if (request.method === "POST" && url.pathname === "/unsubscribe") {
+    return handleUnsubscribePost(request, env);
+  }
+
+  // Route: GET/POST /preferences - Subscriber preference center
+  if (url.pathname === "/preferences") {
+    if (request.method === "GET") {
+      return handlePreferences(request, env);
+    }
+    if (request.method === "POST") {
+      return handlePreferencesPost(request, env);
     }
+  }
+
+  // Route: GET /privacy/export - Download everything stored about an email
+  if (request.method === "GET" && url.pathname === "/privacy/export") {
+    return handlePrivacyExport(request, env);
+  }
 
-    // Route: POST / - Handle newsletter signups
+  // Route: GET/POST /privacy/erase - Confirm and carry out data erasure
+  if (url.pathname === "/privacy/erase") {
+    if (request.method === "GET") {
+      return handlePrivacyErase(request, env);
+    }
     if (request.method === "POST") {
-      return handleSignup(request, env);
+      return handlePrivacyErasePost(request, env);
     }
+  }
 
-    // Method not allowed for other routes
-    return jsonResponse({ error: "Method not allowed" }, 405, request, env);
-  },
-};
+  // Route: POST /orders - Place a pre-order for pickup (see src/orders.js)
+  if (request.method === "POST" && url.pathname === "/orders") {
+    return handleOrders(request, env);
+  }
+
+  // Route: GET /orders/slots - Open pickup slots and the menu
+  if (request.method === "GET" && url.pathname === "/orders/slots") {
+    return handleOrderSlots(request, env);
+  }
+
+  // Route: /admin/* - Bearer-token admin API (see src/admin.js)
+  if (url.pathname.startsWith("/admin/")) {
+    return handleAdmin(request, env);
+  }
+
+  // Route: POST / - Handle newsletter signups (once per Idempotency-Key)
+  if (request.method === "POST") {
+    return withIdempotency(request, env, () => handleSignup(request, env));
+  }
+
+  // Method not allowed for other routes
+  return jsonResponse({ error: "Method not allowed" }, 405, request, env);
+}
 
 // ============================================================================
 // SIGNUP HANDLER
@@ -44,24 +228,134 @@ export default {
  */
 async function handleSignup(request, env) {
   try {
-    const { email, first_name } = await request.json();
+    const clientIp = request.headers.get("CF-Connecting-IP") || "unknown";
 
-    // Validate email
-    if (!email || !isValidEmail(email)) {
+    // Staffed kiosks sign up lots of people from one IP
+    const kiosk = await verifyKioskToken(request, env);
+    if (kiosk === false) {
+      setOutcome(request, "kiosk_unauthorized");
       return jsonResponse(
-        { error: "Please enter a valid email address" },
-        400,
+        { error: "This kiosk key isn't valid." },
+        401,
+        request,
+        env,
+      );
+    }
+
+    // Per-IP limit runs first so floods never reach JSON parsing or Apps Script
+    if (!kiosk) {
+      const ipLimit = await checkRateLimit(
+        env,
+        `ip:${clientIp}`,
+        parseInt(env.RATE_LIMIT_IP_MAX, 10) || 5,
+        parseInt(env.RATE_LIMIT_IP_WINDOW_SECONDS, 10) || 600,
+      );
+      if (!ipLimit.allowed) {
+        setOutcome(request, "rate_limited");
+        return rateLimitedResponse(ipLimit.retryAfter, request, env);
+      }
+    }
+
+    const body = await request.json();
+    const { email, first_name } = body;
+
+    // Honeypot field is hidden from people, so only bots fill it in.
+    // Pretend it worked so they don't learn to skip it.
+    if (body.website) {
+      log("info", "honeypot_triggered", {
+        request_id: requestIdOf(request),
+        ip: clientIp,
+      });
+      setOutcome(request, "honeypot");
+      return jsonResponse(
+        {
+          success: true,
+          message:
+            "Almost done! Check your inbox and click the link to confirm your subscription.",
+          pending: true,
+        },
+        200,
+        request,
+        env,
+      );
+    }
+
+    // Forms filled in faster than a person could type are almost always bots
+    const minSubmitMs = parseInt(env.SIGNUP_MIN_SUBMIT_MS, 10) || 0;
+    if (minSubmitMs > 0 && !(Number(body.elapsed_ms) >= minSubmitMs)) {
+      setOutcome(request, "too_fast");
+      return jsonResponse(
+        { error: "That was quick! Please wait a moment and try again." },
+        429,
         request,
         env,
+        { "Retry-After": "5" },
       );
     }
 
-    // Normalize email
-    const normalizedEmail = email.toLowerCase().trim();
+    // Same rules as the form (src/email.js); the normalized address is what's stored
+    const validation = validateEmail(email, emailValidationOptions(env));
+    if (!validation.valid) {
+      setOutcome(request, `${validation.reason}_email`);
+      return jsonResponse({ error: validation.error }, 400, request, env);
+    }
+    const normalizedEmail = validation.email;
+
+    // Optional challenge (Cloudflare Turnstile or a compatible stub). Signups
+    // with an Idempotency-Key may be offline ones the service worker sends
+    // days later, whose token has expired by then - see verifyChallengeToken().
+    if (env.TURNSTILE_SECRET_KEY && !kiosk) {
+      const passed = await verifyChallengeToken(
+        env,
+        body.turnstile_token,
+        clientIp,
+        { idempotencyKey: idempotencyKeyOf(request) },
+      );
+      if (!passed) {
+        setOutcome(request, "challenge_failed");
+        return jsonResponse(
+          {
+            error: "Please complete the verification challenge and try again.",
+          },
+          403,
+          request,
+          env,
+        );
+      }
+    }
+
+    // Only counted once the challenge is passed, so unverified requests
+    // can't use up someone else's address and lock them out
+    const emailLimit = await checkRateLimit(
+      env,
+      `email:${normalizedEmail}`,
+      parseInt(env.RATE_LIMIT_EMAIL_MAX, 10) || 3,
+      parseInt(env.RATE_LIMIT_EMAIL_WINDOW_SECONDS, 10) || 3600,
+    );
+    if (!emailLimit.allowed) {
+      setOutcome(request, "rate_limited");
+      return rateLimitedResponse(emailLimit.retryAfter, request, env);
+    }
+
+    // Check the storage backend is configured
+    const storage = createStorage(env, { requestId: requestIdOf(request) });
+    if (!storage) {
+      setOutcome(request, "not_configured");
+      return jsonResponse(
+        { error: "Service not configured. Please try again later." },
+        500,
+        request,
+        env,
+      );
+    }
 
-    // Check if Apps Script URL is configured
-    if (!env.GOOGLE_APPS_SCRIPT_URL) {
-      console.error("GOOGLE_APPS_SCRIPT_URL secret not configured");
+    // Confirmation links are signed with the same keys as unsubscribe links
+    if (getTokenKeys(env).length === 0) {
+      log("error", "not_configured", {
+        request_id: requestIdOf(request),
+        missing: "UNSUBSCRIBE_SECRET(S)",
+      });
+      setOutcome(request, "not_configured");
       return jsonResponse(
         { error: "Service not configured. Please try again later." },
         500,
@@ -73,14 +367,64 @@ async function handleSignup(request, env) {
     // Normalize first name (trim whitespace, title case optional)
     const normalizedFirstName = first_name ? first_name.trim() : "";
 
-    // Forward to Google Apps Script
-    const result = await forwardToAppsScript(env, normalizedEmail, "signup", {
-      first_name: normalizedFirstName,
+    // Build the signed confirmation link the Apps Script will email out.
+    // Backends that can't send email subscribe straight away instead.
+    const confirmUrl = storage.sendsEmail
+      ? await generateConfirmUrl(
+          new URL(request.url).origin,
+          normalizedEmail,
+          env,
+        )
+      : undefined;
+
+    // Which form and campaign the signup came from (see src/attribution.js)
+    const subscribeArgs = {
+      firstName: normalizedFirstName,
+      source: normalizeSource(body.source),
+      attribution: normalizeAttribution(body),
+      idempotencyKey: idempotencyKeyOf(request),
+    };
+    const result = await storage.subscribe(normalizedEmail, {
+      ...subscribeArgs,
+      confirmUrl,
     });
+    if (!result.success) {
+      await logStorageError(request, env, "subscribe", result);
+    }
+
+    // Storage is down - keep the signup and retry it in the background.
+    // The confirmation link is re-signed at retry time so it doesn't age in the queue.
+    if (!result.success && result.retryable) {
+      const queued = await enqueueRetry(
+        env,
+        "subscribe",
+        normalizedEmail,
+        { ...subscribeArgs, origin: new URL(request.url).origin },
+        result.error,
+      );
+      if (queued) {
+        await incrementMetric(env, "signups");
+        setOutcome(request, "queued");
+        return jsonResponse(
+          {
+            success: true,
+            message: storage.sendsEmail
+              ? "You're on the list! Your confirmation email may take a little longer than usual to arrive."
+              : "You're on the list! Thanks for signing up.",
+            queued: true,
+          },
+          200,
+          request,
+          env,
+        );
+      }
+    }
 
     if (result.success) {
       // Check if this was a duplicate (already subscribed)
       if (result.duplicate) {
+        await incrementMetric(env, "duplicates");
+        setOutcome(request, "duplicate");
         return jsonResponse(
           {
             success: true,
@@ -95,12 +439,33 @@ async function handleSignup(request, env) {
 
       // Check if this was a resubscribe (previously unsubscribed)
       if (result.resubscribed) {
+        await incrementMetric(env, "resubscribes");
+        setOutcome(request, "resubscribed");
         return jsonResponse(
           {
             success: true,
             message:
-              "Welcome back! You've been resubscribed to our newsletter.",
+              "Welcome back! Check your inbox to confirm your subscription.",
             resubscribed: true,
+            pending: true,
+          },
+          200,
+          request,
+          env,
+        );
+      }
+
+      await incrementMetric(env, "signups");
+
+      // New or still-unconfirmed signup - a confirmation email is on its way
+      if (result.pending) {
+        setOutcome(request, "pending");
+        return jsonResponse(
+          {
+            success: true,
+            message:
+              "Almost done! Check your inbox and click the link to confirm your subscription.",
+            pending: true,
           },
           200,
           request,
@@ -108,7 +473,8 @@ async function handleSignup(request, env) {
         );
       }
 
-      // New signup
+      // New signup (confirmation disabled or not supported by the backend)
+      setOutcome(request, "subscribed");
       return jsonResponse(
         {
           success: true,
@@ -119,7 +485,7 @@ async function handleSignup(request, env) {
         env,
       );
     } else {
-      console.error("Apps Script error:", result.error);
+      setOutcome(request, "upstream_error");
       return jsonResponse(
         { error: "Something went wrong. Please try again." },
         500,
@@ -128,7 +494,11 @@ async function handleSignup(request, env) {
       );
     }
   } catch (error) {
-    console.error("Error:", error.message, error.stack);
+    log("error", "unhandled_error", {
+      request_id: requestIdOf(request),
+      error: error.message,
+      stack: error.stack,
+    });
     return jsonResponse(
       { error: "Something went wrong. Please try again." },
       500,
@@ -139,14 +509,14 @@ async function handleSignup(request, env) {
 }
 
 // ============================================================================
-// UNSUBSCRIBE HANDLER
+// CONFIRM HANDLER
 // ============================================================================
 
 /**
- * Handle unsubscribe GET requests
- * URL format: /unsubscribe?email=xxx&token=xxx
+ * Handle double opt-in confirmation GET requests
+ * URL format: /confirm?email=xxx&token=xxx
  */
-async function handleUnsubscribe(request, env) {
+async function handleConfirm(request, env) {
   const url = new URL(request.url);
   const email = url.searchParams.get("email");
   const token = url.searchParams.get("token");
@@ -157,62 +527,201 @@ async function handleUnsubscribe(request, env) {
       generateUnsubscribePage({
         success: false,
         title: "Invalid Link",
-        message: "This unsubscribe link is invalid or incomplete.",
+        message: "This confirmation link is invalid or incomplete.",
       }),
       400,
     );
   }
 
-  // Decode email (it's URL encoded)
-  const decodedEmail = decodeURIComponent(email).toLowerCase().trim();
+  // searchParams has already decoded it - decoding again would throw on a "%"
+  const decodedEmail = email.toLowerCase().trim();
 
-  // Check if secret is configured
-  if (!env.UNSUBSCRIBE_SECRET) {
-    console.error("UNSUBSCRIBE_SECRET not configured");
+  // Check if secret and storage are configured
+  const storage = createStorage(env, { requestId: requestIdOf(request) });
+  if (getTokenKeys(env).length === 0 || !storage) {
+    log("error", "not_configured", {
+      request_id: requestIdOf(request),
+      missing: "UNSUBSCRIBE_SECRET(S) or storage backend",
+    });
+    setOutcome(request, "not_configured");
     return htmlResponse(
       generateUnsubscribePage({
         success: false,
         title: "Service Error",
-        message: "Unsubscribe service is not properly configured.",
+        message: "Confirmation service is not properly configured.",
       }),
       500,
     );
   }
 
-  // Verify the token
-  const isValid = await verifyUnsubscribeToken(
+  // Verify the token signature and age
+  const maxAgeSeconds = (parseInt(env.CONFIRM_TTL_HOURS, 10) || 48) * 60 * 60;
+  const verification = await verifyToken(
+    "confirm",
     decodedEmail,
     token,
-    env.UNSUBSCRIBE_SECRET,
+    env,
+    maxAgeSeconds,
   );
 
-  if (!isValid) {
+  if (verification.expired) {
+    setOutcome(request, "link_expired");
+    return htmlResponse(
+      generateUnsubscribePage({
+        success: false,
+        title: "Link Expired",
+        message:
+          "This confirmation link has expired. Please sign up again and we'll send you a fresh one.",
+      }),
+      410,
+    );
+  }
+
+  if (!verification.valid) {
+    setOutcome(request, "invalid_link");
     return htmlResponse(
       generateUnsubscribePage({
         success: false,
         title: "Invalid Link",
         message:
-          "This unsubscribe link is invalid or has expired. Please use the link from your most recent email.",
+          "This confirmation link is invalid. Please use the link from your confirmation email.",
       }),
       400,
     );
   }
 
-  // Check if Apps Script URL is configured
-  if (!env.GOOGLE_APPS_SCRIPT_URL) {
-    console.error("GOOGLE_APPS_SCRIPT_URL not configured");
+  const result = await storage.confirm(decodedEmail);
+
+  if (result.success) {
+    setOutcome(
+      request,
+      result.alreadyConfirmed ? "already_confirmed" : "confirmed",
+    );
+    return htmlResponse(
+      generateUnsubscribePage({
+        success: true,
+        title: result.alreadyConfirmed
+          ? "Already Confirmed"
+          : "Subscription Confirmed",
+        message: result.alreadyConfirmed
+          ? `${decodedEmail} is already confirmed. You're all set!`
+          : `Thanks for confirming! ${decodedEmail} is now on our newsletter list.`,
+        email: decodedEmail,
+      }),
+      200,
+    );
+  }
+
+  // Unconfirmed signups expire after CONFIRM_TTL_HOURS (purgeExpiredPendingSignups()
+  // on the sheet, src/storage/records.js elsewhere)
+  if (result.error === EMAIL_NOT_FOUND || result.error === NO_PENDING_SIGNUP) {
+    setOutcome(request, "not_found");
     return htmlResponse(
       generateUnsubscribePage({
         success: false,
-        title: "Service Error",
-        message: "Service is not properly configured.",
+        title: "Signup Not Found",
+        message:
+          "We couldn't find a pending signup for this address. It may have expired - please sign up again.",
       }),
-      500,
+      404,
     );
   }
 
-  // Forward unsubscribe request to Apps Script
-  const result = await forwardToAppsScript(env, decodedEmail, "unsubscribe");
+  await logStorageError(request, env, "confirm", result);
+  setOutcome(request, "upstream_error");
+  return htmlResponse(
+    generateUnsubscribePage({
+      success: false,
+      title: "Something Went Wrong",
+      message: "We couldn't confirm your subscription. Please try again later.",
+    }),
+    500,
+  );
+}
+
+// ============================================================================
+// UNSUBSCRIBE HANDLER
+// ============================================================================
+
+/**
+ * Handle unsubscribe GET requests
+ * URL format: /unsubscribe?email=xxx&token=xxx
+ *
+ * Mail scanners prefetch links in incoming email, so GET only shows a
+ * confirm button; the actual unsubscribe happens on POST.
+ */
+async function handleUnsubscribe(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  return htmlResponse(
+    generateUnsubscribePage({
+      success: true,
+      title: "Unsubscribe?",
+      message: `Click below to stop receiving our newsletter at ${link.email}.`,
+      email: link.email,
+      form: { action: request.url, buttonText: "Unsubscribe" },
+      secondaryLink: {
+        href: linkUrlFor(request, "/preferences"),
+        text: "Rather hear from us less? Update your preferences instead",
+      },
+    }),
+    200,
+  );
+}
+
+/**
+ * Handle unsubscribe POST requests
+ * Accepts both the confirm button on the GET page and RFC 8058 one-click
+ * requests (body "List-Unsubscribe=One-Click") sent by mail providers.
+ */
+async function handleUnsubscribePost(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  const decodedEmail = link.email;
+  const oneClick = await isOneClickUnsubscribe(request);
+
+  let result = await link.storage.unsubscribe(decodedEmail);
+  if (!result.success && result.error !== EMAIL_NOT_FOUND) {
+    await logStorageError(request, env, "unsubscribe", result);
+  }
+
+  // Storage is down - queue it so the opt-out still happens
+  if (
+    !result.success &&
+    result.retryable &&
+    (await enqueueRetry(env, "unsubscribe", decodedEmail, {}, result.error))
+  ) {
+    result = { success: true, queued: true };
+  }
+
+  if (result.success) {
+    await incrementMetric(env, "unsubscribes");
+  }
+  setOutcome(
+    request,
+    result.queued
+      ? "queued"
+      : result.success
+        ? "unsubscribed"
+        : result.error === EMAIL_NOT_FOUND
+          ? "not_found"
+          : "upstream_error",
+  );
+
+  // Mail providers only look at the status code, so skip the HTML page.
+  // An unknown address has nothing left to unsubscribe, which still counts as done.
+  if (oneClick) {
+    if (!result.success && result.error !== EMAIL_NOT_FOUND) {
+      return new Response("Unsubscribe failed", { status: 500 });
+    }
+    return new Response("Unsubscribed", { status: 200 });
+  }
 
   if (result.success) {
     return htmlResponse(
@@ -225,10 +734,8 @@ async function handleUnsubscribe(request, env) {
       200,
     );
   } else {
-    console.error("Apps Script unsubscribe error:", result.error);
-
     // Check if email wasn't found
-    if (result.error === "Email not found") {
+    if (result.error === EMAIL_NOT_FOUND) {
       return htmlResponse(
         generateUnsubscribePage({
           success: false,
@@ -251,192 +758,498 @@ async function handleUnsubscribe(request, env) {
   }
 }
 
-// ============================================================================
-// TOKEN FUNCTIONS
-// ============================================================================
-
 /**
- * Generate HMAC-SHA256 token for unsubscribe link
- * @param {string} email - The subscriber's email
- * @param {string} secret - The secret key
- * @returns {Promise<string>} - Base64url encoded token
+ * Validate the email/token query parameters of an unsubscribe link
+ * (preference center links carry the same parameters)
+ * @returns {Promise<{email?: string, storage?: object, response?: Response}>} -
+ *   The verified email and storage backend, or an error page to return as-is
  */
-async function generateUnsubscribeToken(email, secret) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(email.toLowerCase().trim());
-  const keyData = encoder.encode(secret);
-
-  const key = await crypto.subtle.importKey(
-    "raw",
-    keyData,
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"],
-  );
+async function verifyUnsubscribeLink(request, env) {
+  const url = new URL(request.url);
+  const email = url.searchParams.get("email");
+  const token = url.searchParams.get("token");
 
-  const signature = await crypto.subtle.sign("HMAC", key, data);
-  const hashArray = Array.from(new Uint8Array(signature));
-  const hashHex = hashArray
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
+  // Validate required parameters
+  if (!email || !token) {
+    return {
+      response: htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "Invalid Link",
+          message: "This unsubscribe link is invalid or incomplete.",
+        }),
+        400,
+      ),
+    };
+  }
+
+  // searchParams has already decoded it - decoding again would throw on a "%"
+  const decodedEmail = email.toLowerCase().trim();
 
-  // Return first 32 characters for a shorter URL
-  return hashHex.substring(0, 32);
+  // Check if secrets and storage are configured
+  const storage = createStorage(env, { requestId: requestIdOf(request) });
+  if (getTokenKeys(env).length === 0 || !storage) {
+    log("error", "not_configured", {
+      request_id: requestIdOf(request),
+      missing: "UNSUBSCRIBE_SECRET(S) or storage backend",
+    });
+    setOutcome(request, "not_configured");
+    return {
+      response: htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "Service Error",
+          message: "Unsubscribe service is not properly configured.",
+        }),
+        500,
+      ),
+    };
+  }
+
+  // Verify the token
+  const verification = await verifyUnsubscribeToken(decodedEmail, token, env);
+
+  if (verification.expired) {
+    setOutcome(request, "link_expired");
+    return {
+      response: htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "Link Expired",
+          message:
+            "This unsubscribe link has expired. Please use the link from your most recent email.",
+        }),
+        410,
+      ),
+    };
+  }
+
+  if (!verification.valid) {
+    setOutcome(request, "invalid_link");
+    return {
+      response: htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "Invalid Link",
+          message:
+            "This unsubscribe link is invalid or has expired. Please use the link from your most recent email.",
+        }),
+        400,
+      ),
+    };
+  }
+
+  return { email: decodedEmail, storage };
 }
 
 /**
- * Verify HMAC token for unsubscribe request
- * @param {string} email - The subscriber's email
- * @param {string} token - The token from the URL
- * @param {string} secret - The secret key
- * @returns {Promise<boolean>} - Whether the token is valid
+ * Check for the RFC 8058 "List-Unsubscribe=One-Click" form field
  */
-async function verifyUnsubscribeToken(email, token, secret) {
-  const expectedToken = await generateUnsubscribeToken(email, secret);
-  return token === expectedToken;
+async function isOneClickUnsubscribe(request) {
+  try {
+    const formData = await request.formData();
+    return formData.get("List-Unsubscribe") === "One-Click";
+  } catch {
+    // Empty or non-form body (e.g. the confirm button posts nothing special)
+    return false;
+  }
 }
 
 // ============================================================================
-// HELPER FUNCTIONS
+// PREFERENCES HANDLER
 // ============================================================================
 
 /**
- * Validate email format
+ * Handle preference center GET requests
+ * URL format: /preferences?email=xxx&token=xxx (same signed token as unsubscribe links)
  */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email) && email.length <= 254;
+async function handlePreferences(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  const result = await link.storage.lookup(link.email);
+  if (!result.success && result.error !== EMAIL_NOT_FOUND) {
+    await logStorageError(request, env, "lookup", result);
+  }
+  return preferencesResultPage(request, link.email, result);
 }
 
 /**
- * Get allowed origin for CORS
+ * Handle preference center form submissions
  */
-function getAllowedOrigin(request, env) {
-  const origin = request.headers.get("Origin") || "";
-  const allowedOrigins = (env.ALLOWED_ORIGINS || "")
-    .split(",")
-    .map((o) => o.trim());
+async function handlePreferencesPost(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    formData = new FormData();
+  }
+
+  const parsed = parsePreferencesForm(formData);
+  if (parsed.error) {
+    // Re-render the current preferences with the validation message
+    const current = await link.storage.lookup(link.email);
+    if (!current.success && current.error !== EMAIL_NOT_FOUND) {
+      await logStorageError(request, env, "lookup", current);
+    }
+    return preferencesResultPage(request, link.email, current, parsed.error);
+  }
 
-  if (allowedOrigins.includes(origin)) {
-    return origin;
+  const result = await link.storage.update(link.email, parsed.preferences);
+  if (!result.success && result.error !== EMAIL_NOT_FOUND) {
+    await logStorageError(request, env, "update", result);
   }
-  // Return first allowed origin as fallback (won't match but is safe)
-  return allowedOrigins[0] || "";
+  return preferencesResultPage(
+    request,
+    link.email,
+    result,
+    result.success ? "Your preferences have been saved." : "",
+  );
 }
 
 /**
- * Handle CORS preflight requests
+ * Validate submitted preference form fields
+ * @returns {{preferences?: object, error?: string}}
  */
-function handleCORS(request, env) {
-  const origin = getAllowedOrigin(request, env);
-  return new Response(null, {
-    status: 204,
-    headers: {
-      "Access-Control-Allow-Origin": origin,
-      "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-      "Access-Control-Max-Age": "86400",
-    },
-  });
+function parsePreferencesForm(formData) {
+  const firstName = (formData.get("first_name") || "").toString().trim();
+  const topics = formData
+    .getAll("topics")
+    .map((topic) => topic.toString())
+    .filter((topic) => PREFERENCE_TOPICS.some((t) => t.value === topic));
+  const frequency = (formData.get("frequency") || "all").toString();
+  const pause = (formData.get("pause") || "keep").toString();
+
+  if (firstName.length > 50) {
+    return { error: "Please keep your first name under 50 characters." };
+  }
+
+  if (topics.length === 0) {
+    return {
+      error:
+        "Please pick at least one topic. If you'd rather not hear from us at all, use the unsubscribe link below.",
+    };
+  }
+
+  if (!PREFERENCE_FREQUENCIES.some((f) => f.value === frequency)) {
+    return { error: "Please choose how often you'd like to hear from us." };
+  }
+
+  const preferences = { first_name: firstName, topics, frequency };
+
+  // "keep" leaves an existing pause alone, "0" resumes, otherwise pause N days
+  if (pause !== "keep") {
+    const pauseDays = parseInt(pause, 10);
+    if (pauseDays !== 0 && !PAUSE_OPTIONS.includes(pauseDays)) {
+      return { error: "Please choose a valid pause length." };
+    }
+    preferences.pause_days = pauseDays;
+  }
+
+  return { preferences };
 }
 
 /**
- * Create JSON response with CORS headers
+ * Render the preference form, or an error page if the lookup/update failed
  */
-function jsonResponse(data, status, request, env) {
-  const origin = getAllowedOrigin(request, env);
-  return new Response(JSON.stringify(data), {
-    status,
+function preferencesResultPage(request, email, result, notice = "") {
+  if (!result.success || !result.subscriber) {
+    if (result.error === EMAIL_NOT_FOUND) {
+      return htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "Email Not Found",
+          message: `The email address ${email} was not found in our subscriber list.`,
+        }),
+        404,
+      );
+    }
+
+    return htmlResponse(
+      generateUnsubscribePage({
+        success: false,
+        title: "Something Went Wrong",
+        message: "We couldn't load your preferences. Please try again later.",
+      }),
+      500,
+    );
+  }
+
+  return htmlResponse(
+    generatePreferencesPage({
+      email,
+      subscriber: result.subscriber,
+      action: linkUrlFor(request, "/preferences"),
+      unsubscribeUrl: linkUrlFor(request, "/unsubscribe"),
+      exportUrl: linkUrlFor(request, "/privacy/export"),
+      eraseUrl: linkUrlFor(request, "/privacy/erase"),
+      notice,
+    }),
+    200,
+  );
+}
+
+/**
+ * Build a sibling link (/preferences, /unsubscribe, /privacy/...) carrying the
+ * same email/token as this request
+ */
+function linkUrlFor(request, pathname) {
+  const url = new URL(request.url);
+  url.pathname = pathname;
+  return url.toString();
+}
+
+// ============================================================================
+// PRIVACY HANDLERS (GDPR/CCPA data subject requests)
+// ============================================================================
+
+/**
+ * Handle data export GET requests
+ * URL format: /privacy/export?email=xxx&token=xxx (same signed token as unsubscribe links)
+ * Responds with a JSON download of everything stored about the address.
+ */
+async function handlePrivacyExport(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  const result = await link.storage.exportData(link.email);
+
+  if (!result.success) {
+    if (result.error === EMAIL_NOT_FOUND) {
+      return htmlResponse(
+        generateUnsubscribePage({
+          success: false,
+          title: "No Data Found",
+          message: `We don't have anything stored for ${link.email}.`,
+        }),
+        404,
+      );
+    }
+
+    await logStorageError(request, env, "exportData", result);
+    return htmlResponse(
+      generateUnsubscribePage({
+        success: false,
+        title: "Something Went Wrong",
+        message: "We couldn't export your data. Please try again later.",
+      }),
+      500,
+    );
+  }
+
+  // Queued retries hold a copy of what was submitted, so include them too
+  const { pending, deadLetters } = env.RETRY_QUEUE
+    ? await listRetryItems(env)
+    : { pending: [], deadLetters: [] };
+  const queued = [...pending, ...deadLetters]
+    .filter((item) => item.email === link.email)
+    .map(({ operation, args, created_at }) => ({
+      operation,
+      args,
+      created_at,
+    }));
+
+  const body = {
+    email: link.email,
+    exported_at: new Date().toISOString(),
+    subscriber: result.subscriber,
+    stored_data: result.data,
+    queued_operations: queued,
+  };
+
+  return new Response(JSON.stringify(body, null, 2), {
+    status: 200,
     headers: {
-      "Content-Type": "application/json",
-      "Access-Control-Allow-Origin": origin,
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="my-newsletter-data.json"',
+      "Cache-Control": "no-store",
     },
   });
 }
 
 /**
- * Create HTML response
+ * Handle data erasure GET requests
+ * Only shows a confirm button, for the same reason as the unsubscribe page:
+ * link scanners must not be able to delete anyone's data.
  */
-function htmlResponse(html, status) {
-  return new Response(html, {
-    status,
-    headers: {
-      "Content-Type": "text/html; charset=utf-8",
-    },
+async function handlePrivacyErase(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  return htmlResponse(
+    generateUnsubscribePage({
+      success: true,
+      title: "Delete Your Data?",
+      message: `This permanently deletes everything we store about ${link.email}, including your subscription. It can't be undone.`,
+      email: link.email,
+      form: { action: request.url, buttonText: "Delete My Data" },
+      secondaryLink: {
+        href: linkUrlFor(request, "/privacy/export"),
+        text: "Download a copy of your data first",
+      },
+    }),
+    200,
+  );
+}
+
+/**
+ * Handle the erasure confirm button
+ * Removes the subscriber, leaves a hashed tombstone so the address isn't
+ * re-imported, and purges it from the retry queue.
+ */
+async function handlePrivacyErasePost(request, env) {
+  const link = await verifyUnsubscribeLink(request, env);
+  if (link.response) {
+    return link.response;
+  }
+
+  const email = link.email;
+
+  // Drop queued copies first so a pending retry can't re-create the row
+  const purged = await purgeRetryItemsForEmail(env, email);
+  let result = await link.storage.erase(email);
+  if (!result.success) {
+    await logStorageError(request, env, "erase", result);
+  }
+
+  // Storage is down - queue the erasure itself so it still happens
+  if (
+    !result.success &&
+    result.retryable &&
+    (await enqueueRetry(env, "erase", email, {}, result.error))
+  ) {
+    result = { success: true, queued: true };
+  }
+
+  if (!result.success) {
+    return htmlResponse(
+      generateUnsubscribePage({
+        success: false,
+        title: "Something Went Wrong",
+        message:
+          "We couldn't delete your data. Please try again later, or reply to any of our emails and we'll do it by hand.",
+      }),
+      500,
+    );
+  }
+
+  log("info", "erasure_completed", {
+    request_id: requestIdOf(request),
+    erased: result.erased,
+    queued: !!result.queued,
+    purged,
   });
+
+  return htmlResponse(
+    generateUnsubscribePage({
+      success: true,
+      title: "Your Data Has Been Deleted",
+      message: `We've deleted everything we stored about ${email}. You won't hear from us again unless you sign up afresh.`,
+    }),
+    200,
+  );
 }
 
+// ============================================================================
+// RETRY QUEUE
+// ============================================================================
+
 /**
- * Forward email signup or unsubscribe to Google Apps Script
+ * Replay one queued operation against the storage backend
+ * Called by processRetryQueue() from the scheduled handler.
  */
-async function forwardToAppsScript(
-  env,
-  email,
-  action = "signup",
-  extraData = {},
-) {
-  try {
-    const payload = {
-      email: email,
-      timestamp: new Date().toISOString(),
-      action: action,
+async function performQueuedOperation(env, item) {
+  const storage = createStorage(env);
+  if (!storage) {
+    return {
+      success: false,
+      error: "Storage backend not configured",
+      retryable: true,
     };
+  }
 
-    if (action === "signup") {
-      payload.source = "coming-soon-page";
-      // Include first_name if provided
-      if (extraData.first_name) {
-        payload.first_name = extraData.first_name;
-      }
-    }
-
-    const response = await fetch(env.GOOGLE_APPS_SCRIPT_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
+  if (item.operation === "subscribe") {
+    const confirmUrl =
+      storage.sendsEmail && item.args.origin
+        ? await generateConfirmUrl(item.args.origin, item.email, env)
+        : undefined;
+    return storage.subscribe(item.email, {
+      firstName: item.args.firstName,
+      source: item.args.source,
+      attribution: item.args.attribution,
+      idempotencyKey: item.args.idempotencyKey,
+      confirmUrl,
     });
+  }
 
-    // Apps Script returns a redirect on success, or JSON
-    // Handle both cases
-    if (response.ok || response.status === 302) {
-      // Try to parse response if it's JSON
-      try {
-        const data = await response.json();
-        return {
-          success: data.success !== false,
-          error: data.error,
-          message: data.message,
-          duplicate: data.duplicate || false,
-          resubscribed: data.resubscribed || false,
-        };
-      } catch {
-        // If not JSON, assume success (Apps Script often returns HTML on success)
-        return { success: true };
-      }
-    }
+  if (item.operation === "unsubscribe") {
+    const result = await storage.unsubscribe(item.email);
+    // Nothing left to unsubscribe still counts as done
+    return result.error === EMAIL_NOT_FOUND ? { success: true } : result;
+  }
 
-    return { success: false, error: `HTTP ${response.status}` };
-  } catch (error) {
-    return { success: false, error: error.message };
+  if (item.operation === "erase") {
+    return storage.erase(item.email);
   }
+
+  return { success: false, error: `Unknown operation: ${item.operation}` };
 }
 
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
 /**
- * Generate the unsubscribe confirmation HTML page
+ * Escape a string for use in HTML text or attribute values
  */
-function generateUnsubscribePage({ success, title, message, email }) {
-  const colors = {
-    primary: "#2A9D8F",
-    secondary: "#5C4033",
-    tertiary: "#FBF8F3",
-    tertiaryMedium: "#E8E4DC",
-    accent: "#E9B44C",
-    textLight: "#5D6B6A",
-    success: "#2A9D8F",
-    error: "#DC3545",
-  };
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Colors matching the Hugo site's SoCal coastal theme
+ */
+const PAGE_COLORS = {
+  primary: "#2A9D8F",
+  secondary: "#5C4033",
+  tertiary: "#FBF8F3",
+  tertiaryMedium: "#E8E4DC",
+  accent: "#E9B44C",
+  textLight: "#5D6B6A",
+  success: "#2A9D8F",
+  error: "#DC3545",
+};
+
+/**
+ * Generate the branded result HTML page (unsubscribe and confirm links)
+ * Pass `form` ({ action, buttonText }) to show a POST button instead of the
+ * website link, and `secondaryLink` ({ href, text }) for a small link below it.
+ */
+function generateUnsubscribePage({
+  success,
+  title,
+  message,
+  email,
+  form,
+  secondaryLink,
+}) {
+  const colors = PAGE_COLORS;
 
   const iconSvg = success
     ? `<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="${colors.success}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -449,6 +1262,132 @@ function generateUnsubscribePage({ success, title, message, email }) {
         <line x1="9" y1="9" x2="15" y2="15"></line>
        </svg>`;
 
+  // Envelope icon for pages that still need a button press
+  const promptIconSvg = `<svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="${colors.primary}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <rect width="20" height="16" x="2" y="4" rx="2"></rect>
+        <path d="m22 7-8.97 5.7a1.94 1.94 0 0 1-2.06 0L2 7"></path>
+       </svg>`;
+
+  return renderPage(
+    title,
+    `<div class="icon">
+      ${form ? promptIconSvg : iconSvg}
+    </div>
+    <h1>${title}</h1>
+    <p>${message}</p>
+    ${
+      form
+        ? `<form method="POST" action="${escapeHtml(form.action)}">
+      <button type="submit" class="button">${form.buttonText}</button>
+    </form>`
+        : `<a href="https://thecookieisle.com" class="button">Visit Our Website</a>`
+    }
+    ${
+      secondaryLink
+        ? `<p class="secondary-link"><a href="${escapeHtml(secondaryLink.href)}">${secondaryLink.text}</a></p>`
+        : ""
+    }`,
+  );
+}
+
+/**
+ * Generate the preference center page
+ * @param {object} options
+ * @param {string} options.email - The subscriber's email
+ * @param {object} options.subscriber - Current values from storage
+ *   ({ first_name, topics, frequency, paused_until })
+ * @param {string} options.action - URL the form posts to
+ * @param {string} options.unsubscribeUrl - Link for unsubscribing entirely
+ * @param {string} options.exportUrl - Link for downloading their data
+ * @param {string} options.eraseUrl - Link for deleting their data
+ * @param {string} [options.notice] - Message shown above the form
+ */
+function generatePreferencesPage({
+  email,
+  subscriber,
+  action,
+  unsubscribeUrl,
+  exportUrl,
+  eraseUrl,
+  notice,
+}) {
+  // An empty topic list means the subscriber never chose, so they get everything
+  const selectedTopics =
+    subscriber.topics && subscriber.topics.length > 0
+      ? subscriber.topics
+      : PREFERENCE_TOPICS.map((t) => t.value);
+  const pausedUntil = subscriber.paused_until || "";
+  const isPaused = pausedUntil && new Date(pausedUntil) > new Date();
+
+  const topicInputs = PREFERENCE_TOPICS.map(
+    (topic) => `<label>
+          <input type="checkbox" name="topics" value="${topic.value}"${selectedTopics.includes(topic.value) ? " checked" : ""}>
+          ${topic.label}
+        </label>`,
+  ).join("");
+
+  const frequencyOptions = PREFERENCE_FREQUENCIES.map(
+    (frequency) =>
+      `<option value="${frequency.value}"${subscriber.frequency === frequency.value ? " selected" : ""}>${frequency.label}</option>`,
+  ).join("");
+
+  const pauseInputs = [
+    isPaused
+      ? `<label><input type="radio" name="pause" value="keep" checked> Stay paused until ${escapeHtml(pausedUntil)}</label>`
+      : "",
+    `<label><input type="radio" name="pause" value="0"${isPaused ? "" : " checked"}> ${isPaused ? "Resume emails now" : "Keep the emails coming"}</label>`,
+    ...PAUSE_OPTIONS.map(
+      (days) =>
+        `<label><input type="radio" name="pause" value="${days}"> Pause for ${days} days</label>`,
+    ),
+  ].join("");
+
+  return renderPage(
+    "Email Preferences",
+    `<h1>Email Preferences</h1>
+    <p>Choose what you hear from us at <span class="email">${escapeHtml(email)}</span>.</p>
+    ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ""}
+    <form method="POST" action="${escapeHtml(action)}" class="preferences-form">
+      <fieldset>
+        <legend>Your name</legend>
+        <label>
+          First name
+          <input type="text" name="first_name" maxlength="50" autocomplete="given-name" value="${escapeHtml(subscriber.first_name || "")}">
+        </label>
+      </fieldset>
+      <fieldset>
+        <legend>What would you like to hear about?</legend>
+        ${topicInputs}
+      </fieldset>
+      <fieldset>
+        <legend>How often?</legend>
+        <label>
+          Email frequency
+          <select name="frequency">${frequencyOptions}</select>
+        </label>
+      </fieldset>
+      <fieldset>
+        <legend>Need a break?</legend>
+        ${pauseInputs}
+      </fieldset>
+      <div class="actions">
+        <button type="submit" class="button">Save Preferences</button>
+      </div>
+    </form>
+    <p class="secondary-link"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from all emails</a></p>
+    <p class="secondary-link">
+      <a href="${escapeHtml(exportUrl)}">Download my data</a> &middot;
+      <a href="${escapeHtml(eraseUrl)}">Delete my data</a>
+    </p>`,
+  );
+}
+
+/**
+ * Wrap page content in the branded HTML document shared by all worker pages
+ */
+function renderPage(title, content) {
+  const colors = PAGE_COLORS;
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -508,10 +1447,59 @@ function generateUnsubscribePage({ success, title, message, email }) {
       font-size: 16px;
       transition: transform 0.2s, box-shadow 0.2s;
     }
+    button.button {
+      border: none;
+      cursor: pointer;
+      font-family: inherit;
+    }
     .button:hover {
       transform: translateY(-2px);
       box-shadow: 0 4px 12px rgba(0,0,0,0.15);
     }
+    .secondary-link {
+      margin: 24px 0 0 0;
+      font-size: 14px;
+    }
+    .secondary-link a {
+      color: ${colors.primary};
+    }
+    .preferences-form {
+      text-align: left;
+    }
+    .preferences-form fieldset {
+      border: 1px solid ${colors.tertiaryMedium};
+      border-radius: 12px;
+      padding: 16px 20px;
+      margin-bottom: 20px;
+    }
+    .preferences-form legend {
+      color: ${colors.secondary};
+      font-weight: 600;
+      padding: 0 6px;
+    }
+    .preferences-form label {
+      display: block;
+      color: ${colors.textLight};
+      margin: 8px 0;
+    }
+    .preferences-form input[type="text"],
+    .preferences-form select {
+      width: 100%;
+      padding: 10px 14px;
+      border: 2px solid ${colors.tertiaryMedium};
+      border-radius: 24px;
+      font-size: 16px;
+      font-family: inherit;
+      color: ${colors.secondary};
+    }
+    .preferences-form .actions {
+      text-align: center;
+    }
+    .notice {
+      background: ${colors.tertiary};
+      border-radius: 12px;
+      padding: 12px 16px;
+    }
     .footer {
       margin-top: 32px;
       padding-top: 24px;
@@ -523,12 +1511,7 @@ function generateUnsubscribePage({ success, title, message, email }) {
 </head>
 <body>
   <div class="container">
-    <div class="icon">
-      ${iconSvg}
-    </div>
-    <h1>${title}</h1>
-    <p>${message}</p>
-    <a href="https://thecookieisle.com" class="button">Visit Our Website</a>
+    ${content}
     <div class="footer">
       <p>The Cookie Isle &bull; Fresh Baked Happiness</p>
     </div>
@@ -0,0 +1,112 @@
+/**
+ * Structured logging and request IDs
+ *
+ * Every log line is a single JSON object - { level, event, ...fields } - so
+ * Workers Logs and `wrangler tail --format json` can filter on its fields.
+ *
+ * fetch() gives each request an ID (startRequest) that goes back to the
+ * browser in the X-Request-Id header, is sent to the Apps Script as
+ * request_id and is included in the request's log lines. A failed signup can
+ * then be followed from the browser, through the Worker, to the Apps Script
+ * execution that handled it. finishRequest() writes one "request" line per
+ * request with the status, an outcome code and the latency.
+ */
+
+import { incrementMetric } from "./metrics.js";
+
+// Per-request state, dropped along with the Request object
+const requests = new WeakMap();
+
+/**
+ * Write one structured log line
+ * @param {"info"|"warn"|"error"} level
+ * @param {string} event - What happened, e.g. "storage_error"
+ * @param {object} [fields] - Anything else worth filtering on (never secrets)
+ */
+export function log(level, event, fields = {}) {
+  const line = JSON.stringify({ level, event, ...fields });
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Give a request its ID and start timing it
+ * @returns {string} - The request ID
+ */
+export function startRequest(request) {
+  const id = crypto.randomUUID();
+  requests.set(request, { id, startedAt: Date.now(), outcome: "" });
+  return id;
+}
+
+/**
+ * The ID given to a request by startRequest(), or "" outside fetch()
+ */
+export function requestIdOf(request) {
+  const state = requests.get(request);
+  return state ? state.id : "";
+}
+
+/**
+ * Record how a request turned out (e.g. "duplicate") for its "request" log line
+ * Without one, the line falls back to "ok", "client_error" or "server_error".
+ */
+export function setOutcome(request, outcome) {
+  const state = requests.get(request);
+  if (state) {
+    state.outcome = outcome;
+  }
+}
+
+/**
+ * Log the finished request and return the response with X-Request-Id set
+ */
+export function finishRequest(request, response) {
+  const state = requests.get(request);
+  if (!state) {
+    return response;
+  }
+
+  const status = response.status;
+  log(status >= 500 ? "error" : "info", "request", {
+    request_id: state.id,
+    method: request.method,
+    // Never the query string - it carries emails and signed tokens
+    path: new URL(request.url).pathname,
+    status,
+    outcome:
+      state.outcome ||
+      (status >= 500 ? "server_error" : status >= 400 ? "client_error" : "ok"),
+    latency_ms: Date.now() - state.startedAt,
+  });
+
+  // Copy so the headers are mutable whatever produced the response
+  const tagged = new Response(response.body, response);
+  tagged.headers.set("X-Request-Id", state.id);
+  return tagged;
+}
+
+/**
+ * Log a failed storage call for a request
+ * Failures where the backend couldn't be reached also count as
+ * upstream_failures in the metrics.
+ * @param {string} operation - The store method, e.g. "subscribe"
+ * @param {{error?: string, retryable?: boolean}} result
+ */
+export async function logStorageError(request, env, operation, result) {
+  log("error", "storage_error", {
+    request_id: requestIdOf(request),
+    operation,
+    error: result.error || "Unknown error",
+    retryable: !!result.retryable,
+  });
+
+  if (result.retryable) {
+    await incrementMetric(env, "upstream_failures");
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Menu catalog used to price orders
+ *
+ * The Hugo site publishes the catalog at /menu/index.json, built from the
+ * front matter in content/menu/*.md (layouts/menu/list.json). Orders are
+ * always priced from it, never from what the browser sends, so changing a
+ * price or marking a cookie sold out (`available = false`) only needs a site
+ * deploy.
+ *
+ * The catalog is fetched from MENU_CATALOG_URL and kept for
+ * MENU_CACHE_SECONDS (default 300) per isolate, and in Cloudflare's cache
+ * for the same time. If a refresh fails, the last copy keeps being used.
+ */
+
+import { log } from "./logging.js";
+
+// Catalog versions this code understands (the "version" field)
+const SUPPORTED_VERSIONS = [1];
+
+const DEFAULT_CACHE_SECONDS = 300;
+
+// Last good catalog in this isolate
+let cached = null;
+
+/**
+ * Load the menu catalog
+ * @returns {Promise<{version: number, generated_at: string, items: object[]}|null>}
+ *   null (after logging why) when there's no MENU_CATALOG_URL or no copy could
+ *   be loaded
+ */
+export async function loadMenuCatalog(env) {
+  if (!env.MENU_CATALOG_URL) {
+    log("error", "not_configured", { missing: "MENU_CATALOG_URL" });
+    return null;
+  }
+
+  const cacheSeconds =
+    parseInt(env.MENU_CACHE_SECONDS, 10) || DEFAULT_CACHE_SECONDS;
+  if (
+    cached &&
+    cached.url === env.MENU_CATALOG_URL &&
+    Date.now() - cached.fetchedAt < cacheSeconds * 1000
+  ) {
+    return cached.catalog;
+  }
+
+  try {
+    const response = await fetch(env.MENU_CATALOG_URL, {
+      cf: { cacheTtl: cacheSeconds, cacheEverything: true },
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const catalog = await response.json();
+    if (!SUPPORTED_VERSIONS.includes(catalog.version)) {
+      throw new Error(`unsupported catalog version ${catalog.version}`);
+    }
+    if (!Array.isArray(catalog.items)) {
+      throw new Error("catalog has no items");
+    }
+
+    cached = { url: env.MENU_CATALOG_URL, fetchedAt: Date.now(), catalog };
+    return catalog;
+  } catch (error) {
+    if (cached && cached.url === env.MENU_CATALOG_URL) {
+      log("warn", "menu_catalog_stale", { error: error.message });
+      return cached.catalog;
+    }
+    log("error", "menu_catalog_unavailable", { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Look up a menu item by slug (the content/menu file name)
+ * @returns {object|undefined}
+ */
+export function findMenuItem(catalog, slug) {
+  return catalog.items.find((item) => item.slug === slug);
+}
@@ -0,0 +1,89 @@
+/**
+ * Signup metrics
+ *
+ * Daily counters for signups, duplicates, resubscribes, unsubscribes and
+ * upstream failures (storage that couldn't be reached), shown by
+ * GET /admin/stats. They're kept in the METRICS KV namespace when it's bound,
+ * one key per UTC day, otherwise per isolate in memory. KV has no atomic
+ * increment, so counts that land at the same moment can be lost - treat
+ * them as a trend, not an exact tally.
+ */
+
+import { log } from "./logging.js";
+
+export const METRIC_NAMES = [
+  "signups",
+  "duplicates",
+  "resubscribes",
+  "unsubscribes",
+  "upstream_failures",
+];
+
+const KEY_PREFIX = "metrics:";
+
+// Days of counters kept in KV, and the most GET /admin/stats will show
+export const METRICS_MAX_DAYS = 90;
+
+// Fallback counters when no METRICS KV namespace is bound, keyed by day
+const memoryMetrics = new Map();
+
+/**
+ * Add one to today's count for a metric
+ * Never throws - a failed count is logged and the request carries on.
+ * @param {string} name - One of METRIC_NAMES
+ */
+export async function incrementMetric(env, name) {
+  const day = new Date().toISOString().slice(0, 10);
+
+  if (!env.METRICS) {
+    const counts = memoryMetrics.get(day) || {};
+    counts[name] = (counts[name] || 0) + 1;
+    memoryMetrics.set(day, counts);
+    return;
+  }
+
+  try {
+    const counts = (await env.METRICS.get(KEY_PREFIX + day, "json")) || {};
+    counts[name] = (counts[name] || 0) + 1;
+    await env.METRICS.put(KEY_PREFIX + day, JSON.stringify(counts), {
+      expirationTtl: METRICS_MAX_DAYS * 24 * 60 * 60,
+    });
+  } catch (error) {
+    log("warn", "metric_failed", { metric: name, error: error.message });
+  }
+}
+
+/**
+ * Counts for the last `days` UTC days (today included), newest first, with totals
+ * @returns {Promise<{days: object[], totals: object}>} - Each day is
+ *   { date, signups, duplicates, ... }; missing counts are 0
+ */
+export async function readMetrics(env, days = 7) {
+  const today = Date.now();
+  const dates = [];
+  for (let i = 0; i < days; i++) {
+    dates.push(
+      new Date(today - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    );
+  }
+
+  const stored = await Promise.all(
+    dates.map((date) =>
+      env.METRICS
+        ? env.METRICS.get(KEY_PREFIX + date, "json")
+        : memoryMetrics.get(date),
+    ),
+  );
+
+  const totals = Object.fromEntries(METRIC_NAMES.map((name) => [name, 0]));
+  const byDay = dates.map((date, i) => {
+    const day = { date };
+    for (const name of METRIC_NAMES) {
+      day[name] = (stored[i] && stored[i][name]) || 0;
+      totals[name] += day[name];
+    }
+    return day;
+  });
+
+  return { days: byDay, totals };
+}
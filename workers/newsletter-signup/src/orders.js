@@ -0,0 +1,614 @@
+/**
+ * Pre-orders and pickup reservations
+ *
+ * POST /orders places an order for pickup:
+ *   { email, name, phone?, pickup_slot: "2026-11-07T10:30",
+ *     items: [{ slug, quantity }], notes?, expected_total_cents?,
+ *     avoid_allergens?: ["peanuts"], acknowledge_allergens? }
+ * Line items are priced from the menu catalog (src/menu.js), never from the
+ * request. If the browser sends the total it showed and that no longer
+ * matches, the order is refused rather than charging a price nobody saw.
+ * Likewise, if the customer said which allergens they avoid and an item
+ * contains one, the order is refused until they acknowledge the warning.
+ * GET /orders/slots lists the pickup slots still open and the menu, with
+ * each item's allergens and dietary labels.
+ *
+ * Orders live in the "Orders" sheet, written by the Apps Script. It checks
+ * slot capacity under a lock (so two orders can't both take the last
+ * cookies in a slot) and emails the owner and the customer, the same way it
+ * does for signups. Statuses move
+ *
+ *   pending → confirmed → ready → picked_up
+ *
+ * and any of the first three can be cancelled. The Apps Script enforces
+ * this; status changes come in through the admin API (src/admin.js).
+ */
+
+import { emailValidationOptions, validateEmail } from "./email.js";
+import { jsonResponse } from "./http.js";
+import { log, logStorageError, requestIdOf, setOutcome } from "./logging.js";
+import { findMenuItem, loadMenuCatalog } from "./menu.js";
+import { checkRateLimit, rateLimitedResponse } from "./rate-limit.js";
+import { forwardToAppsScript } from "./storage/apps-script.js";
+
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "ready",
+  "picked_up",
+  "cancelled",
+];
+
+// Error strings the Apps Script answers with
+export const ORDER_NOT_FOUND = "Order not found";
+export const SLOT_FULL = "Slot full";
+export const INVALID_STATUS_CHANGE = "Invalid status change";
+
+const DEFAULT_PICKUP_WINDOWS = "sat 10:00-14:00,sun 10:00-14:00";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Orders per IP per hour
+const ORDER_RATE_LIMIT = 5;
+const ORDER_RATE_LIMIT_WINDOW_SECONDS = 3600;
+
+const MAX_LINE_ITEMS = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 500;
+
+// Order IDs skip 0/O and 1/I so they can be read out over the phone
+const ORDER_ID_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// ============================================================================
+// PUBLIC ROUTES
+// ============================================================================
+
+/**
+ * Handle POST /orders
+ */
+export async function handleOrders(request, env) {
+  try {
+    const clientIp = request.headers.get("CF-Connecting-IP") || "unknown";
+    const ipLimit = await checkRateLimit(
+      env,
+      `order-ip:${clientIp}`,
+      ORDER_RATE_LIMIT,
+      ORDER_RATE_LIMIT_WINDOW_SECONDS,
+    );
+    if (!ipLimit.allowed) {
+      return rateLimitedResponse(
+        ipLimit.retryAfter,
+        request,
+        env,
+        "Too many orders. Please wait a little while and try again.",
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      body = null;
+    }
+    if (!body || typeof body !== "object") {
+      return jsonResponse(
+        { error: "Please send your order as JSON" },
+        400,
+        request,
+        env,
+      );
+    }
+
+    const catalog = await loadMenuCatalog(env);
+    if (!catalog) {
+      return jsonResponse(
+        {
+          error: "Ordering isn't available right now. Please try again later.",
+        },
+        503,
+        request,
+        env,
+      );
+    }
+
+    const settings = getOrderSettings(env);
+    const parsed = parseOrder(
+      body,
+      settings,
+      catalog,
+      emailValidationOptions(env),
+    );
+    if (parsed.error) {
+      return jsonResponse({ error: parsed.error }, 400, request, env);
+    }
+    const { order, allergenConflicts } = parsed;
+
+    if (
+      body.expected_total_cents !== undefined &&
+      Number(body.expected_total_cents) !== order.total_cents
+    ) {
+      setOutcome(request, "price_changed");
+      return jsonResponse(
+        {
+          error:
+            "Prices have changed since you loaded the page. Please check your order and try again.",
+          items: order.items,
+          total_cents: order.total_cents,
+        },
+        409,
+        request,
+        env,
+      );
+    }
+
+    if (allergenConflicts.length && body.acknowledge_allergens !== true) {
+      setOutcome(request, "allergen_conflict");
+      return jsonResponse(
+        {
+          error:
+            "Some of these cookies contain allergens you asked us to avoid. Please check your order, or confirm you still want it.",
+          allergen_conflict: true,
+          items: allergenConflicts,
+        },
+        409,
+        request,
+        env,
+      );
+    }
+
+    const store = createOrderStore(env, { requestId: requestIdOf(request) });
+    if (!store) {
+      return jsonResponse(
+        {
+          error: "Ordering isn't available right now. Please try again later.",
+        },
+        500,
+        request,
+        env,
+      );
+    }
+
+    const result = await store.create(order, settings.slotCapacity);
+
+    if (!result.success) {
+      if (result.error === SLOT_FULL) {
+        setOutcome(request, "slot_full");
+        return jsonResponse(
+          {
+            error:
+              "Sorry, that pickup time just filled up. Please choose another.",
+            slot_full: true,
+            remaining: result.remaining || 0,
+          },
+          409,
+          request,
+          env,
+        );
+      }
+
+      await logStorageError(request, env, "order_create", result);
+      setOutcome(request, "upstream_error");
+      return jsonResponse(
+        { error: "We couldn't place your order. Please try again." },
+        503,
+        request,
+        env,
+      );
+    }
+
+    log("info", "order_placed", {
+      request_id: requestIdOf(request),
+      order_id: order.id,
+      pickup_slot: order.pickup_slot,
+      item_count: order.item_count,
+    });
+    setOutcome(request, "order_placed");
+    return jsonResponse(
+      {
+        success: true,
+        message: "Order received! We've emailed you a confirmation.",
+        order: result.order || order,
+      },
+      201,
+      request,
+      env,
+    );
+  } catch (error) {
+    log("error", "unhandled_error", {
+      request_id: requestIdOf(request),
+      error: error.message,
+      stack: error.stack,
+    });
+    return jsonResponse(
+      { error: "Something went wrong. Please try again." },
+      500,
+      request,
+      env,
+    );
+  }
+}
+
+/**
+ * Handle GET /orders/slots
+ * Returns { slots: [{ slot, remaining }], slot_capacity, menu }, where
+ * remaining is how many more cookies the slot can take.
+ */
+export async function handleOrderSlots(request, env) {
+  const settings = getOrderSettings(env);
+  const slots = getPickupSlots(settings);
+
+  const catalog = await loadMenuCatalog(env);
+  const store = createOrderStore(env, { requestId: requestIdOf(request) });
+  const result =
+    store && catalog
+      ? await store.slotUsage(slots)
+      : { success: false, error: "Not configured" };
+
+  if (!result.success) {
+    await logStorageError(request, env, "order_slot_usage", result);
+    return jsonResponse(
+      { error: "Ordering isn't available right now. Please try again later." },
+      503,
+      request,
+      env,
+    );
+  }
+
+  const usage = result.usage || {};
+  return jsonResponse(
+    {
+      slots: slots.map((slot) => ({
+        slot,
+        remaining: Math.max(settings.slotCapacity - (usage[slot] || 0), 0),
+      })),
+      slot_capacity: settings.slotCapacity,
+      menu: catalog.items,
+      allergen_labels: catalog.allergen_labels || {},
+      dietary_labels: catalog.dietary_labels || {},
+    },
+    200,
+    request,
+    env,
+  );
+}
+
+// ============================================================================
+// ORDER STORE
+// ============================================================================
+
+/**
+ * Create a client for the orders kept by the Apps Script
+ * Orders always go to the Apps Script (whatever STORAGE_BACKEND is), since
+ * it owns the capacity lock and sends the emails.
+ * @param {object} [options]
+ * @param {string} [options.requestId] - Passed on for the Apps Script logs
+ * @returns {object|null} - null (after logging why) without GOOGLE_APPS_SCRIPT_URL
+ */
+export function createOrderStore(env, { requestId } = {}) {
+  const url = env.GOOGLE_APPS_SCRIPT_URL;
+  if (!url) {
+    log("error", "not_configured", {
+      missing: "GOOGLE_APPS_SCRIPT_URL",
+      request_id: requestId,
+    });
+    return null;
+  }
+
+  const options = { requestId, secret: env.APPS_SCRIPT_SECRET };
+
+  return {
+    // → { success, order } or { success: false, error: SLOT_FULL, remaining }
+    create(order, slotCapacity) {
+      return forwardToAppsScript(
+        url,
+        order.email,
+        "order_create",
+        { order, slot_capacity: slotCapacity },
+        options,
+      );
+    },
+
+    // → { success, order }
+    get(id) {
+      return forwardToAppsScript(
+        url,
+        "",
+        "order_get",
+        { order_id: id },
+        options,
+      );
+    },
+
+    // Newest first → { success, orders, cursor }
+    list({ status, cursor, limit } = {}) {
+      return forwardToAppsScript(
+        url,
+        "",
+        "order_list",
+        { status: status || "", cursor: cursor || null, limit },
+        options,
+      );
+    },
+
+    // → { success, order } or { success: false, error: INVALID_STATUS_CHANGE }
+    setStatus(id, status) {
+      return forwardToAppsScript(
+        url,
+        "",
+        "order_status",
+        { order_id: id, status },
+        options,
+      );
+    },
+
+    // Cookies booked per slot, ignoring cancelled orders → { success, usage }
+    slotUsage(slots) {
+      return forwardToAppsScript(
+        url,
+        "",
+        "order_slot_usage",
+        { slots },
+        options,
+      );
+    },
+  };
+}
+
+// ============================================================================
+// VALIDATION & PRICING
+// ============================================================================
+
+/**
+ * Validate an order request and price it from the menu catalog
+ * The email address gets the signup form's checks (src/email.js).
+ * @param {object} [emailOptions] - validateEmail() options
+ * @returns {{order: object, allergenConflicts: object[]}|{error: string}}
+ *   allergenConflicts lists the items containing an allergen from
+ *   avoid_allergens, with just those allergens
+ */
+function parseOrder(body, settings, catalog, emailOptions) {
+  const validation = validateEmail(
+    typeof body.email === "string" ? body.email : "",
+    emailOptions,
+  );
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: "Please enter the name for the order" };
+  }
+
+  const phone = typeof body.phone === "string" ? body.phone.trim() : "";
+  if (phone && !/^[+()\d\s.-]{7,20}$/.test(phone)) {
+    return { error: "Please enter a valid phone number" };
+  }
+
+  const notes = typeof body.notes === "string" ? body.notes.trim() : "";
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return {
+      error: `Notes can be at most ${MAX_NOTES_LENGTH} characters`,
+    };
+  }
+
+  if (!getPickupSlots(settings).includes(body.pickup_slot)) {
+    return { error: "Please choose one of the available pickup times" };
+  }
+
+  if (
+    !Array.isArray(body.items) ||
+    body.items.length === 0 ||
+    body.items.length > MAX_LINE_ITEMS
+  ) {
+    return { error: "Please add at least one item to your order" };
+  }
+
+  const avoid = body.avoid_allergens === undefined ? [] : body.avoid_allergens;
+  if (
+    !Array.isArray(avoid) ||
+    !avoid.every(
+      (allergen) =>
+        typeof allergen === "string" &&
+        (!catalog.allergen_labels || allergen in catalog.allergen_labels),
+    )
+  ) {
+    return { error: "Please choose allergens from the menu's list" };
+  }
+
+  // Merge repeated slugs so each item appears once
+  const quantities = new Map();
+  for (const line of body.items) {
+    const quantity = Number(line && line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: "Quantities must be whole numbers of at least 1" };
+    }
+
+    const item = findMenuItem(catalog, line.slug);
+    if (!item) {
+      return { error: `We don't have "${line.slug}" on the menu` };
+    }
+    // No price in the front matter means it can't be ordered online yet
+    if (!item.available || !item.price_cents) {
+      return { error: `Sorry, ${item.title} is sold out` };
+    }
+
+    quantities.set(item.slug, (quantities.get(item.slug) || 0) + quantity);
+  }
+
+  const items = [...quantities].map(([slug, quantity]) => {
+    const item = findMenuItem(catalog, slug);
+    return {
+      slug,
+      title: item.title,
+      quantity,
+      unit_price_cents: item.price_cents,
+      line_total_cents: item.price_cents * quantity,
+      allergens: item.allergens || [],
+    };
+  });
+  const allergenConflicts = items
+    .map((item) => ({
+      slug: item.slug,
+      title: item.title,
+      allergens: item.allergens.filter((allergen) => avoid.includes(allergen)),
+    }))
+    .filter((conflict) => conflict.allergens.length);
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  if (itemCount > settings.slotCapacity) {
+    return {
+      error: `We can bake at most ${settings.slotCapacity} cookies per pickup time`,
+    };
+  }
+
+  return {
+    order: {
+      id: generateOrderId(),
+      email: validation.email,
+      name,
+      phone,
+      pickup_slot: body.pickup_slot,
+      items,
+      item_count: itemCount,
+      total_cents: items.reduce((sum, item) => sum + item.line_total_cents, 0),
+      notes,
+    },
+    allergenConflicts,
+  };
+}
+
+/**
+ * Random, human-friendly order ID, e.g. "ORD-7K2M9X4Q"
+ */
+function generateOrderId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  const code = Array.from(
+    bytes,
+    (byte) => ORDER_ID_ALPHABET[byte % ORDER_ID_ALPHABET.length],
+  ).join("");
+  return `ORD-${code}`;
+}
+
+// ============================================================================
+// PICKUP SLOTS
+// ============================================================================
+
+/**
+ * Read the ORDER_* settings
+ * - ORDER_PICKUP_WINDOWS: weekly windows, "sat 10:00-14:00,sun 10:00-14:00"
+ * - ORDER_SLOT_MINUTES: slot length (default 30)
+ * - ORDER_SLOT_CAPACITY: cookies that can be picked up per slot (default 48)
+ * - ORDER_LEAD_HOURS: minimum notice before a slot (default 24)
+ * - ORDER_DAYS_AHEAD: how far ahead slots can be booked (default 14)
+ * - ORDER_TIMEZONE: timezone of the pickup times (default America/Los_Angeles)
+ */
+function getOrderSettings(env) {
+  const leadHours = parseInt(env.ORDER_LEAD_HOURS, 10);
+  return {
+    windows: parsePickupWindows(
+      env.ORDER_PICKUP_WINDOWS || DEFAULT_PICKUP_WINDOWS,
+    ),
+    slotMinutes: parseInt(env.ORDER_SLOT_MINUTES, 10) || 30,
+    slotCapacity: parseInt(env.ORDER_SLOT_CAPACITY, 10) || 48,
+    leadHours: Number.isNaN(leadHours) ? 24 : leadHours,
+    daysAhead: parseInt(env.ORDER_DAYS_AHEAD, 10) || 14,
+    timeZone: env.ORDER_TIMEZONE || "America/Los_Angeles",
+  };
+}
+
+/**
+ * Parse "sat 10:00-14:00,sun 10:00-14:00" into [{ day, start, end }] (minutes)
+ * Malformed entries are logged and skipped.
+ */
+function parsePickupWindows(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      const match = entry.match(
+        /^(sun|mon|tue|wed|thu|fri|sat)\s+(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/,
+      );
+      if (!match) {
+        log("warn", "config_ignored", {
+          setting: "ORDER_PICKUP_WINDOWS",
+          entry,
+        });
+        return [];
+      }
+      return [
+        {
+          day: match[1],
+          start: Number(match[2]) * 60 + Number(match[3]),
+          end: Number(match[4]) * 60 + Number(match[5]),
+        },
+      ];
+    });
+}
+
+/**
+ * Upcoming bookable pickup slots, soonest first
+ * Slots are local "YYYY-MM-DDTHH:MM" times in ORDER_TIMEZONE, one every
+ * ORDER_SLOT_MINUTES inside each window (with 30-minute slots,
+ * "sat 10:00-14:00" ends with a 13:30 slot).
+ * @param {object} settings - From getOrderSettings()
+ * @returns {string[]}
+ */
+function getPickupSlots(settings, now = new Date()) {
+  // Local time strings sort chronologically, so compare them directly
+  const earliest = localDateTime(
+    new Date(now.getTime() + settings.leadHours * 60 * 60 * 1000),
+    settings.timeZone,
+  );
+  const today = localDateTime(now, settings.timeZone).slice(0, 10);
+
+  const slots = [];
+  for (let offset = 0; offset <= settings.daysAhead; offset++) {
+    const date = new Date(Date.parse(`${today}T00:00:00Z`) + offset * 864e5)
+      .toISOString()
+      .slice(0, 10);
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+    for (const window of settings.windows) {
+      if (window.day !== weekday) {
+        continue;
+      }
+      for (
+        let minute = window.start;
+        minute + settings.slotMinutes <= window.end;
+        minute += settings.slotMinutes
+      ) {
+        const hours = String(Math.floor(minute / 60)).padStart(2, "0");
+        const minutes = String(minute % 60).padStart(2, "0");
+        const slot = `${date}T${hours}:${minutes}`;
+        if (slot >= earliest) {
+          slots.push(slot);
+        }
+      }
+    }
+  }
+
+  return [...new Set(slots)].sort();
+}
+
+/**
+ * Format a moment as local "YYYY-MM-DDTHH:MM" in a timezone
+ */
+function localDateTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
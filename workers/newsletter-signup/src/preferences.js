@@ -0,0 +1,46 @@
+/**
+ * Preference center options
+ * Shared by the /preferences pages and the storage backends so every backend
+ * stores preferences the same way.
+ *
+ * Keep in sync with CONFIG.preferenceTopics / preferenceFrequencies in
+ * google-apps-script.js
+ */
+
+export const PREFERENCE_TOPICS = [
+  { value: "popup-events", label: "Pop-up events" },
+  { value: "new-flavors", label: "New flavors" },
+  { value: "pre-orders", label: "Pre-orders" },
+];
+
+export const PREFERENCE_FREQUENCIES = [
+  { value: "all", label: "Every update" },
+  { value: "weekly", label: "Weekly at most" },
+  { value: "monthly", label: "Monthly roundup" },
+];
+
+export const PAUSE_OPTIONS = [30, 60, 90];
+
+/**
+ * Drop unknown topics and store "everything selected" as an empty list,
+ * so topics added later still reach existing subscribers
+ * @param {string[]} topics
+ * @returns {string[]}
+ */
+export function normalizeTopics(topics) {
+  const known = (topics || []).filter((topic) =>
+    PREFERENCE_TOPICS.some((t) => t.value === topic),
+  );
+  return known.length === PREFERENCE_TOPICS.length ? [] : known;
+}
+
+/**
+ * Fall back to "all" for unknown frequencies
+ * @param {string} frequency
+ * @returns {string}
+ */
+export function normalizeFrequency(frequency) {
+  return PREFERENCE_FREQUENCIES.some((f) => f.value === frequency)
+    ? frequency
+    : "all";
+}
@@ -0,0 +1,182 @@
+/**
+ * Rate limiting and bot protection shared by the public POST routes
+ */
+
+import { jsonResponse } from "./http.js";
+import { claimChallengeToken } from "./idempotency.js";
+import { log } from "./logging.js";
+import { sha256Hex, timingSafeEqual } from "./tokens.js";
+
+// Fallback counters when no RATE_LIMIT KV namespace is bound.
+// Only shared within a single isolate, so treat as best effort.
+const memoryRateLimits = new Map();
+
+/**
+ * Fixed-window rate limit check
+ * Identifiers are hashed so raw emails and IPs never land in KV.
+ * @param {string} identifier - What to limit (e.g. "ip:1.2.3.4")
+ * @param {number} limit - Allowed requests per window
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>}
+ */
+export async function checkRateLimit(env, identifier, limit, windowSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSeconds);
+  const retryAfter = windowStart + windowSeconds - now;
+  const key = `rl:${await sha256Hex(identifier)}:${windowStart}`;
+
+  if (env.RATE_LIMIT) {
+    const count = parseInt(await env.RATE_LIMIT.get(key), 10) || 0;
+    if (count >= limit) {
+      return { allowed: false, retryAfter };
+    }
+    // KV requires a TTL of at least 60 seconds
+    await env.RATE_LIMIT.put(key, String(count + 1), {
+      expirationTtl: Math.max(windowSeconds, 60),
+    });
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  // Drop counters from windows that have already ended
+  for (const [storedKey, entry] of memoryRateLimits) {
+    if (entry.expiresAt <= now) {
+      memoryRateLimits.delete(storedKey);
+    }
+  }
+
+  const entry = memoryRateLimits.get(key) || {
+    count: 0,
+    expiresAt: windowStart + windowSeconds,
+  };
+  if (entry.count >= limit) {
+    return { allowed: false, retryAfter };
+  }
+  entry.count++;
+  memoryRateLimits.set(key, entry);
+  return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Create the 429 response shown by the signup and order forms
+ */
+export function rateLimitedResponse(
+  retryAfter,
+  request,
+  env,
+  message = "Too many signup attempts. Please wait a few minutes and try again.",
+) {
+  return jsonResponse(
+    {
+      error: message,
+      retry_after: retryAfter,
+    },
+    429,
+    request,
+    env,
+    { "Retry-After": String(retryAfter) },
+  );
+}
+
+/**
+ * Check the bearer token of a signup from the site's kiosk page (/kiosk/)
+ * Kiosks sign up a whole market's worth of people from one tablet, often
+ * from a queue long after any challenge token would have expired, so their
+ * signups skip the per-IP limit and the Turnstile check.
+ * @returns {Promise<boolean|null>} - null without an Authorization header,
+ *   otherwise whether it carries KIOSK_TOKEN
+ */
+export async function verifyKioskToken(request, env) {
+  const header = request.headers.get("Authorization");
+  if (!header) {
+    return null;
+  }
+
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token || !env.KIOSK_TOKEN) {
+    return false;
+  }
+  // Hash first so the comparison doesn't depend on the token's length
+  return timingSafeEqual(
+    await sha256Hex(token),
+    await sha256Hex(env.KIOSK_TOKEN),
+  );
+}
+
+/**
+ * Verify a Turnstile-style challenge token with the siteverify endpoint
+ * TURNSTILE_VERIFY_URL can point at a local stub that answers {"success": true|false}
+ *
+ * Signups the site's service worker saved offline arrive long after their
+ * challenge was solved, when Turnstile rejects the token as
+ * "timeout-or-duplicate" - the same answer it gives for a token that's been
+ * used before. So every accepted token is tied to its signup's idempotency
+ * key (claimChallengeToken()), and a rejected one only passes for the key it
+ * belongs to, or for the first key to present it if it's never been used.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - The signup's Idempotency-Key;
+ *   without one (or without the IDEMPOTENCY namespace) tokens must be fresh
+ * @returns {Promise<boolean>} - Whether the challenge was passed
+ */
+export async function verifyChallengeToken(
+  env,
+  token,
+  clientIp,
+  { idempotencyKey = "" } = {},
+) {
+  if (!token) {
+    return false;
+  }
+
+  const verifyUrl =
+    env.TURNSTILE_VERIFY_URL ||
+    "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+  const formData = new FormData();
+  formData.append("secret", env.TURNSTILE_SECRET_KEY);
+  formData.append("response", token);
+  if (clientIp !== "unknown") {
+    formData.append("remoteip", clientIp);
+  }
+
+  try {
+    const response = await fetch(verifyUrl, { method: "POST", body: formData });
+    const outcome = await response.json();
+    if (outcome.success === true) {
+      await rememberChallengeToken(env, token, idempotencyKey);
+      return true;
+    }
+
+    const codes = outcome["error-codes"] || [];
+    if (
+      idempotencyKey &&
+      codes.length === 1 &&
+      codes[0] === "timeout-or-duplicate"
+    ) {
+      if (await claimChallengeToken(env, token, idempotencyKey)) {
+        log("info", "challenge_expired_accepted");
+        return true;
+      }
+      log("warn", "challenge_reused");
+      return false;
+    }
+
+    log("info", "challenge_failed", { codes });
+    return false;
+  } catch (error) {
+    log("error", "challenge_error", { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Tie a freshly accepted token to its signup, so it can't be passed off as
+ * a saved signup's expired token later
+ * The signup goes ahead even if this fails - Turnstile has just vouched for it.
+ */
+async function rememberChallengeToken(env, token, idempotencyKey) {
+  try {
+    await claimChallengeToken(env, token, idempotencyKey);
+  } catch (error) {
+    log("warn", "challenge_record_failed", { error: error.message });
+  }
+}
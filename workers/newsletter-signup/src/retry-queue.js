@@ -0,0 +1,250 @@
+/**
+ * Durable retry queue for storage operations that couldn't reach the backend
+ *
+ * When a signup or unsubscribe fails with a retryable error (network failure,
+ * non-2xx from the Apps Script, KV/D1 exception), the handler queues it here
+ * and the visitor still gets a success response. The cron-triggered
+ * scheduled() handler retries due items with exponential backoff; items that
+ * run out of attempts or fail for good move to a dead-letter list the owner
+ * can inspect and replay through /admin/retry-queue.
+ *
+ * Items live in the RETRY_QUEUE KV namespace:
+ *   retry:<id> - waiting for their next attempt (next_attempt_at in metadata)
+ *   dead:<id>  - dead letters, kept until replayed or deleted
+ */
+
+import { log } from "./logging.js";
+import { emailHash } from "./storage/records.js";
+
+const PENDING_PREFIX = "retry:";
+const DEAD_PREFIX = "dead:";
+
+// 1m, 2m, 4m, ... capped at 6h between attempts
+const BASE_DELAY_SECONDS = 60;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+// Items processed per scheduled run, to stay well inside the CPU/subrequest limits
+const BATCH_SIZE = 25;
+
+/**
+ * Seconds to wait before the next attempt, given how many have been made
+ */
+export function backoffSeconds(attempts) {
+  return Math.min(
+    BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    MAX_DELAY_SECONDS,
+  );
+}
+
+/**
+ * Queue a failed operation for retry
+ * Counts the failed request itself as the first attempt.
+ * @param {string} operation - "subscribe", "unsubscribe" or "erase"
+ * @param {string} email
+ * @param {object} args - Whatever performQueuedOperation needs to replay it
+ * @param {string} error - Why the first attempt failed
+ * @returns {Promise<object|null>} - The queued item, or null if there is no
+ *   RETRY_QUEUE binding (or KV itself failed)
+ */
+export async function enqueueRetry(env, operation, email, args, error) {
+  if (!env.RETRY_QUEUE) {
+    return null;
+  }
+
+  const now = Date.now();
+  const item = {
+    id: crypto.randomUUID(),
+    operation,
+    email,
+    args,
+    attempts: 1,
+    created_at: new Date(now).toISOString(),
+    next_attempt_at: now + backoffSeconds(1) * 1000,
+    last_error: error || "",
+  };
+
+  try {
+    await putPending(env, item);
+    log("warn", "retry_queued", {
+      operation,
+      email_hash: await emailHash(email),
+      error,
+    });
+    return item;
+  } catch (queueError) {
+    log("error", "retry_queue_failed", {
+      operation,
+      email_hash: await emailHash(email),
+      error: queueError.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Retry every due item once
+ * @param {function} perform - async (env, item) → { success, error, retryable }
+ * @returns {Promise<{processed: number, succeeded: number, rescheduled: number, deadLettered: number}>}
+ */
+export async function processRetryQueue(env, perform) {
+  const summary = {
+    processed: 0,
+    succeeded: 0,
+    rescheduled: 0,
+    deadLettered: 0,
+  };
+  if (!env.RETRY_QUEUE) {
+    return summary;
+  }
+
+  const maxAttempts =
+    parseInt(env.RETRY_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+  const now = Date.now();
+  const due = (await listKeys(env, PENDING_PREFIX))
+    .filter((key) => !key.metadata || key.metadata.next_attempt_at <= now)
+    .slice(0, BATCH_SIZE);
+
+  for (const key of due) {
+    const item = await env.RETRY_QUEUE.get(key.name, "json");
+    if (!item) {
+      continue; // Replayed or purged since we listed
+    }
+
+    summary.processed++;
+    let result;
+    try {
+      result = await perform(env, item);
+    } catch (error) {
+      result = { success: false, error: error.message, retryable: true };
+    }
+
+    if (result.success) {
+      await env.RETRY_QUEUE.delete(key.name);
+      log("info", "retry_succeeded", {
+        operation: item.operation,
+        email_hash: await emailHash(item.email),
+        attempts: item.attempts,
+      });
+      summary.succeeded++;
+      continue;
+    }
+
+    item.attempts++;
+    item.last_error = result.error || "Unknown error";
+
+    if (!result.retryable || item.attempts >= maxAttempts) {
+      await moveToDeadLetters(env, item);
+      log("error", "retry_dead_lettered", {
+        operation: item.operation,
+        email_hash: await emailHash(item.email),
+        attempts: item.attempts,
+        error: item.last_error,
+      });
+      summary.deadLettered++;
+      continue;
+    }
+
+    item.next_attempt_at = Date.now() + backoffSeconds(item.attempts) * 1000;
+    await putPending(env, item);
+    summary.rescheduled++;
+  }
+
+  return summary;
+}
+
+/**
+ * Everything currently queued or dead-lettered, oldest first
+ * @returns {Promise<{pending: object[], deadLetters: object[]}>}
+ */
+export async function listRetryItems(env) {
+  const [pending, deadLetters] = await Promise.all([
+    loadItems(env, PENDING_PREFIX),
+    loadItems(env, DEAD_PREFIX),
+  ]);
+  return { pending, deadLetters };
+}
+
+/**
+ * Put dead letters back on the queue for an immediate attempt
+ * @param {string[]|null} ids - Dead letters to replay, or null for all of them
+ * @returns {Promise<number>} - How many were replayed
+ */
+export async function replayDeadLetters(env, ids) {
+  const keys = ids
+    ? ids.map((id) => ({ name: DEAD_PREFIX + id }))
+    : await listKeys(env, DEAD_PREFIX);
+
+  let replayed = 0;
+  for (const key of keys) {
+    const item = await env.RETRY_QUEUE.get(key.name, "json");
+    if (!item) {
+      continue;
+    }
+
+    delete item.failed_at;
+    item.attempts = 0;
+    item.next_attempt_at = Date.now();
+    await putPending(env, item);
+    await env.RETRY_QUEUE.delete(key.name);
+    replayed++;
+  }
+
+  return replayed;
+}
+
+/**
+ * Delete every queued item and dead letter for an address (data erasure)
+ * @returns {Promise<number>} - How many items were removed
+ */
+export async function purgeRetryItemsForEmail(env, email) {
+  if (!env.RETRY_QUEUE) {
+    return 0;
+  }
+
+  let purged = 0;
+  for (const prefix of [PENDING_PREFIX, DEAD_PREFIX]) {
+    for (const key of await listKeys(env, prefix)) {
+      const item = await env.RETRY_QUEUE.get(key.name, "json");
+      if (item && item.email === email) {
+        await env.RETRY_QUEUE.delete(key.name);
+        purged++;
+      }
+    }
+  }
+
+  return purged;
+}
+
+async function putPending(env, item) {
+  await env.RETRY_QUEUE.put(PENDING_PREFIX + item.id, JSON.stringify(item), {
+    metadata: { next_attempt_at: item.next_attempt_at },
+  });
+}
+
+async function moveToDeadLetters(env, item) {
+  item.failed_at = new Date().toISOString();
+  await env.RETRY_QUEUE.put(DEAD_PREFIX + item.id, JSON.stringify(item));
+  await env.RETRY_QUEUE.delete(PENDING_PREFIX + item.id);
+}
+
+async function loadItems(env, prefix) {
+  const keys = await listKeys(env, prefix);
+  const items = await Promise.all(
+    keys.map((key) => env.RETRY_QUEUE.get(key.name, "json")),
+  );
+  return items
+    .filter(Boolean)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+async function listKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.RETRY_QUEUE.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
@@ -0,0 +1,206 @@
+/**
+ * Google Apps Script storage backend (STORAGE_BACKEND = "apps-script", the default)
+ * Every operation is a POST to the Apps Script web app, which reads and
+ * writes the Google Sheet and sends the subscriber and owner emails.
+ */
+
+import { pickAttribution } from "../attribution.js";
+import { DEFAULT_IMPORT_SOURCE } from "../import.js";
+
+/**
+ * Create a store that forwards to the Apps Script web app at `url`
+ * @param {object} [options] - See forwardToAppsScript()
+ */
+export function createAppsScriptStore(url, options = {}) {
+  return {
+    sendsEmail: true,
+
+    subscribe(
+      email,
+      { firstName, source, attribution, confirmUrl, idempotencyKey } = {},
+    ) {
+      return forwardToAppsScript(
+        url,
+        email,
+        "signup",
+        {
+          first_name: firstName,
+          source,
+          attribution,
+          confirm_url: confirmUrl,
+          idempotency_key: idempotencyKey,
+        },
+        options,
+      );
+    },
+
+    confirm(email) {
+      return forwardToAppsScript(url, email, "confirm", {}, options);
+    },
+
+    unsubscribe(email) {
+      return forwardToAppsScript(url, email, "unsubscribe", {}, options);
+    },
+
+    lookup(email) {
+      return forwardToAppsScript(url, email, "lookup", {}, options);
+    },
+
+    list({ cursor, limit } = {}) {
+      return forwardToAppsScript(url, "", "list", { cursor, limit }, options);
+    },
+
+    update(email, changes = {}) {
+      return forwardToAppsScript(url, email, "update", { changes }, options);
+    },
+
+    remove(email) {
+      return forwardToAppsScript(url, email, "delete", {}, options);
+    },
+
+    stats() {
+      return forwardToAppsScript(url, "", "stats", {}, options);
+    },
+
+    exportData(email) {
+      return forwardToAppsScript(url, email, "export", {}, options);
+    },
+
+    erase(email) {
+      return forwardToAppsScript(url, email, "erase", {}, options);
+    },
+
+    isErased(email) {
+      return forwardToAppsScript(url, email, "is_erased", {}, options);
+    },
+
+    importSubscribers(subscribers, { source } = {}) {
+      return forwardToAppsScript(
+        url,
+        "",
+        "import",
+        { subscribers, source },
+        options,
+      );
+    },
+  };
+}
+
+/**
+ * Forward a storage operation to Google Apps Script
+ * @param {object} [options]
+ * @param {string} [options.requestId] - The Worker request's ID, logged by the Apps Script
+ * @param {string} [options.secret] - APPS_SCRIPT_SECRET; the Apps Script only accepts
+ *   signup, confirm and unsubscribe without it
+ */
+export async function forwardToAppsScript(
+  url,
+  email,
+  action = "signup",
+  extraData = {},
+  { requestId = "", secret = "" } = {},
+) {
+  try {
+    const payload = {
+      email: email,
+      timestamp: new Date().toISOString(),
+      action: action,
+    };
+
+    if (requestId) {
+      payload.request_id = requestId;
+    }
+
+    if (secret) {
+      payload.secret = secret;
+    }
+
+    if (action === "signup") {
+      payload.source = extraData.source || "unknown";
+      // utm_* and referrer go in the sheet's attribution columns
+      Object.assign(payload, pickAttribution(extraData.attribution));
+      // Include first_name if provided
+      if (extraData.first_name) {
+        payload.first_name = extraData.first_name;
+      }
+      // Signed link the Apps Script puts in the confirmation email
+      if (extraData.confirm_url) {
+        payload.confirm_url = extraData.confirm_url;
+      }
+      // Repeats of the same signup get the first response back
+      if (extraData.idempotency_key) {
+        payload.idempotency_key = extraData.idempotency_key;
+      }
+    }
+
+    if (action === "update") {
+      payload.changes = extraData.changes;
+    }
+
+    if (action === "import") {
+      payload.subscribers = extraData.subscribers;
+      payload.source = extraData.source || DEFAULT_IMPORT_SOURCE;
+    }
+
+    if (action === "list") {
+      payload.cursor = extraData.cursor || null;
+      payload.limit = extraData.limit;
+    }
+
+    // Order actions (src/orders.js) send their fields as they are
+    if (action.startsWith("order_")) {
+      Object.assign(payload, extraData);
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    // Apps Script returns a redirect on success, or JSON
+    // Handle both cases
+    if (response.ok || response.status === 302) {
+      // Try to parse response if it's JSON
+      try {
+        const data = await response.json();
+        return {
+          success: data.success !== false,
+          error: data.error,
+          // e.g. the script's lock was busy - nothing was changed
+          retryable: data.retryable || false,
+          message: data.message,
+          duplicate: data.duplicate || false,
+          resubscribed: data.resubscribed || false,
+          pending: data.pending || false,
+          alreadyConfirmed: data.already_confirmed || false,
+          subscriber: data.subscriber,
+          subscribers: data.subscribers,
+          cursor: data.cursor || null,
+          stats: data.stats,
+          data: data.data,
+          erased: data.erased || false,
+          order: data.order,
+          orders: data.orders,
+          usage: data.usage,
+          remaining: data.remaining,
+          results: data.results,
+        };
+      } catch {
+        // If not JSON, assume success (Apps Script often returns HTML on success)
+        return { success: true };
+      }
+    }
+
+    // The Apps Script never answered properly, so it's worth trying again later
+    return {
+      success: false,
+      error: `HTTP ${response.status}`,
+      retryable: true,
+    };
+  } catch (error) {
+    return { success: false, error: error.message, retryable: true };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Cloudflare D1 storage backend (STORAGE_BACKEND = "d1")
+ * Schema lives in migrations/; apply it with
+ * `wrangler d1 migrations apply newsletter`.
+ */
+
+import { pickAttribution } from "../attribution.js";
+import { createRecordStore } from "./records.js";
+
+/**
+ * Create a store backed by a D1 database binding
+ * @param {object} [options] - { pendingTtlHours }, see createRecordStore()
+ */
+export function createD1Store(db, options = {}) {
+  return createRecordStore({
+    ...options,
+
+    async get(email) {
+      const row = await db
+        .prepare("SELECT * FROM subscribers WHERE email = ?")
+        .bind(email)
+        .first();
+      return row ? subscriberFromRow(row) : null;
+    },
+
+    async put(subscriber) {
+      await db
+        .prepare(
+          `INSERT INTO subscribers
+             (email, first_name, timestamp, source, status, pending_since, topics, frequency, paused_until,
+              utm_source, utm_medium, utm_campaign, utm_term, utm_content, referrer)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (email) DO UPDATE SET
+             first_name = excluded.first_name,
+             timestamp = excluded.timestamp,
+             source = excluded.source,
+             status = excluded.status,
+             pending_since = excluded.pending_since,
+             topics = excluded.topics,
+             frequency = excluded.frequency,
+             paused_until = excluded.paused_until,
+             utm_source = excluded.utm_source,
+             utm_medium = excluded.utm_medium,
+             utm_campaign = excluded.utm_campaign,
+             utm_term = excluded.utm_term,
+             utm_content = excluded.utm_content,
+             referrer = excluded.referrer`,
+        )
+        .bind(
+          subscriber.email,
+          subscriber.first_name || "",
+          subscriber.timestamp || "",
+          subscriber.source || "unknown",
+          subscriber.status,
+          subscriber.pending_since || "",
+          (subscriber.topics || []).join(","),
+          subscriber.frequency || "all",
+          subscriber.paused_until || "",
+          subscriber.utm_source || "",
+          subscriber.utm_medium || "",
+          subscriber.utm_campaign || "",
+          subscriber.utm_term || "",
+          subscriber.utm_content || "",
+          subscriber.referrer || "",
+        )
+        .run();
+    },
+
+    async remove(email) {
+      await db
+        .prepare("DELETE FROM subscribers WHERE email = ?")
+        .bind(email)
+        .run();
+    },
+
+    async addTombstone(hash, erasedAt) {
+      await db
+        .prepare(
+          "INSERT OR REPLACE INTO tombstones (email_hash, erased_at) VALUES (?, ?)",
+        )
+        .bind(hash, erasedAt)
+        .run();
+    },
+
+    async hasTombstone(hash) {
+      const row = await db
+        .prepare("SELECT 1 FROM tombstones WHERE email_hash = ?")
+        .bind(hash)
+        .first();
+      return !!row;
+    },
+
+    // Keyset pagination by email; the cursor is the last email of the previous page
+    async list({ cursor, limit }) {
+      const { results } = await db
+        .prepare(
+          "SELECT * FROM subscribers WHERE email > ? ORDER BY email LIMIT ?",
+        )
+        .bind(cursor || "", limit + 1)
+        .all();
+
+      const page = results.slice(0, limit).map(subscriberFromRow);
+      return {
+        subscribers: page,
+        cursor: results.length > limit ? page[page.length - 1].email : null,
+      };
+    },
+  });
+}
+
+/**
+ * Convert a D1 row into the shared subscriber shape
+ */
+function subscriberFromRow(row) {
+  return {
+    email: row.email,
+    first_name: row.first_name || "",
+    timestamp: row.timestamp || "",
+    source: row.source || "unknown",
+    status: row.status,
+    pending_since: row.pending_since || "",
+    topics: row.topics ? row.topics.split(",").filter(Boolean) : [],
+    frequency: row.frequency || "all",
+    paused_until: row.paused_until || "",
+    ...pickAttribution(row),
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Subscriber storage backends
+ *
+ * Handlers never talk to a datastore directly. They get a store from
+ * createStorage(env), chosen by the STORAGE_BACKEND env var:
+ *
+ * - "apps-script" (default): Google Sheet via the Apps Script web app.
+ *   The Apps Script also sends confirmation, welcome and owner emails.
+ * - "kv": Cloudflare KV namespace bound as SUBSCRIBERS
+ * - "d1": Cloudflare D1 database bound as DB (see migrations/)
+ * - "memory": Per-isolate Map, for tests and local development
+ *
+ * Every store has the same shape and returns the same results:
+ *
+ *   subscribe(email, { firstName, source, attribution, confirmUrl, idempotencyKey })
+ *     → { success, duplicate?, resubscribed?, pending? }
+ *   confirm(email)      → { success, alreadyConfirmed? }
+ *   unsubscribe(email)  → { success, message? }
+ *   lookup(email)       → { success, subscriber }
+ *   list({ cursor, limit }) → { success, subscribers, cursor }
+ *   update(email, { first_name, topics, frequency, pause_days })
+ *     → { success, subscriber }
+ *   remove(email)       → { success }  (hard delete)
+ *   exportData(email)   → { success, subscriber, data }  (data = everything stored)
+ *   erase(email)        → { success, erased }  (delete + hashed tombstone, even
+ *                         for unknown addresses; erased says whether a record existed)
+ *   isErased(email)     → { success, erased }  (is there a tombstone?)
+ *   importSubscribers([{ email, first_name }], { source })
+ *     → { success, results: [{ email, status: "added" | "skipped", reason? }] }
+ *                         (one result per subscriber, in order; adds them as
+ *                         subscribed without sending any email, and skips
+ *                         existing and erased addresses - see src/import.js)
+ *   stats()             → { success, stats: { total, subscribed, pending,
+ *                           unsubscribed, paused, by_source, by_utm_source } }
+ *                         (by_* map each source to { total, subscribed,
+ *                         pending, unsubscribed }; the Apps Script also
+ *                         reports bounce-suppressed subscribers under
+ *                         suppressed, here and in each by_* group)
+ *
+ * Failures are { success: false, error } with error set to EMAIL_NOT_FOUND
+ * or NO_PENDING_SIGNUP where those apply, on every backend. Failures caused
+ * by the backend being unreachable also set `retryable: true` so handlers
+ * can hand them to the retry queue (src/retry-queue.js).
+ *
+ * Subscribers look like:
+ *   { email, first_name, timestamp, source,
+ *     status: "subscribed" | "unsubscribed" | "pending",
+ *     pending_since, topics, frequency, paused_until,
+ *     utm_source, utm_medium, utm_campaign, utm_term, utm_content, referrer }
+ *
+ * `source` and the attribution fields (src/attribution.js) are set when
+ * someone first signs up and kept as they are on resubscribes.
+ *
+ * `idempotencyKey` identifies one signup however many times it's sent (see
+ * src/idempotency.js). The Apps Script handles each key only once; the other
+ * backends are safe to repeat anyway since they write a single record per
+ * email without sending anything.
+ *
+ * `sendsEmail` tells handlers whether the backend delivers confirmation
+ * emails. Only then do they pass a confirmUrl; without one, signups are
+ * subscribed straight away (single opt-in), exactly like the Apps Script
+ * does when it gets no confirm_url.
+ */
+
+import { log } from "../logging.js";
+import { createAppsScriptStore } from "./apps-script.js";
+import { createD1Store } from "./d1.js";
+import { createKVStore } from "./kv.js";
+import { createMemoryStore } from "./memory.js";
+
+export { EMAIL_NOT_FOUND, NO_PENDING_SIGNUP } from "./records.js";
+export { createMemoryStore };
+
+// Shared by every request in this isolate when STORAGE_BACKEND = "memory"
+let sharedMemoryStore;
+
+/**
+ * Create the store selected by env.STORAGE_BACKEND
+ * @param {object} [options]
+ * @param {string} [options.requestId] - Passed on to the Apps Script so its
+ *   logs can be matched to the Worker request
+ * @returns {object|null} - The store, or null (after logging why) when the
+ *   backend's binding or URL is missing
+ */
+export function createStorage(env, { requestId } = {}) {
+  const backend = (env.STORAGE_BACKEND || "apps-script").toLowerCase();
+
+  switch (backend) {
+    case "apps-script":
+      if (!env.GOOGLE_APPS_SCRIPT_URL) {
+        log("error", "not_configured", {
+          missing: "GOOGLE_APPS_SCRIPT_URL",
+          request_id: requestId,
+        });
+        return null;
+      }
+      return createAppsScriptStore(env.GOOGLE_APPS_SCRIPT_URL, {
+        requestId,
+        secret: env.APPS_SCRIPT_SECRET,
+      });
+
+    case "kv":
+      if (!env.SUBSCRIBERS) {
+        log("error", "not_configured", {
+          missing: "SUBSCRIBERS",
+          request_id: requestId,
+        });
+        return null;
+      }
+      return createKVStore(env.SUBSCRIBERS, recordOptions(env));
+
+    case "d1":
+      if (!env.DB) {
+        log("error", "not_configured", {
+          missing: "DB",
+          request_id: requestId,
+        });
+        return null;
+      }
+      return createD1Store(env.DB, recordOptions(env));
+
+    case "memory":
+      sharedMemoryStore =
+        sharedMemoryStore || createMemoryStore(new Map(), recordOptions(env));
+      return sharedMemoryStore;
+
+    default:
+      log("error", "not_configured", {
+        error: `Unknown STORAGE_BACKEND: ${backend}`,
+        request_id: requestId,
+      });
+      return null;
+  }
+}
+
+/**
+ * Options for the Worker-side backends (see createRecordStore())
+ */
+function recordOptions(env) {
+  return {
+    pendingTtlHours: parseInt(env.CONFIRM_TTL_HOURS, 10) || undefined,
+  };
+}
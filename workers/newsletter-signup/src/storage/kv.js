@@ -0,0 +1,64 @@
+/**
+ * Cloudflare KV storage backend (STORAGE_BACKEND = "kv")
+ * Each subscriber is one JSON value under "subscriber:<email>"; erased
+ * addresses leave a "tombstone:<sha256>" key holding the erasure time.
+ *
+ * KV is eventually consistent: a write can take up to a minute to show up
+ * in other locations, which is fine for signups but means list() may lag.
+ */
+
+import { createRecordStore } from "./records.js";
+
+const KEY_PREFIX = "subscriber:";
+const TOMBSTONE_PREFIX = "tombstone:";
+
+/**
+ * Create a store backed by a KV namespace binding
+ * @param {object} [options] - { pendingTtlHours }, see createRecordStore()
+ */
+export function createKVStore(namespace, options = {}) {
+  return createRecordStore({
+    ...options,
+
+    async get(email) {
+      return namespace.get(KEY_PREFIX + email, "json");
+    },
+
+    async put(subscriber) {
+      await namespace.put(
+        KEY_PREFIX + subscriber.email,
+        JSON.stringify(subscriber),
+      );
+    },
+
+    async remove(email) {
+      await namespace.delete(KEY_PREFIX + email);
+    },
+
+    async addTombstone(hash, erasedAt) {
+      await namespace.put(TOMBSTONE_PREFIX + hash, erasedAt);
+    },
+
+    async hasTombstone(hash) {
+      return (await namespace.get(TOMBSTONE_PREFIX + hash)) !== null;
+    },
+
+    // KV lists keys in lexicographic order, so pages come back sorted by email
+    async list({ cursor, limit }) {
+      const page = await namespace.list({
+        prefix: KEY_PREFIX,
+        limit,
+        cursor: cursor || undefined,
+      });
+
+      const subscribers = await Promise.all(
+        page.keys.map((key) => namespace.get(key.name, "json")),
+      );
+
+      return {
+        subscribers: subscribers.filter(Boolean),
+        cursor: page.list_complete ? null : page.cursor,
+      };
+    },
+  });
+}
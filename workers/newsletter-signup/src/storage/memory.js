@@ -0,0 +1,54 @@
+/**
+ * In-memory storage backend
+ * Data lives in a Map for the lifetime of the isolate, so this is only for
+ * tests and local development (STORAGE_BACKEND = "memory").
+ */
+
+import { createRecordStore } from "./records.js";
+
+/**
+ * Create an empty in-memory store
+ * @param {Map} [records] - Optional Map of email → subscriber to start from
+ * @param {object} [options] - { pendingTtlHours }, see createRecordStore()
+ */
+export function createMemoryStore(records = new Map(), options = {}) {
+  const tombstones = new Map();
+
+  return createRecordStore({
+    ...options,
+
+    async get(email) {
+      const subscriber = records.get(email);
+      return subscriber ? { ...subscriber } : null;
+    },
+
+    async put(subscriber) {
+      records.set(subscriber.email, { ...subscriber });
+    },
+
+    async remove(email) {
+      records.delete(email);
+    },
+
+    async addTombstone(hash, erasedAt) {
+      tombstones.set(hash, erasedAt);
+    },
+
+    async hasTombstone(hash) {
+      return tombstones.has(hash);
+    },
+
+    // Ordered by email; the cursor is the last email of the previous page
+    async list({ cursor, limit }) {
+      const emails = [...records.keys()]
+        .sort()
+        .filter((email) => !cursor || email > cursor);
+      const page = emails.slice(0, limit);
+
+      return {
+        subscribers: page.map((email) => ({ ...records.get(email) })),
+        cursor: emails.length > limit ? page[page.length - 1] : null,
+      };
+    },
+  });
+}
@@ -0,0 +1,490 @@
+/**
+ * Subscriber logic shared by the Worker-side backends (KV, D1, memory)
+ *
+ * Mirrors handleSignup / handleConfirm / handleUnsubscribe / handleUpdate in
+ * google-apps-script.js so every backend answers the same way. Backends only
+ * supply these primitives:
+ *
+ *   get(email)                      → subscriber or null
+ *   put(subscriber)                 → void
+ *   remove(email)                   → void
+ *   list({ cursor, limit })         → { subscribers, cursor }
+ *   addTombstone(hash, erasedAt)    → void
+ *   hasTombstone(hash)              → boolean
+ *
+ * Signups left unconfirmed for longer than pendingTtlHours expire the way
+ * purgeExpiredPendingSignups() expires them on the sheet - new ones are
+ * deleted, resubscribes stay unsubscribed - but here it happens when the
+ * record is next read rather than on a timer.
+ */
+
+import { pickAttribution } from "../attribution.js";
+import { DEFAULT_IMPORT_SOURCE } from "../import.js";
+import { normalizeFrequency, normalizeTopics } from "../preferences.js";
+
+export const EMAIL_NOT_FOUND = "Email not found";
+export const NO_PENDING_SIGNUP = "No pending signup";
+
+// Matches CONFIRM_TTL_HOURS' default in src/index.js
+const DEFAULT_PENDING_TTL_HOURS = 48;
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+// Why importSubscribers() left an existing address alone
+const IMPORT_SKIP_REASONS = {
+  subscribed: "already subscribed",
+  pending: "pending confirmation",
+  unsubscribed: "unsubscribed",
+};
+
+/**
+ * Build a store from get/put/list primitives
+ * `pendingTtlHours` (CONFIRM_TTL_HOURS) is how long a signup waits for
+ * confirmation before it expires.
+ */
+export function createRecordStore({
+  get,
+  put,
+  remove,
+  list,
+  addTombstone,
+  hasTombstone,
+  pendingTtlHours = DEFAULT_PENDING_TTL_HOURS,
+}) {
+  const pendingCutoff = () => Date.now() - pendingTtlHours * 60 * 60 * 1000;
+
+  // The stored record, after expiring its signup if it went unconfirmed too long
+  async function getCurrent(email) {
+    const existing = await get(email);
+    if (!existing || !isExpiredPending(existing, pendingCutoff())) {
+      return existing;
+    }
+
+    if (existing.status === "pending") {
+      await remove(email);
+      return null;
+    }
+    const lapsed = { ...existing, pending_since: "" };
+    await put(lapsed);
+    return lapsed;
+  }
+
+  return {
+    sendsEmail: false,
+
+    async subscribe(
+      email,
+      { firstName = "", source, attribution, confirmUrl } = {},
+    ) {
+      try {
+        const needsConfirmation = !!confirmUrl;
+        const now = new Date().toISOString();
+        const existing = await getCurrent(email);
+
+        if (existing) {
+          // Still waiting on confirmation - restart the clock for the new link
+          if (existing.status === "pending") {
+            if (needsConfirmation) {
+              await put({ ...existing, pending_since: now });
+            }
+            return {
+              success: true,
+              message: "Confirmation resent",
+              pending: true,
+            };
+          }
+
+          // Resubscribes stay unsubscribed until confirmed
+          if (existing.status === "unsubscribed") {
+            if (needsConfirmation) {
+              await put({ ...existing, pending_since: now });
+              return {
+                success: true,
+                message: "Resubscribe pending confirmation",
+                resubscribed: true,
+                pending: true,
+              };
+            }
+
+            await put({ ...existing, status: "subscribed", pending_since: "" });
+            return {
+              success: true,
+              message: "Resubscribed",
+              resubscribed: true,
+            };
+          }
+
+          return {
+            success: true,
+            message: "Already subscribed",
+            duplicate: true,
+          };
+        }
+
+        await put({
+          email,
+          first_name: firstName,
+          timestamp: now,
+          source: source || "unknown",
+          status: needsConfirmation ? "pending" : "subscribed",
+          pending_since: needsConfirmation ? now : "",
+          topics: [],
+          frequency: "all",
+          paused_until: "",
+          ...pickAttribution(attribution),
+        });
+
+        return needsConfirmation
+          ? { success: true, pending: true }
+          : { success: true };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async confirm(email) {
+      try {
+        const existing = await getCurrent(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+
+        if (existing.status === "subscribed") {
+          if (existing.pending_since) {
+            await put({ ...existing, pending_since: "" });
+          }
+          return {
+            success: true,
+            message: "Already confirmed",
+            alreadyConfirmed: true,
+          };
+        }
+
+        // Unsubscribed rows can only be confirmed while a resubscribe is pending
+        if (existing.status !== "pending" && !existing.pending_since) {
+          return { success: false, error: NO_PENDING_SIGNUP };
+        }
+
+        await put({ ...existing, status: "subscribed", pending_since: "" });
+        return { success: true, message: "Confirmed" };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async unsubscribe(email) {
+      try {
+        const existing = await getCurrent(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+
+        const alreadyUnsubscribed = existing.status === "unsubscribed";
+        await put({ ...existing, status: "unsubscribed", pending_since: "" });
+
+        return {
+          success: true,
+          message: alreadyUnsubscribed
+            ? "Already unsubscribed"
+            : "Unsubscribed successfully",
+        };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async lookup(email) {
+      try {
+        const existing = await getCurrent(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+        return { success: true, subscriber: existing };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async list({ cursor, limit } = {}) {
+      try {
+        const page = await list({
+          cursor: cursor || null,
+          limit: clampListLimit(limit),
+        });
+        return {
+          success: true,
+          subscribers: withoutExpiredPending(page.subscribers, pendingCutoff()),
+          cursor: page.cursor || null,
+        };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async remove(email) {
+      try {
+        const existing = await get(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+
+        await remove(email);
+        return { success: true, message: "Deleted" };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async exportData(email) {
+      try {
+        const existing = await getCurrent(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+        // The record is everything these backends store about someone
+        return { success: true, subscriber: existing, data: existing };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async erase(email) {
+      try {
+        const existing = await get(email);
+        if (existing) {
+          await remove(email);
+        }
+        // Tombstone even unknown addresses so they can't be imported later
+        await addTombstone(await emailHash(email), new Date().toISOString());
+        return { success: true, erased: !!existing };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async isErased(email) {
+      try {
+        return {
+          success: true,
+          erased: await hasTombstone(await emailHash(email)),
+        };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async importSubscribers(subscribers, { source } = {}) {
+      try {
+        const now = new Date().toISOString();
+        const results = [];
+
+        for (const { email, first_name: firstName = "" } of subscribers) {
+          const existing = await getCurrent(email);
+          if (existing) {
+            results.push({
+              email,
+              status: "skipped",
+              reason: IMPORT_SKIP_REASONS[existing.status] || existing.status,
+            });
+            continue;
+          }
+
+          if (await hasTombstone(await emailHash(email))) {
+            results.push({ email, status: "skipped", reason: "erased" });
+            continue;
+          }
+
+          // Imported lists were collected elsewhere, so no confirmation or welcome email
+          await put({
+            email,
+            first_name: firstName,
+            timestamp: now,
+            source: source || DEFAULT_IMPORT_SOURCE,
+            status: "subscribed",
+            pending_since: "",
+            topics: [],
+            frequency: "all",
+            paused_until: "",
+            ...pickAttribution(),
+          });
+          results.push({ email, status: "added" });
+        }
+
+        return { success: true, results };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async stats() {
+      try {
+        const counts = emptyStats();
+        let cursor = null;
+        do {
+          const page = await list({ cursor, limit: MAX_LIST_LIMIT });
+          withoutExpiredPending(page.subscribers, pendingCutoff()).forEach(
+            (subscriber) => countSubscriber(counts, subscriber),
+          );
+          cursor = page.cursor;
+        } while (cursor);
+
+        return { success: true, stats: counts };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+
+    async update(email, changes = {}) {
+      try {
+        const existing = await getCurrent(email);
+        if (!existing) {
+          return { success: false, error: EMAIL_NOT_FOUND };
+        }
+
+        const subscriber = applySubscriberChanges(existing, changes);
+        await put(subscriber);
+        return { success: true, subscriber };
+      } catch (error) {
+        return { success: false, error: error.message, retryable: true };
+      }
+    },
+  };
+}
+
+/**
+ * Whether a subscriber's signup or resubscribe has waited for confirmation
+ * since before `cutoff` (milliseconds)
+ */
+function isExpiredPending(subscriber, cutoff) {
+  return (
+    subscriber.status !== "subscribed" &&
+    !!subscriber.pending_since &&
+    Date.parse(subscriber.pending_since) < cutoff
+  );
+}
+
+/**
+ * A page of subscribers as getCurrent() would return them: expired signups
+ * left out, expired resubscribes back to plain unsubscribed. Nothing is
+ * written - each record expires for good when it's next read on its own.
+ */
+function withoutExpiredPending(subscribers, cutoff) {
+  return subscribers
+    .filter(
+      (subscriber) =>
+        !(
+          subscriber.status === "pending" &&
+          isExpiredPending(subscriber, cutoff)
+        ),
+    )
+    .map((subscriber) =>
+      isExpiredPending(subscriber, cutoff)
+        ? { ...subscriber, pending_since: "" }
+        : subscriber,
+    );
+}
+
+/**
+ * Apply preference center changes to a subscriber
+ * Only fields present in `changes` are touched. pause_days: 0 resumes,
+ * > 0 pauses from today, missing keeps the current pause.
+ */
+export function applySubscriberChanges(subscriber, changes) {
+  const updated = { ...subscriber };
+
+  if (changes.first_name !== undefined) {
+    updated.first_name = (changes.first_name || "").trim();
+  }
+  if (changes.topics !== undefined) {
+    updated.topics = normalizeTopics(changes.topics);
+  }
+  if (changes.frequency !== undefined) {
+    updated.frequency = normalizeFrequency(changes.frequency);
+  }
+  if (changes.pause_days === 0) {
+    updated.paused_until = "";
+  } else if (changes.pause_days > 0) {
+    const until = new Date(
+      Date.now() + changes.pause_days * 24 * 60 * 60 * 1000,
+    );
+    updated.paused_until = until.toISOString().slice(0, 10);
+  }
+
+  return updated;
+}
+
+/**
+ * Tombstone key for an erased address: full SHA-256 hex of the normalized email
+ * Matches emailHash() in google-apps-script.js, so tombstones are comparable
+ * across backends without keeping the address itself.
+ */
+export async function emailHash(email) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(email.toLowerCase().trim()),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Zeroed counters in the shape returned by stats() on every backend
+ */
+export function emptyStats() {
+  return {
+    total: 0,
+    subscribed: 0,
+    pending: 0,
+    unsubscribed: 0,
+    paused: 0,
+    by_source: {},
+    by_utm_source: {},
+  };
+}
+
+/**
+ * Add one subscriber to a stats() tally
+ * Paused counts subscribers whose pause hasn't ended yet (they're also in subscribed).
+ * Signups without a utm_source are grouped under "(none)".
+ */
+export function countSubscriber(counts, subscriber) {
+  counts.total++;
+  counts[subscriber.status] = (counts[subscriber.status] || 0) + 1;
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (subscriber.status === "subscribed" && subscriber.paused_until >= today) {
+    counts.paused++;
+  }
+
+  countByKey(counts.by_source, subscriber.source || "unknown", subscriber);
+  countByKey(
+    counts.by_utm_source,
+    subscriber.utm_source || "(none)",
+    subscriber,
+  );
+}
+
+function countByKey(groups, key, subscriber) {
+  const group = groups[key] || {
+    total: 0,
+    subscribed: 0,
+    pending: 0,
+    unsubscribed: 0,
+  };
+  group.total++;
+  group[subscriber.status] = (group[subscriber.status] || 0) + 1;
+  groups[key] = group;
+}
+
+/**
+ * Keep list page sizes within sensible bounds
+ */
+export function clampListLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_LIST_LIMIT;
+  }
+  return Math.min(parsed, MAX_LIST_LIMIT);
+}
@@ -0,0 +1,199 @@
+/**
+ * Signed link tokens (unsubscribe, preferences and confirmation links)
+ * plus the small crypto helpers shared by the rest of the Worker
+ */
+
+// Versioned tokens look like "v1.<kid>.<iat>.<sig>" where kid identifies the
+// signing key, iat is the issue time in Unix seconds, and sig is a truncated
+// HMAC-SHA256 over "<purpose>:<kid>:<iat>:<email>". Legacy unsubscribe tokens
+// are a bare 32-character HMAC of the email signed with UNSUBSCRIBE_SECRET.
+const TOKEN_VERSION = "v1";
+
+/**
+ * Compute a truncated HMAC-SHA256 hex digest
+ * @param {string} message - The data to sign
+ * @param {string} secret - The secret key
+ * @returns {Promise<string>} - First 32 hex characters of the signature
+ */
+async function hmacHex(message, secret) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(message);
+  const keyData = encoder.encode(secret);
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyData,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+
+  const signature = await crypto.subtle.sign("HMAC", key, data);
+  const hashArray = Array.from(new Uint8Array(signature));
+  const hashHex = hashArray
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+  // Return first 32 characters for a shorter URL
+  return hashHex.substring(0, 32);
+}
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ */
+export function timingSafeEqual(a, b) {
+  // Token lengths are fixed, so an early return on length leaks nothing useful
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Get the active signing keys, newest first
+ * @returns {Array<{kid: string, secret: string}>}
+ */
+export function getTokenKeys(env) {
+  const keys = (env.UNSUBSCRIBE_SECRETS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return {
+        kid: entry.substring(0, separator).trim(),
+        secret: entry.substring(separator + 1).trim(),
+      };
+    })
+    .filter((key) => key.kid && key.secret);
+
+  if (keys.length > 0) {
+    return keys;
+  }
+
+  // Single-secret setup: the original secret acts as key "1"
+  return env.UNSUBSCRIBE_SECRET
+    ? [{ kid: "1", secret: env.UNSUBSCRIBE_SECRET }]
+    : [];
+}
+
+/**
+ * Sign a versioned token with the current (first) key
+ * @param {string} purpose - What the token authorizes ("unsubscribe", "confirm")
+ * @param {string} email - The subscriber's email
+ * @returns {Promise<string>} - Token in "v1.<kid>.<iat>.<sig>" form
+ */
+async function signToken(purpose, email, env) {
+  const [key] = getTokenKeys(env);
+  const issuedAt = Math.floor(Date.now() / 1000).toString();
+  const signature = await hmacHex(
+    `${purpose}:${key.kid}:${issuedAt}:${email.toLowerCase().trim()}`,
+    key.secret,
+  );
+  return [TOKEN_VERSION, key.kid, issuedAt, signature].join(".");
+}
+
+/**
+ * Verify a versioned token against the key ring
+ * @param {string} purpose - What the token must authorize
+ * @param {string} email - The subscriber's email
+ * @param {string} token - The token from the URL
+ * @param {number} [maxAgeSeconds] - Reject tokens older than this (optional)
+ * @returns {Promise<{valid: boolean, expired: boolean}>}
+ */
+export async function verifyToken(purpose, email, token, env, maxAgeSeconds) {
+  const invalid = { valid: false, expired: false };
+  const parts = token.split(".");
+
+  if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+    return invalid;
+  }
+
+  const [, kid, issuedAt, signature] = parts;
+  const key = getTokenKeys(env).find((k) => k.kid === kid);
+
+  // Unknown or retired key
+  if (!key || !/^\d+$/.test(issuedAt)) {
+    return invalid;
+  }
+
+  const expectedSignature = await hmacHex(
+    `${purpose}:${kid}:${issuedAt}:${email.toLowerCase().trim()}`,
+    key.secret,
+  );
+
+  if (!timingSafeEqual(signature, expectedSignature)) {
+    return invalid;
+  }
+
+  // Only report expiry once the signature checks out
+  if (maxAgeSeconds) {
+    const ageSeconds = Date.now() / 1000 - parseInt(issuedAt, 10);
+    if (ageSeconds > maxAgeSeconds) {
+      return { valid: false, expired: true };
+    }
+  }
+
+  return { valid: true, expired: false };
+}
+
+/**
+ * Verify an unsubscribe token
+ * Accepts versioned tokens from any active key, plus legacy un-versioned tokens
+ * for as long as UNSUBSCRIBE_SECRET is still configured.
+ * @param {string} email - The subscriber's email
+ * @param {string} token - The token from the URL
+ * @returns {Promise<{valid: boolean, expired: boolean}>}
+ */
+export async function verifyUnsubscribeToken(email, token, env) {
+  if (token.startsWith(`${TOKEN_VERSION}.`)) {
+    const maxAgeDays = parseInt(env.UNSUBSCRIBE_TOKEN_MAX_AGE_DAYS, 10);
+    return verifyToken(
+      "unsubscribe",
+      email,
+      token,
+      env,
+      maxAgeDays > 0 ? maxAgeDays * 24 * 60 * 60 : undefined,
+    );
+  }
+
+  if (!env.UNSUBSCRIBE_SECRET) {
+    return { valid: false, expired: false };
+  }
+
+  const expectedToken = await hmacHex(
+    email.toLowerCase().trim(),
+    env.UNSUBSCRIBE_SECRET,
+  );
+  return { valid: timingSafeEqual(token, expectedToken), expired: false };
+}
+
+/**
+ * Build a signed confirmation URL for a new signup
+ * @param {string} origin - The worker's origin (e.g. https://newsletter.thecookieisle.com)
+ * @param {string} email - The normalized subscriber email
+ * @returns {Promise<string>} - Full /confirm URL
+ */
+export async function generateConfirmUrl(origin, email, env) {
+  const token = await signToken("confirm", email, env);
+  return `${origin}/confirm?email=${encodeURIComponent(email)}&token=${token}`;
+}
+
+/**
+ * SHA-256 hex digest (first 32 characters)
+ */
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(value),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("")
+    .substring(0, 32);
+}
@@ -0,0 +1,122 @@
+/**
+ * Email address rules shared with the signup forms (src/email.js, which
+ * re-exports assets/js/email-validation.js)
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  emailValidationOptions,
+  isValidEmail,
+  normalizeEmail,
+  validateEmail,
+} from "../src/email.js";
+
+describe("normalizeEmail", () => {
+  it("trims and lowercases", () => {
+    assert.equal(normalizeEmail("  Ana@Example.COM "), "ana@example.com");
+  });
+
+  it("punycodes international domains", () => {
+    assert.equal(normalizeEmail("jane@bücher.de"), "jane@xn--bcher-kva.de");
+  });
+
+  it("is empty for anything that isn't a string", () => {
+    assert.equal(normalizeEmail(undefined), "");
+    assert.equal(normalizeEmail(42), "");
+  });
+});
+
+describe("isValidEmail", () => {
+  it("accepts well-formed addresses", () => {
+    for (const email of [
+      "ana@example.com",
+      "ana.b+cookies@mail.example.co.uk",
+      "100%real@example.com",
+      "jane@bücher.de",
+    ]) {
+      assert.equal(isValidEmail(email), true, email);
+    }
+  });
+
+  it("refuses malformed ones", () => {
+    for (const email of [
+      "",
+      "ana",
+      "@example.com",
+      "ana@",
+      "ana@example",
+      "ana@example.c",
+      "ana @example.com",
+      ".ana@example.com",
+      "an..a@example.com",
+      "ana@-example.com",
+      "ana@example..com",
+      `${"a".repeat(65)}@example.com`,
+      `ana@${"a".repeat(250)}.com`,
+    ]) {
+      assert.equal(isValidEmail(email), false, email);
+    }
+  });
+});
+
+describe("validateEmail", () => {
+  it("returns the normalized address", () => {
+    assert.deepEqual(validateEmail(" Ana@Example.com "), {
+      valid: true,
+      email: "ana@example.com",
+    });
+  });
+
+  it("refuses malformed addresses with a message", () => {
+    const result = validateEmail("ana@example");
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, "invalid");
+    assert.ok(result.error);
+  });
+
+  it("refuses disposable domains and their subdomains", () => {
+    for (const email of ["x@mailinator.com", "x@inbox.Mailinator.com"]) {
+      assert.equal(validateEmail(email).reason, "disposable", email);
+    }
+    assert.equal(validateEmail("x@notmailinator.com").valid, true);
+  });
+
+  it("refuses role addresses only when asked to", () => {
+    assert.equal(validateEmail("info@example.com").valid, true);
+
+    const options = { blockRoleAddresses: true };
+    for (const email of ["info@example.com", "Support+web@example.com"]) {
+      assert.equal(validateEmail(email, options).reason, "role", email);
+    }
+    assert.equal(validateEmail("ana@example.com", options).valid, true);
+  });
+
+  it("suggests fixes for likely typos without refusing them", () => {
+    for (const [email, suggestion] of [
+      ["ana@gmial.com", "ana@gmail.com"],
+      ["ana@hotmial.com", "ana@hotmail.com"],
+      ["ana@example.con", "ana@example.com"],
+    ]) {
+      assert.deepEqual(validateEmail(email), {
+        valid: true,
+        email,
+        suggestion,
+      });
+    }
+    assert.equal(validateEmail("ana@gmail.com").suggestion, undefined);
+    assert.equal(validateEmail("ana@me.org").suggestion, undefined);
+  });
+});
+
+describe("emailValidationOptions", () => {
+  it("blocks role addresses only with BLOCK_ROLE_ADDRESSES=true", () => {
+    assert.deepEqual(emailValidationOptions({ BLOCK_ROLE_ADDRESSES: "true" }), {
+      blockRoleAddresses: true,
+    });
+    assert.deepEqual(emailValidationOptions({}), {
+      blockRoleAddresses: false,
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Idempotency-Key replays and challenge token claims (src/idempotency.js)
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  claimChallengeToken,
+  idempotencyKeyOf,
+  withIdempotency,
+} from "../src/idempotency.js";
+
+/**
+ * Just enough of a KV namespace for these tests
+ */
+function createFakeKv() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      if (!entries.has(key)) {
+        return null;
+      }
+      return type === "json" ? JSON.parse(entries.get(key)) : entries.get(key);
+    },
+    async put(key, value) {
+      entries.set(key, value);
+    },
+  };
+}
+
+let nextKey = 1;
+
+function uniqueKey() {
+  return `test-key-${Date.now()}-${nextKey++}`;
+}
+
+function keyedRequest(key, path = "/") {
+  return new Request(`https://newsletter.example.com${path}`, {
+    method: "POST",
+    headers: key ? { "Idempotency-Key": key } : {},
+  });
+}
+
+/**
+ * A handler that counts its runs and answers with the given status
+ */
+function countingHandler(status = 200) {
+  const handler = async () => {
+    handler.runs++;
+    return Response.json({ run: handler.runs }, { status });
+  };
+  handler.runs = 0;
+  return handler;
+}
+
+describe("idempotencyKeyOf", () => {
+  it("reads well-formed keys and ignores the rest", () => {
+    assert.equal(
+      idempotencyKeyOf(keyedRequest("3f2b9c1e-8d7a-4b6c-9e5f-1a2b3c4d5e6f")),
+      "3f2b9c1e-8d7a-4b6c-9e5f-1a2b3c4d5e6f",
+    );
+    for (const key of ["", "short", "has spaces in it", "x".repeat(129)]) {
+      assert.equal(idempotencyKeyOf(keyedRequest(key)), "", key);
+    }
+  });
+});
+
+describe("withIdempotency", () => {
+  for (const [label, makeEnv] of [
+    ["in KV", () => ({ IDEMPOTENCY: createFakeKv() })],
+    ["in memory", () => ({})],
+  ]) {
+    it(`replays the first response for a key (${label})`, async () => {
+      const env = makeEnv();
+      const key = uniqueKey();
+      const handler = countingHandler(200);
+
+      const first = await withIdempotency(keyedRequest(key), env, handler);
+      const repeat = await withIdempotency(keyedRequest(key), env, handler);
+
+      assert.equal(handler.runs, 1);
+      assert.equal(first.headers.get("Idempotent-Replayed"), null);
+      assert.equal(repeat.status, 200);
+      assert.equal(repeat.headers.get("Idempotent-Replayed"), "true");
+      assert.deepEqual(await repeat.json(), { run: 1 });
+    });
+  }
+
+  it("replays client errors too", async () => {
+    const env = { IDEMPOTENCY: createFakeKv() };
+    const key = uniqueKey();
+    const handler = countingHandler(400);
+
+    await withIdempotency(keyedRequest(key), env, handler);
+    const repeat = await withIdempotency(keyedRequest(key), env, handler);
+
+    assert.equal(handler.runs, 1);
+    assert.equal(repeat.status, 400);
+  });
+
+  for (const status of [401, 429, 500, 503]) {
+    it(`runs again after a ${status}`, async () => {
+      const env = { IDEMPOTENCY: createFakeKv() };
+      const key = uniqueKey();
+      const handler = countingHandler(status);
+
+      await withIdempotency(keyedRequest(key), env, handler);
+      await withIdempotency(keyedRequest(key), env, handler);
+
+      assert.equal(handler.runs, 2);
+      assert.equal(env.IDEMPOTENCY.entries.size, 0);
+    });
+  }
+
+  it("always runs requests without a usable key", async () => {
+    const env = { IDEMPOTENCY: createFakeKv() };
+    const handler = countingHandler();
+
+    for (const key of ["", "bad key!"]) {
+      await withIdempotency(keyedRequest(key), env, handler);
+      await withIdempotency(keyedRequest(key), env, handler);
+    }
+
+    assert.equal(handler.runs, 4);
+  });
+
+  it("keeps each path's keys apart", async () => {
+    const env = { IDEMPOTENCY: createFakeKv() };
+    const key = uniqueKey();
+    const handler = countingHandler();
+
+    await withIdempotency(keyedRequest(key, "/"), env, handler);
+    await withIdempotency(keyedRequest(key, "/other"), env, handler);
+
+    assert.equal(handler.runs, 2);
+  });
+
+  it("still answers when the store fails", async () => {
+    const env = {
+      IDEMPOTENCY: {
+        async get() {
+          throw new Error("KV unavailable");
+        },
+        async put() {
+          throw new Error("KV unavailable");
+        },
+      },
+    };
+    const handler = countingHandler();
+
+    const response = await withIdempotency(
+      keyedRequest(uniqueKey()),
+      env,
+      handler,
+    );
+    assert.equal(response.status, 200);
+    assert.equal(handler.runs, 1);
+  });
+});
+
+describe("claimChallengeToken", () => {
+  it("ties a token to the first signup that claims it", async () => {
+    const env = { IDEMPOTENCY: createFakeKv() };
+
+    assert.equal(await claimChallengeToken(env, "token", "key-a"), true);
+    assert.equal(await claimChallengeToken(env, "token", "key-a"), true);
+    assert.equal(await claimChallengeToken(env, "token", "key-b"), false);
+    assert.equal(await claimChallengeToken(env, "token", ""), false);
+  });
+
+  it("lets nobody reuse a token claimed without a key", async () => {
+    const env = { IDEMPOTENCY: createFakeKv() };
+
+    assert.equal(await claimChallengeToken(env, "token", ""), true);
+    assert.equal(await claimChallengeToken(env, "token", ""), false);
+    assert.equal(await claimChallengeToken(env, "token", "key-a"), false);
+  });
+
+  it("claims nothing without the IDEMPOTENCY namespace", async () => {
+    assert.equal(await claimChallengeToken({}, "token", "key-a"), false);
+  });
+});
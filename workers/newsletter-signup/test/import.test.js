@@ -0,0 +1,157 @@
+/**
+ * Subscriber CSV parsing and import reports (src/import.js)
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_IMPORT_ROWS,
+  buildImportReport,
+  parseCsv,
+  prepareImport,
+} from "../src/import.js";
+
+describe("parseCsv", () => {
+  it("splits records and fields", () => {
+    assert.deepEqual(parseCsv("email,name\na@example.com,Ana\n"), [
+      ["email", "name"],
+      ["a@example.com", "Ana"],
+    ]);
+  });
+
+  it("handles CRLF, a missing final newline and blank lines", () => {
+    assert.deepEqual(
+      parseCsv("email\r\n\r\na@example.com\r\n  \nb@example.com"),
+      [["email"], ["a@example.com"], ["b@example.com"]],
+    );
+  });
+
+  it('reads quoted fields with commas, newlines and "" escapes', () => {
+    assert.deepEqual(
+      parseCsv('email,note\na@example.com,"Hi, ""Ana""\nfrom the market"\n'),
+      [
+        ["email", "note"],
+        ["a@example.com", 'Hi, "Ana"\nfrom the market'],
+      ],
+    );
+  });
+
+  it("drops Excel's byte order mark", () => {
+    assert.deepEqual(parseCsv("\uFEFFemail\na@example.com"), [
+      ["email"],
+      ["a@example.com"],
+    ]);
+  });
+
+  it("keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a,,c\n,,\n"), [["a", "", "c"]]);
+  });
+});
+
+describe("prepareImport", () => {
+  it("finds the email and first name columns whatever they're called", () => {
+    const { rows, report } = prepareImport(
+      "Signed Up,First Name,E-mail Address\n2026-05-01,Ana,Ana@Example.com\n",
+    );
+
+    assert.deepEqual(rows, [
+      { row: 2, email: "ana@example.com", first_name: "Ana" },
+    ]);
+    assert.deepEqual(report, []);
+  });
+
+  it("doesn't need a name column", () => {
+    const { rows } = prepareImport("mail\nana@example.com");
+    assert.deepEqual(rows, [
+      { row: 2, email: "ana@example.com", first_name: "" },
+    ]);
+  });
+
+  it("reports bad rows and repeats by CSV line", () => {
+    const { rows, report } = prepareImport(
+      [
+        "email,first name",
+        "ana@example.com,Ana",
+        "not-an-email,Bo",
+        "temp@mailinator.com,Cy",
+        `dee@example.com,${"D".repeat(51)}`,
+        "ANA@example.com,Ana again",
+        "info@example.com,Shared",
+      ].join("\n"),
+    );
+
+    assert.deepEqual(
+      rows.map((row) => [row.row, row.email]),
+      [
+        [2, "ana@example.com"],
+        [7, "info@example.com"],
+      ],
+    );
+    assert.deepEqual(
+      report.map((entry) => [entry.row, entry.status, entry.reason]),
+      [
+        [3, "invalid", "invalid email"],
+        [4, "invalid", "disposable email domain"],
+        [5, "invalid", "first name longer than 50 characters"],
+        [6, "skipped", "duplicate in file"],
+      ],
+    );
+  });
+
+  it("refuses role addresses when asked to", () => {
+    const { rows, report } = prepareImport("email\ninfo@example.com", {
+      blockRoleAddresses: true,
+    });
+
+    assert.deepEqual(rows, []);
+    assert.deepEqual(report, [
+      {
+        row: 2,
+        email: "info@example.com",
+        status: "invalid",
+        reason: "role address",
+      },
+    ]);
+  });
+
+  it("refuses files it can't use", () => {
+    for (const text of [
+      "",
+      "email\n",
+      "name,phone\nAna,555-0100",
+      "email\n" + "a@example.com\n".repeat(MAX_IMPORT_ROWS + 1),
+    ]) {
+      assert.ok(prepareImport(text).error, text.slice(0, 30));
+    }
+  });
+});
+
+describe("buildImportReport", () => {
+  it("merges storage results into the report in CSV order", () => {
+    const { rows, report } = prepareImport(
+      "email\nnew@example.com\nbad\nold@example.com\nnew@example.com",
+    );
+
+    const result = buildImportReport(
+      rows,
+      [
+        { status: "added" },
+        { status: "skipped", reason: "already subscribed" },
+      ],
+      report,
+    );
+
+    assert.deepEqual(result.summary, { added: 1, skipped: 2, invalid: 1 });
+    assert.deepEqual(
+      result.rows.map((entry) => [entry.row, entry.status]),
+      [
+        [2, "added"],
+        [3, "invalid"],
+        [4, "skipped"],
+        [5, "skipped"],
+      ],
+    );
+    assert.equal(result.rows[2].reason, "already subscribed");
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Signed subscriber links (/unsubscribe, /preferences, /privacy) through the Worker's
+ * fetch handler, on the in-memory backend
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import worker from "../src/index.js";
+import { createStorage } from "../src/storage/index.js";
+
+const SECRET = "test-secret";
+const env = {
+  STORAGE_BACKEND: "memory",
+  UNSUBSCRIBE_SECRETS: `1:${SECRET}`,
+};
+
+/**
+ * A v1 unsubscribe token, signed the way src/tokens.js does
+ */
+function unsubscribeToken(email) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const signature = createHmac("sha256", SECRET)
+    .update(`unsubscribe:1:${issuedAt}:${email}`)
+    .digest("hex")
+    .substring(0, 32);
+  return `v1.1.${issuedAt}.${signature}`;
+}
+
+function linkRequest(path, email, init) {
+  const query = new URLSearchParams({
+    email,
+    token: unsubscribeToken(email),
+  });
+  return new Request(`https://newsletter.example.com${path}?${query}`, init);
+}
+
+async function subscribe(email) {
+  await createStorage(env).subscribe(email);
+}
+
+describe("preference links", () => {
+  it("shows the preference center", async () => {
+    await subscribe("prefs@example.com");
+
+    const response = await worker.fetch(
+      linkRequest("/preferences", "prefs@example.com"),
+      env,
+    );
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /prefs@example\.com/);
+  });
+
+  it("works for addresses with a % in them", async () => {
+    await subscribe("100%real@example.com");
+
+    const page = await worker.fetch(
+      linkRequest("/preferences", "100%real@example.com"),
+      env,
+    );
+    assert.equal(page.status, 200);
+
+    const form = new FormData();
+    form.append("topics", "new-flavors");
+    form.append("frequency", "monthly");
+    const saved = await worker.fetch(
+      linkRequest("/preferences", "100%real@example.com", {
+        method: "POST",
+        body: form,
+      }),
+      env,
+    );
+    assert.equal(saved.status, 200);
+
+    const { subscriber } = await createStorage(env).lookup(
+      "100%real@example.com",
+    );
+    assert.deepEqual(subscriber.topics, ["new-flavors"]);
+    assert.equal(subscriber.frequency, "monthly");
+  });
+
+  it("refuses a link signed for someone else", async () => {
+    await subscribe("owner@example.com");
+    const query = new URLSearchParams({
+      email: "owner@example.com",
+      token: unsubscribeToken("someone-else@example.com"),
+    });
+
+    const response = await worker.fetch(
+      new Request(`https://newsletter.example.com/preferences?${query}`),
+      env,
+    );
+    assert.equal(response.status, 400);
+  });
+
+  it("refuses a link without a token", async () => {
+    const response = await worker.fetch(
+      new Request(
+        "https://newsletter.example.com/preferences?email=prefs%40example.com",
+      ),
+      env,
+    );
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("unsubscribe links", () => {
+  it("work for addresses with a % in them", async () => {
+    await subscribe("50%off@example.com");
+
+    const response = await worker.fetch(
+      linkRequest("/unsubscribe", "50%off@example.com", { method: "POST" }),
+      env,
+    );
+    assert.equal(response.status, 200);
+
+    const { subscriber } =
+      await createStorage(env).lookup("50%off@example.com");
+    assert.equal(subscriber.status, "unsubscribed");
+  });
+});
+
+describe("privacy links", () => {
+  it("export the data for addresses with a % in them", async () => {
+    await subscribe("export%me@example.com");
+
+    const response = await worker.fetch(
+      linkRequest("/privacy/export", "export%me@example.com"),
+      env,
+    );
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.email, "export%me@example.com");
+    assert.equal(body.subscriber.status, "subscribed");
+  });
+
+  it("erase addresses with a % in them", async () => {
+    await subscribe("erase%me@example.com");
+
+    const confirmPage = await worker.fetch(
+      linkRequest("/privacy/erase", "erase%me@example.com"),
+      env,
+    );
+    assert.equal(confirmPage.status, 200);
+
+    const response = await worker.fetch(
+      linkRequest("/privacy/erase", "erase%me@example.com", {
+        method: "POST",
+      }),
+      env,
+    );
+    assert.equal(response.status, 200);
+
+    const storage = createStorage(env);
+    assert.equal((await storage.lookup("erase%me@example.com")).success, false);
+    assert.equal((await storage.isErased("erase%me@example.com")).erased, true);
+  });
+
+  it("404 an export for an address with nothing stored", async () => {
+    const response = await worker.fetch(
+      linkRequest("/privacy/export", "never%here@example.com"),
+      env,
+    );
+    assert.equal(response.status, 404);
+  });
+});
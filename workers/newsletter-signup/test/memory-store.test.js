@@ -0,0 +1,282 @@
+/**
+ * Record store behaviour, exercised through the in-memory backend
+ * The KV and D1 backends share the same logic (src/storage/records.js), so
+ * these cover them too apart from the datastore calls themselves.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createMemoryStore } from "../src/storage/memory.js";
+import { EMAIL_NOT_FOUND, NO_PENDING_SIGNUP } from "../src/storage/records.js";
+
+const CONFIRM_URL = "https://example.com/confirm";
+
+describe("subscribe", () => {
+  it("adds a new subscriber straight away without a confirmUrl", async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(
+      await store.subscribe("ana@example.com", {
+        firstName: "Ana",
+        source: "market-table",
+        attribution: { utm_source: "flyer" },
+      }),
+      { success: true },
+    );
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "subscribed");
+    assert.equal(subscriber.first_name, "Ana");
+    assert.equal(subscriber.source, "market-table");
+    assert.equal(subscriber.utm_source, "flyer");
+    assert.equal(subscriber.pending_since, "");
+  });
+
+  it("holds the signup as pending when a confirmUrl is passed", async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(
+      await store.subscribe("ana@example.com", { confirmUrl: CONFIRM_URL }),
+      { success: true, pending: true },
+    );
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "pending");
+    assert.ok(subscriber.pending_since);
+  });
+
+  it("reports duplicates without touching the record", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com", { source: "web" });
+
+    const result = await store.subscribe("ana@example.com", {
+      source: "flyer",
+    });
+    assert.equal(result.duplicate, true);
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.source, "web");
+  });
+
+  it("resubscribes an unsubscribed address, keeping its source", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com", { source: "web" });
+    await store.unsubscribe("ana@example.com");
+
+    const result = await store.subscribe("ana@example.com", {
+      source: "flyer",
+    });
+    assert.equal(result.resubscribed, true);
+    assert.equal(result.pending, undefined);
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "subscribed");
+    assert.equal(subscriber.source, "web");
+  });
+
+  it("keeps a resubscribe unsubscribed until it's confirmed", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com");
+    await store.unsubscribe("ana@example.com");
+
+    const result = await store.subscribe("ana@example.com", {
+      confirmUrl: CONFIRM_URL,
+    });
+    assert.equal(result.resubscribed, true);
+    assert.equal(result.pending, true);
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "unsubscribed");
+    assert.ok(subscriber.pending_since);
+  });
+});
+
+describe("confirm", () => {
+  it("subscribes a pending signup", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com", { confirmUrl: CONFIRM_URL });
+
+    assert.equal((await store.confirm("ana@example.com")).success, true);
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "subscribed");
+    assert.equal(subscriber.pending_since, "");
+  });
+
+  it("confirms a pending resubscribe", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com");
+    await store.unsubscribe("ana@example.com");
+    await store.subscribe("ana@example.com", { confirmUrl: CONFIRM_URL });
+
+    await store.confirm("ana@example.com");
+
+    const { subscriber } = await store.lookup("ana@example.com");
+    assert.equal(subscriber.status, "subscribed");
+  });
+
+  it("treats a second confirmation as already confirmed", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com", { confirmUrl: CONFIRM_URL });
+    await store.confirm("ana@example.com");
+
+    const result = await store.confirm("ana@example.com");
+    assert.equal(result.success, true);
+    assert.equal(result.alreadyConfirmed, true);
+  });
+
+  it("won't resubscribe someone who unsubscribed without asking", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com");
+    await store.unsubscribe("ana@example.com");
+
+    assert.deepEqual(await store.confirm("ana@example.com"), {
+      success: false,
+      error: NO_PENDING_SIGNUP,
+    });
+  });
+
+  it("fails for unknown addresses", async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(await store.confirm("nobody@example.com"), {
+      success: false,
+      error: EMAIL_NOT_FOUND,
+    });
+  });
+
+  it("fails once an unconfirmed signup has expired", async () => {
+    const records = new Map();
+    const store = createMemoryStore(records, { pendingTtlHours: 1 });
+    await store.subscribe("ana@example.com", { confirmUrl: CONFIRM_URL });
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    records.get("ana@example.com").pending_since = twoHoursAgo.toISOString();
+
+    assert.deepEqual(await store.confirm("ana@example.com"), {
+      success: false,
+      error: EMAIL_NOT_FOUND,
+    });
+    assert.equal(records.has("ana@example.com"), false);
+  });
+});
+
+describe("erase", () => {
+  it("deletes the subscriber and leaves a tombstone", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com");
+
+    assert.deepEqual(await store.erase("ana@example.com"), {
+      success: true,
+      erased: true,
+    });
+    assert.equal((await store.lookup("ana@example.com")).success, false);
+    assert.deepEqual(await store.isErased("ana@example.com"), {
+      success: true,
+      erased: true,
+    });
+  });
+
+  it("tombstones addresses it has never seen", async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(await store.erase("nobody@example.com"), {
+      success: true,
+      erased: false,
+    });
+    assert.equal((await store.isErased("nobody@example.com")).erased, true);
+  });
+
+  it("matches tombstones whatever the case", async () => {
+    const store = createMemoryStore();
+    await store.erase("Ana@Example.com");
+
+    assert.equal((await store.isErased("ana@example.com")).erased, true);
+  });
+
+  it("lets someone sign up again after being erased", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("ana@example.com");
+    await store.erase("ana@example.com");
+
+    assert.deepEqual(await store.subscribe("ana@example.com"), {
+      success: true,
+    });
+  });
+});
+
+describe("importSubscribers", () => {
+  it("adds new addresses as subscribed and skips the rest", async () => {
+    const store = createMemoryStore();
+    await store.subscribe("sub@example.com");
+    await store.subscribe("pending@example.com", { confirmUrl: CONFIRM_URL });
+    await store.subscribe("unsub@example.com");
+    await store.unsubscribe("unsub@example.com");
+    await store.erase("gone@example.com");
+
+    const { success, results } = await store.importSubscribers(
+      [
+        { email: "new@example.com", first_name: "Nina" },
+        { email: "sub@example.com" },
+        { email: "pending@example.com" },
+        { email: "unsub@example.com" },
+        { email: "gone@example.com" },
+      ],
+      { source: "paper-list" },
+    );
+
+    assert.equal(success, true);
+    assert.deepEqual(results, [
+      { email: "new@example.com", status: "added" },
+      {
+        email: "sub@example.com",
+        status: "skipped",
+        reason: "already subscribed",
+      },
+      {
+        email: "pending@example.com",
+        status: "skipped",
+        reason: "pending confirmation",
+      },
+      {
+        email: "unsub@example.com",
+        status: "skipped",
+        reason: "unsubscribed",
+      },
+      { email: "gone@example.com", status: "skipped", reason: "erased" },
+    ]);
+
+    const { subscriber } = await store.lookup("new@example.com");
+    assert.equal(subscriber.status, "subscribed");
+    assert.equal(subscriber.first_name, "Nina");
+    assert.equal(subscriber.source, "paper-list");
+  });
+
+  it("skips an address repeated within the same import", async () => {
+    const store = createMemoryStore();
+
+    const { results } = await store.importSubscribers([
+      { email: "new@example.com" },
+      { email: "new@example.com" },
+    ]);
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["added", "skipped"],
+    );
+  });
+
+  it("counts imported subscribers in the stats", async () => {
+    const store = createMemoryStore();
+    await store.importSubscribers([
+      { email: "a@example.com" },
+      { email: "b@example.com" },
+    ]);
+
+    const { stats } = await store.stats();
+    assert.equal(stats.total, 2);
+    assert.equal(stats.subscribed, 2);
+  });
+});
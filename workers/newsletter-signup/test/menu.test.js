@@ -0,0 +1,123 @@
+/**
+ * The menu catalog orders are priced from (src/menu.js)
+ * The site is stubbed by replacing global fetch. The catalog is cached per
+ * isolate by URL, so each test fetches its own.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { findMenuItem, loadMenuCatalog } from "../src/menu.js";
+
+const catalog = {
+  version: 1,
+  generated_at: "2026-10-01T00:00:00Z",
+  items: [
+    { slug: "chocolate-chip", title: "Chocolate Chip", price_cents: 350 },
+  ],
+};
+
+let nextCatalog = 1;
+
+function catalogUrl() {
+  return `https://site.example/menu/${nextCatalog++}/index.json`;
+}
+
+describe("loadMenuCatalog", () => {
+  const realFetch = globalThis.fetch;
+  const realNow = Date.now;
+  let fetched;
+  let answer;
+
+  beforeEach(() => {
+    fetched = [];
+    answer = () => Response.json(catalog);
+    globalThis.fetch = async (url, init) => {
+      fetched.push({ url, init });
+      return answer();
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    Date.now = realNow;
+  });
+
+  function later(seconds) {
+    Date.now = () => realNow() + seconds * 1000;
+  }
+
+  it("is null without MENU_CATALOG_URL", async () => {
+    assert.equal(await loadMenuCatalog({}), null);
+    assert.deepEqual(fetched, []);
+  });
+
+  it("fetches the catalog and keeps it for MENU_CACHE_SECONDS", async () => {
+    const env = { MENU_CATALOG_URL: catalogUrl(), MENU_CACHE_SECONDS: "60" };
+
+    assert.deepEqual(await loadMenuCatalog(env), catalog);
+    assert.deepEqual(fetched[0].init.cf, {
+      cacheTtl: 60,
+      cacheEverything: true,
+    });
+
+    later(30);
+    await loadMenuCatalog(env);
+    assert.equal(fetched.length, 1);
+
+    later(61);
+    await loadMenuCatalog(env);
+    assert.equal(fetched.length, 2);
+  });
+
+  it("keeps using the last copy when a refresh fails", async () => {
+    const env = { MENU_CATALOG_URL: catalogUrl() };
+    await loadMenuCatalog(env);
+
+    answer = () => new Response("Bad gateway", { status: 502 });
+    later(301);
+    assert.deepEqual(await loadMenuCatalog(env), catalog);
+    assert.equal(fetched.length, 2);
+  });
+
+  it("doesn't use another URL's copy", async () => {
+    await loadMenuCatalog({ MENU_CATALOG_URL: catalogUrl() });
+
+    answer = () => new Response("Not found", { status: 404 });
+    assert.equal(
+      await loadMenuCatalog({ MENU_CATALOG_URL: catalogUrl() }),
+      null,
+    );
+  });
+
+  it("refuses catalogs it doesn't understand", async () => {
+    for (const body of [
+      { ...catalog, version: 2 },
+      { version: 1, items: "chocolate-chip" },
+      "not a catalog",
+    ]) {
+      answer = () => Response.json(body);
+      assert.equal(
+        await loadMenuCatalog({ MENU_CATALOG_URL: catalogUrl() }),
+        null,
+        JSON.stringify(body),
+      );
+    }
+
+    answer = () => new Response("<html>", { status: 200 });
+    assert.equal(
+      await loadMenuCatalog({ MENU_CATALOG_URL: catalogUrl() }),
+      null,
+    );
+  });
+});
+
+describe("findMenuItem", () => {
+  it("finds items by slug", () => {
+    assert.equal(
+      findMenuItem(catalog, "chocolate-chip").title,
+      "Chocolate Chip",
+    );
+    assert.equal(findMenuItem(catalog, "oatmeal-raisin"), undefined);
+  });
+});
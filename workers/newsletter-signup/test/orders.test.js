@@ -0,0 +1,331 @@
+/**
+ * Pickup pre-orders (src/orders.js) through the Worker's fetch handler
+ * The menu catalog and the Apps Script are stubbed by replacing global fetch.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import worker from "../src/index.js";
+
+const MENU_URL = "https://site.example/menu/index.json";
+const APPS_SCRIPT_URL = "https://script.example/exec";
+
+const env = {
+  GOOGLE_APPS_SCRIPT_URL: APPS_SCRIPT_URL,
+  MENU_CATALOG_URL: MENU_URL,
+  // A window every day, bookable from now, so there are always slots
+  ORDER_PICKUP_WINDOWS: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+    .map((day) => `${day} 10:00-12:00`)
+    .join(","),
+  ORDER_LEAD_HOURS: "0",
+  ORDER_DAYS_AHEAD: "3",
+  ORDER_SLOT_CAPACITY: "12",
+  ORDER_TIMEZONE: "UTC",
+};
+
+const catalog = {
+  version: 1,
+  generated_at: "2026-10-01T00:00:00Z",
+  items: [
+    {
+      slug: "chocolate-chip",
+      title: "Chocolate Chip",
+      price_cents: 350,
+      available: true,
+      allergens: ["wheat", "milk"],
+    },
+    {
+      slug: "peanut-butter",
+      title: "Peanut Butter",
+      price_cents: 400,
+      available: true,
+      allergens: ["peanuts"],
+    },
+    {
+      slug: "pumpkin-spice",
+      title: "Pumpkin Spice",
+      price_cents: 375,
+      available: false,
+      allergens: [],
+    },
+    { slug: "test-batch", title: "Test Batch", available: true },
+  ],
+  allergen_labels: { milk: "Milk", peanuts: "Peanuts", wheat: "Wheat" },
+};
+
+let nextIp = 1;
+
+function orderRequest(body) {
+  return new Request("https://newsletter.example.com/orders", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "CF-Connecting-IP": `192.0.2.${nextIp++}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function openSlots() {
+  const response = await worker.fetch(
+    new Request("https://newsletter.example.com/orders/slots"),
+    env,
+  );
+  return (await response.json()).slots.map(({ slot }) => slot);
+}
+
+describe("orders", () => {
+  const realFetch = globalThis.fetch;
+  // What the Apps Script was sent, and how it should answer each action
+  let appsScript;
+  let replies;
+  let slot;
+
+  beforeEach(async () => {
+    appsScript = [];
+    replies = {
+      order_create: { success: true },
+      order_slot_usage: { success: true, usage: {} },
+    };
+    globalThis.fetch = async (url, init) => {
+      if (url === MENU_URL) {
+        return Response.json(catalog);
+      }
+      const payload = JSON.parse(init.body);
+      appsScript.push(payload);
+      return Response.json(replies[payload.action]);
+    };
+    [slot] = await openSlots();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  function order(fields) {
+    return {
+      email: "Ana@Example.com",
+      name: "Ana",
+      pickup_slot: slot,
+      items: [{ slug: "chocolate-chip", quantity: 2 }],
+      ...fields,
+    };
+  }
+
+  function placed() {
+    return appsScript.filter((payload) => payload.action === "order_create");
+  }
+
+  it("prices orders from the catalog, merging repeated items", async () => {
+    const response = await worker.fetch(
+      orderRequest(
+        order({
+          items: [
+            { slug: "chocolate-chip", quantity: 2, unit_price_cents: 1 },
+            { slug: "peanut-butter", quantity: 1 },
+            { slug: "chocolate-chip", quantity: 1 },
+          ],
+          total_cents: 1,
+        }),
+      ),
+      env,
+    );
+    assert.equal(response.status, 201);
+
+    const [{ order: sent, slot_capacity }] = placed();
+    assert.equal(slot_capacity, 12);
+    assert.match(sent.id, /^ORD-[2-9A-HJ-NP-Z]{8}$/);
+    assert.equal(sent.email, "ana@example.com");
+    assert.equal(sent.pickup_slot, slot);
+    assert.deepEqual(
+      sent.items.map((item) => [
+        item.slug,
+        item.quantity,
+        item.line_total_cents,
+      ]),
+      [
+        ["chocolate-chip", 3, 1050],
+        ["peanut-butter", 1, 400],
+      ],
+    );
+    assert.equal(sent.item_count, 4);
+    assert.equal(sent.total_cents, 1450);
+  });
+
+  it("refuses an order whose price changed since the page loaded", async () => {
+    const response = await worker.fetch(
+      orderRequest(order({ expected_total_cents: 600 })),
+      env,
+    );
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).total_cents, 700);
+
+    const matching = await worker.fetch(
+      orderRequest(order({ expected_total_cents: 700 })),
+      env,
+    );
+    assert.equal(matching.status, 201);
+    assert.equal(placed().length, 1);
+  });
+
+  it("only takes pickup slots it offers", async () => {
+    const day = slot.slice(0, 10);
+    for (const pickup_slot of [
+      "2020-01-04T10:00",
+      `${day}T10:15`,
+      `${day}T12:00`,
+      `${day}T09:30`,
+      undefined,
+    ]) {
+      const response = await worker.fetch(
+        orderRequest(order({ pickup_slot })),
+        env,
+      );
+      assert.equal(response.status, 400, String(pickup_slot));
+    }
+    assert.deepEqual(placed(), []);
+  });
+
+  it("refuses unknown, sold-out and unpriced items and bad quantities", async () => {
+    for (const items of [
+      [{ slug: "oatmeal-raisin", quantity: 1 }],
+      [{ slug: "pumpkin-spice", quantity: 1 }],
+      [{ slug: "test-batch", quantity: 1 }],
+      [{ slug: "chocolate-chip", quantity: 0 }],
+      [{ slug: "chocolate-chip", quantity: 1.5 }],
+      [],
+    ]) {
+      const response = await worker.fetch(orderRequest(order({ items })), env);
+      assert.equal(response.status, 400, JSON.stringify(items));
+    }
+    assert.deepEqual(placed(), []);
+  });
+
+  it("checks the address like the signup form does", async () => {
+    for (const [email, fields] of [
+      ["ana@example", {}],
+      ["ana@mailinator.com", {}],
+      ["orders@example.com", { BLOCK_ROLE_ADDRESSES: "true" }],
+    ]) {
+      const response = await worker.fetch(orderRequest(order({ email })), {
+        ...env,
+        ...fields,
+      });
+      assert.equal(response.status, 400, email);
+    }
+    assert.deepEqual(placed(), []);
+
+    const response = await worker.fetch(
+      orderRequest(order({ email: " jane@bücher.de " })),
+      env,
+    );
+    assert.equal(response.status, 201);
+    assert.equal(placed()[0].order.email, "jane@xn--bcher-kva.de");
+  });
+
+  it("refuses more cookies than a slot can take", async () => {
+    const response = await worker.fetch(
+      orderRequest(
+        order({
+          items: [
+            { slug: "chocolate-chip", quantity: 8 },
+            { slug: "chocolate-chip", quantity: 5 },
+          ],
+        }),
+      ),
+      env,
+    );
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /at most 12 cookies/);
+  });
+
+  it("passes on a full slot from the Apps Script", async () => {
+    replies.order_create = { success: false, error: "Slot full", remaining: 1 };
+
+    const response = await worker.fetch(orderRequest(order()), env);
+    assert.equal(response.status, 409);
+    const body = await response.json();
+    assert.equal(body.slot_full, true);
+    assert.equal(body.remaining, 1);
+  });
+
+  it("holds orders with avoided allergens until they're acknowledged", async () => {
+    const items = [
+      { slug: "chocolate-chip", quantity: 1 },
+      { slug: "peanut-butter", quantity: 1 },
+    ];
+
+    const warned = await worker.fetch(
+      orderRequest(order({ items, avoid_allergens: ["peanuts"] })),
+      env,
+    );
+    assert.equal(warned.status, 409);
+    assert.deepEqual((await warned.json()).items, [
+      {
+        slug: "peanut-butter",
+        title: "Peanut Butter",
+        allergens: ["peanuts"],
+      },
+    ]);
+    assert.deepEqual(placed(), []);
+
+    const acknowledged = await worker.fetch(
+      orderRequest(
+        order({
+          items,
+          avoid_allergens: ["peanuts"],
+          acknowledge_allergens: true,
+        }),
+      ),
+      env,
+    );
+    assert.equal(acknowledged.status, 201);
+
+    const unknown = await worker.fetch(
+      orderRequest(order({ avoid_allergens: ["glitter"] })),
+      env,
+    );
+    assert.equal(unknown.status, 400);
+  });
+});
+
+describe("pickup slots", () => {
+  const realFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("lists slots inside the windows with the cookies left in each", async () => {
+    let booked;
+    globalThis.fetch = async (url, init) => {
+      if (url === MENU_URL) {
+        return Response.json(catalog);
+      }
+      const { slots } = JSON.parse(init.body);
+      booked = slots[0];
+      return Response.json({ success: true, usage: { [booked]: 10 } });
+    };
+
+    const response = await worker.fetch(
+      new Request("https://newsletter.example.com/orders/slots"),
+      env,
+    );
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.equal(body.slot_capacity, 12);
+    assert.ok(body.slots.length > 0);
+    for (const { slot } of body.slots) {
+      assert.match(slot, /^\d{4}-\d{2}-\d{2}T1[01]:[03]0$/);
+    }
+    assert.deepEqual(
+      body.slots.map(({ slot }) => slot),
+      [...body.slots.map(({ slot }) => slot)].sort(),
+    );
+    assert.equal(body.slots[0].slot, booked);
+    assert.equal(body.slots[0].remaining, 2);
+    assert.equal(body.menu.length, catalog.items.length);
+  });
+});
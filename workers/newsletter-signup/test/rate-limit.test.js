@@ -0,0 +1,241 @@
+/**
+ * Rate limits and the Turnstile challenge check (src/rate-limit.js)
+ * siteverify is stubbed by replacing global fetch.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  checkRateLimit,
+  verifyChallengeToken,
+  verifyKioskToken,
+} from "../src/rate-limit.js";
+
+/**
+ * Just enough of a KV namespace for these tests
+ */
+function createFakeKv() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async put(key, value, options) {
+      entries.set(key, value);
+      this.lastOptions = options;
+    },
+  };
+}
+
+describe("checkRateLimit", () => {
+  it("allows up to the limit per window, then says when to retry", async () => {
+    const env = { RATE_LIMIT: createFakeKv() };
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await checkRateLimit(env, "ip:203.0.113.1", 2, 600));
+    }
+
+    assert.deepEqual(
+      results.map((result) => result.allowed),
+      [true, true, false],
+    );
+    assert.ok(results[2].retryAfter > 0 && results[2].retryAfter <= 600);
+  });
+
+  it("counts each identifier separately", async () => {
+    const env = { RATE_LIMIT: createFakeKv() };
+    await checkRateLimit(env, "email:a@example.com", 1, 600);
+
+    assert.equal(
+      (await checkRateLimit(env, "email:b@example.com", 1, 600)).allowed,
+      true,
+    );
+  });
+
+  it("hashes identifiers and keeps counters at least a minute", async () => {
+    const env = { RATE_LIMIT: createFakeKv() };
+    await checkRateLimit(env, "email:a@example.com", 5, 30);
+
+    const [key] = env.RATE_LIMIT.entries.keys();
+    assert.match(key, /^rl:[0-9a-f]{32}:\d+$/);
+    assert.ok(!key.includes("example.com"));
+    assert.equal(env.RATE_LIMIT.lastOptions.expirationTtl, 60);
+  });
+
+  it("falls back to per-isolate counters without a namespace", async () => {
+    const env = {};
+    const identifier = `ip:memory-${Date.now()}`;
+
+    assert.equal((await checkRateLimit(env, identifier, 1, 600)).allowed, true);
+    assert.equal(
+      (await checkRateLimit(env, identifier, 1, 600)).allowed,
+      false,
+    );
+  });
+});
+
+describe("verifyKioskToken", () => {
+  const env = { KIOSK_TOKEN: "kiosk-secret" };
+
+  function kioskRequest(authorization) {
+    return new Request("https://newsletter.example.com/", {
+      method: "POST",
+      headers: authorization ? { Authorization: authorization } : {},
+    });
+  }
+
+  it("is null without an Authorization header", async () => {
+    assert.equal(await verifyKioskToken(kioskRequest(), env), null);
+  });
+
+  it("checks the bearer token against KIOSK_TOKEN", async () => {
+    assert.equal(
+      await verifyKioskToken(kioskRequest("Bearer kiosk-secret"), env),
+      true,
+    );
+    assert.equal(
+      await verifyKioskToken(kioskRequest("Bearer wrong"), env),
+      false,
+    );
+    assert.equal(
+      await verifyKioskToken(kioskRequest("Basic kiosk-secret"), env),
+      false,
+    );
+  });
+
+  it("refuses every key when KIOSK_TOKEN isn't set", async () => {
+    assert.equal(
+      await verifyKioskToken(kioskRequest("Bearer kiosk-secret"), {}),
+      false,
+    );
+  });
+});
+
+describe("verifyChallengeToken", () => {
+  const realFetch = globalThis.fetch;
+  let siteverify;
+  let env;
+
+  beforeEach(() => {
+    // Answer like Turnstile: a token passes once, then it's a duplicate
+    const used = new Set(["expired-token"]);
+    siteverify = [];
+    globalThis.fetch = async (url, { body }) => {
+      const token = body.get("response");
+      siteverify.push(token);
+      const fresh = token.startsWith("fresh") && !used.has(token);
+      used.add(token);
+      return Response.json(
+        fresh
+          ? { success: true }
+          : { success: false, "error-codes": ["timeout-or-duplicate"] },
+      );
+    };
+    env = { TURNSTILE_SECRET_KEY: "secret", IDEMPOTENCY: createFakeKv() };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("passes a fresh token", async () => {
+    assert.equal(await verifyChallengeToken(env, "fresh-1", "1.2.3.4"), true);
+  });
+
+  it("fails without a token, without asking Turnstile", async () => {
+    assert.equal(await verifyChallengeToken(env, "", "1.2.3.4"), false);
+    assert.deepEqual(siteverify, []);
+  });
+
+  it("fails tokens Turnstile rejects for other reasons", async () => {
+    globalThis.fetch = async () =>
+      Response.json({ success: false, "error-codes": ["invalid-input"] });
+
+    assert.equal(
+      await verifyChallengeToken(env, "bogus", "1.2.3.4", {
+        idempotencyKey: "key-aaaaaaaa",
+      }),
+      false,
+    );
+  });
+
+  it("fails when siteverify can't be reached", async () => {
+    globalThis.fetch = async () => {
+      throw new Error("network down");
+    };
+
+    assert.equal(await verifyChallengeToken(env, "fresh-1", "1.2.3.4"), false);
+  });
+
+  it("refuses an expired token without an idempotency key", async () => {
+    assert.equal(
+      await verifyChallengeToken(env, "expired-token", "1.2.3.4"),
+      false,
+    );
+  });
+
+  it("accepts a saved signup's expired token, then only for that signup", async () => {
+    const options = { idempotencyKey: "key-aaaaaaaa" };
+    assert.equal(
+      await verifyChallengeToken(env, "expired-token", "1.2.3.4", options),
+      true,
+    );
+    // The same signup sent again
+    assert.equal(
+      await verifyChallengeToken(env, "expired-token", "1.2.3.4", options),
+      true,
+    );
+    assert.equal(
+      await verifyChallengeToken(env, "expired-token", "1.2.3.4", {
+        idempotencyKey: "key-bbbbbbbb",
+      }),
+      false,
+    );
+  });
+
+  it("won't let a used token pass as an expired one", async () => {
+    assert.equal(await verifyChallengeToken(env, "fresh-1", "1.2.3.4"), true);
+
+    for (const idempotencyKey of ["key-aaaaaaaa", "key-bbbbbbbb"]) {
+      assert.equal(
+        await verifyChallengeToken(env, "fresh-1", "1.2.3.4", {
+          idempotencyKey,
+        }),
+        false,
+      );
+    }
+  });
+
+  it("lets a keyed signup resend its own used token", async () => {
+    const options = { idempotencyKey: "key-aaaaaaaa" };
+    assert.equal(
+      await verifyChallengeToken(env, "fresh-1", "1.2.3.4", options),
+      true,
+    );
+    assert.equal(
+      await verifyChallengeToken(env, "fresh-1", "1.2.3.4", options),
+      true,
+    );
+  });
+
+  it("stores token hashes, not tokens", async () => {
+    await verifyChallengeToken(env, "fresh-1", "1.2.3.4");
+
+    const [key] = env.IDEMPOTENCY.entries.keys();
+    assert.match(key, /^challenge:[0-9a-f]{32}$/);
+  });
+
+  it("refuses expired tokens without the IDEMPOTENCY namespace", async () => {
+    delete env.IDEMPOTENCY;
+
+    assert.equal(await verifyChallengeToken(env, "fresh-1", "1.2.3.4"), true);
+    assert.equal(
+      await verifyChallengeToken(env, "expired-token", "1.2.3.4", {
+        idempotencyKey: "key-aaaaaaaa",
+      }),
+      false,
+    );
+  });
+});
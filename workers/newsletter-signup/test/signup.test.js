@@ -0,0 +1,171 @@
+/**
+ * The signup route (POST /) through the Worker's fetch handler, on the
+ * in-memory backend with Turnstile's siteverify stubbed out
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import worker from "../src/index.js";
+
+const env = {
+  STORAGE_BACKEND: "memory",
+  UNSUBSCRIBE_SECRETS: "1:test-secret",
+  TURNSTILE_SECRET_KEY: "turnstile-secret",
+};
+
+// Rate limits are per isolate without a RATE_LIMIT namespace, so every
+// request gets its own IP unless a test says otherwise
+let nextIp = 1;
+
+function signupRequest(body, { ip = `192.0.2.${nextIp++}`, headers } = {}) {
+  return new Request("https://newsletter.example.com/", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "CF-Connecting-IP": ip,
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("signup rate limits", () => {
+  const realFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    // Tokens starting "good" pass the challenge; anything else fails it
+    globalThis.fetch = async (url, { body }) =>
+      Response.json(
+        body.get("response").startsWith("good")
+          ? { success: true }
+          : { success: false, "error-codes": ["invalid-input-response"] },
+      );
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("doesn't let failed challenges use up an address's limit", async () => {
+    for (let i = 0; i < 5; i++) {
+      const response = await worker.fetch(
+        signupRequest({ email: "victim@example.com", turnstile_token: "bad" }),
+        env,
+      );
+      assert.equal(response.status, 403);
+    }
+
+    const response = await worker.fetch(
+      signupRequest({ email: "victim@example.com", turnstile_token: "good-1" }),
+      env,
+    );
+    assert.equal(response.status, 200);
+  });
+
+  it("limits signups per address once they pass the challenge", async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      const response = await worker.fetch(
+        signupRequest({
+          email: "keen@example.com",
+          turnstile_token: `good-${i}`,
+        }),
+        env,
+      );
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  it("limits each IP before looking at the request", async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const response = await worker.fetch(
+        signupRequest(
+          { email: `flood-${i}@example.com`, turnstile_token: "bad" },
+          { ip: "198.51.100.7" },
+        ),
+        env,
+      );
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [403, 403, 403, 403, 403, 429]);
+  });
+});
+
+describe("signup bot checks", () => {
+  const env = {
+    STORAGE_BACKEND: "memory",
+    UNSUBSCRIBE_SECRETS: "1:test-secret",
+  };
+
+  it("pretends a honeypot signup worked without storing it", async () => {
+    const response = await worker.fetch(
+      signupRequest({ email: "bot@example.com", website: "http://spam" }),
+      env,
+    );
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+
+    const lookup = await worker.fetch(
+      signupRequest({ email: "bot@example.com" }),
+      env,
+    );
+    assert.equal((await lookup.json()).duplicate, undefined);
+  });
+
+  it("turns away forms sent faster than SIGNUP_MIN_SUBMIT_MS", async () => {
+    const strict = { ...env, SIGNUP_MIN_SUBMIT_MS: "3000" };
+
+    const tooFast = await worker.fetch(
+      signupRequest({ email: "quick@example.com", elapsed_ms: 500 }),
+      strict,
+    );
+    assert.equal(tooFast.status, 429);
+
+    const missing = await worker.fetch(
+      signupRequest({ email: "quick@example.com" }),
+      strict,
+    );
+    assert.equal(missing.status, 429);
+
+    const human = await worker.fetch(
+      signupRequest({ email: "quick@example.com", elapsed_ms: 4000 }),
+      strict,
+    );
+    assert.equal(human.status, 200);
+  });
+
+  it("skips the challenge and IP limit for kiosks", async () => {
+    const kiosk = {
+      ...env,
+      TURNSTILE_SECRET_KEY: "turnstile-secret",
+      KIOSK_TOKEN: "kiosk-secret",
+    };
+    const headers = { Authorization: "Bearer kiosk-secret" };
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const response = await worker.fetch(
+        signupRequest(
+          { email: `stall-${i}@example.com` },
+          { ip: "198.51.100.99", headers },
+        ),
+        kiosk,
+      );
+      statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 200]);
+
+    const wrongKey = await worker.fetch(
+      signupRequest(
+        { email: "stall-x@example.com" },
+        { headers: { Authorization: "Bearer nope" } },
+      ),
+      kiosk,
+    );
+    assert.equal(wrongKey.status, 401);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Signed link tokens and the signing key ring (src/tokens.js)
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import {
+  generateConfirmUrl,
+  getTokenKeys,
+  verifyToken,
+  verifyUnsubscribeToken,
+} from "../src/tokens.js";
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * A v1 token signed the way the Worker and the Apps Script do
+ */
+function sign(purpose, email, { kid = "1", secret, issuedAt }) {
+  const iat = issuedAt ?? Math.floor(Date.now() / 1000);
+  const signature = createHmac("sha256", secret)
+    .update(`${purpose}:${kid}:${iat}:${email}`)
+    .digest("hex")
+    .substring(0, 32);
+  return `v1.${kid}.${iat}.${signature}`;
+}
+
+async function confirmTokenFrom(email, env) {
+  const url = new URL(
+    await generateConfirmUrl("https://w.example", email, env),
+  );
+  return url.searchParams.get("token");
+}
+
+describe("getTokenKeys", () => {
+  it("reads the ring from UNSUBSCRIBE_SECRETS, newest first", () => {
+    assert.deepEqual(
+      getTokenKeys({ UNSUBSCRIBE_SECRETS: " 3:newest , 2:older:with:colons" }),
+      [
+        { kid: "3", secret: "newest" },
+        { kid: "2", secret: "older:with:colons" },
+      ],
+    );
+  });
+
+  it("skips entries without a kid or a secret", () => {
+    assert.deepEqual(
+      getTokenKeys({ UNSUBSCRIBE_SECRETS: "nokid,:blank,4:,5:ok" }),
+      [{ kid: "5", secret: "ok" }],
+    );
+  });
+
+  it("falls back to UNSUBSCRIBE_SECRET as key 1", () => {
+    assert.deepEqual(getTokenKeys({ UNSUBSCRIBE_SECRET: "legacy" }), [
+      { kid: "1", secret: "legacy" },
+    ]);
+    assert.deepEqual(
+      getTokenKeys({ UNSUBSCRIBE_SECRETS: "2:new", UNSUBSCRIBE_SECRET: "old" }),
+      [{ kid: "2", secret: "new" }],
+    );
+  });
+
+  it("is empty when nothing is configured", () => {
+    assert.deepEqual(getTokenKeys({}), []);
+  });
+});
+
+describe("confirmation tokens", () => {
+  const env = { UNSUBSCRIBE_SECRETS: "2:current,1:previous" };
+
+  it("are signed with the newest key and verify", async () => {
+    const token = await confirmTokenFrom("ana@example.com", env);
+
+    assert.match(token, /^v1\.2\.\d+\.[0-9a-f]{32}$/);
+    assert.deepEqual(
+      await verifyToken("confirm", "ana@example.com", token, env),
+      { valid: true, expired: false },
+    );
+  });
+
+  it("ignore case and surrounding space in the address", async () => {
+    const token = await confirmTokenFrom("Ana@Example.com", env);
+
+    assert.equal(
+      (await verifyToken("confirm", " ana@example.com ", token, env)).valid,
+      true,
+    );
+  });
+
+  it("only work for their own purpose and address", async () => {
+    const token = await confirmTokenFrom("ana@example.com", env);
+
+    assert.equal(
+      (await verifyToken("unsubscribe", "ana@example.com", token, env)).valid,
+      false,
+    );
+    assert.equal(
+      (await verifyToken("confirm", "bob@example.com", token, env)).valid,
+      false,
+    );
+  });
+
+  it("keep working after a rotation until their key is retired", async () => {
+    const token = await confirmTokenFrom("ana@example.com", {
+      UNSUBSCRIBE_SECRETS: "1:previous",
+    });
+
+    assert.equal(
+      (await verifyToken("confirm", "ana@example.com", token, env)).valid,
+      true,
+    );
+    assert.equal(
+      (
+        await verifyToken("confirm", "ana@example.com", token, {
+          UNSUBSCRIBE_SECRETS: "3:next,2:current",
+        })
+      ).valid,
+      false,
+    );
+  });
+
+  it("are refused when tampered with or malformed", async () => {
+    const token = await confirmTokenFrom("ana@example.com", env);
+    const [version, kid, issuedAt, signature] = token.split(".");
+
+    for (const bad of [
+      `${version}.${kid}.${issuedAt}.${"0".repeat(32)}`,
+      `${version}.${kid}.${Number(issuedAt) - 1}.${signature}`,
+      `v2.${kid}.${issuedAt}.${signature}`,
+      `${version}.${kid}.soon.${signature}`,
+      "v1.2.123",
+      "",
+    ]) {
+      assert.deepEqual(
+        await verifyToken("confirm", "ana@example.com", bad, env),
+        { valid: false, expired: false },
+        bad,
+      );
+    }
+  });
+
+  it("report expiry only once the signature checks out", async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 3 * DAY;
+    const token = sign("confirm", "ana@example.com", {
+      kid: "2",
+      secret: "current",
+      issuedAt,
+    });
+
+    assert.deepEqual(
+      await verifyToken("confirm", "ana@example.com", token, env, 2 * DAY),
+      { valid: false, expired: true },
+    );
+    assert.equal(
+      (await verifyToken("confirm", "ana@example.com", token, env, 4 * DAY))
+        .valid,
+      true,
+    );
+    assert.deepEqual(
+      await verifyToken("confirm", "bob@example.com", token, env, 2 * DAY),
+      { valid: false, expired: false },
+    );
+  });
+});
+
+describe("verifyUnsubscribeToken", () => {
+  it("accepts versioned tokens from any key in the ring", async () => {
+    const env = { UNSUBSCRIBE_SECRETS: "2:current,1:previous" };
+    const token = sign("unsubscribe", "ana@example.com", {
+      kid: "1",
+      secret: "previous",
+    });
+
+    assert.equal(
+      (await verifyUnsubscribeToken("ana@example.com", token, env)).valid,
+      true,
+    );
+  });
+
+  it("expires tokens after UNSUBSCRIBE_TOKEN_MAX_AGE_DAYS", async () => {
+    const env = {
+      UNSUBSCRIBE_SECRETS: "1:current",
+      UNSUBSCRIBE_TOKEN_MAX_AGE_DAYS: "30",
+    };
+    const old = sign("unsubscribe", "ana@example.com", {
+      secret: "current",
+      issuedAt: Math.floor(Date.now() / 1000) - 31 * DAY,
+    });
+
+    assert.deepEqual(
+      await verifyUnsubscribeToken("ana@example.com", old, env),
+      { valid: false, expired: true },
+    );
+    assert.equal(
+      (
+        await verifyUnsubscribeToken("ana@example.com", old, {
+          UNSUBSCRIBE_SECRETS: "1:current",
+        })
+      ).valid,
+      true,
+    );
+  });
+
+  it("accepts legacy tokens only while UNSUBSCRIBE_SECRET is set", async () => {
+    const legacy = createHmac("sha256", "legacy-secret")
+      .update("ana@example.com")
+      .digest("hex")
+      .substring(0, 32);
+
+    assert.equal(
+      (
+        await verifyUnsubscribeToken("Ana@example.com", legacy, {
+          UNSUBSCRIBE_SECRET: "legacy-secret",
+        })
+      ).valid,
+      true,
+    );
+    assert.equal(
+      (
+        await verifyUnsubscribeToken("ana@example.com", legacy, {
+          UNSUBSCRIBE_SECRETS: "2:current",
+        })
+      ).valid,
+      false,
+    );
+  });
+});